@@ -0,0 +1,805 @@
+/* Generated by build-projects.js; edits here are overwritten */
+
+// Project Gallery - Auto-generated by build-projects.js
+const projectGalleries = new WeakMap();
+const GALLERY_SWIPE_THRESHOLD = 50;
+const GALLERY_MAX_ZOOM = 4;
+const GALLERY_DOUBLE_TAP_MS = 300;
+
+// The gallery inside a modal or page, created on first use
+function getGallery(container) {
+    const gallery = container && container.querySelector('.modal-gallery');
+    if (!gallery) return null;
+    if (!projectGalleries.has(gallery)) {
+        projectGalleries.set(gallery, createGallery(gallery));
+    }
+    return projectGalleries.get(gallery);
+}
+
+function createGallery(gallery) {
+    const items = Array.from(gallery.querySelectorAll('.gallery-item'));
+    const thumbs = Array.from(gallery.querySelectorAll('.gallery-thumb'));
+    const main = gallery.querySelector('.gallery-main');
+    const status = gallery.querySelector('.gallery-status');
+    const expandBtn = gallery.querySelector('.gallery-expand');
+    const zoom = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();
+    let currentIndex = Math.max(0, items.findIndex(item => item.classList.contains('active')));
+    let active = false;
+    let gesture = null;
+    let lastTap = 0;
+    let bodyOverflow = '';
+
+    // Loop videos play whenever their slide is showing; others resume
+    // only if they were playing when their slide was left
+    items.forEach(item => {
+        const video = item.querySelector('video');
+        if (video) video.dataset.resume = String(video.loop);
+    });
+
+    function videoAt(index) {
+        return items[index] ? items[index].querySelector('video') : null;
+    }
+
+    function pauseVideo(video) {
+        if (!video) return;
+        video.dataset.resume = String(video.loop || !video.paused);
+        video.pause();
+    }
+
+    function resumeVideo(video) {
+        if (!video || video.dataset.resume !== 'true') return;
+        const playing = video.play();
+        // Autoplay can be refused (e.g. data saver); the controls still work
+        if (playing) playing.catch(() => {});
+    }
+
+    function show(index) {
+        index = (index + items.length) % items.length;
+        if (index === currentIndex) return;
+
+        pauseVideo(videoAt(currentIndex));
+        resetZoom();
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        thumbs.forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === index);
+            if (i === index) {
+                thumb.setAttribute('aria-current', 'true');
+                thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+        currentIndex = index;
+        if (active) resumeVideo(videoAt(index));
+        if (status) status.textContent = (index + 1) + ' of ' + items.length;
+    }
+
+    // Zoom (lightbox images only)
+
+    function currentImage() {
+        return isLightbox() ? items[currentIndex].querySelector('img') : null;
+    }
+
+    function setZoom(scale, x, y) {
+        const img = items[currentIndex].querySelector('img');
+        if (!img) return;
+        zoom.scale = Math.min(Math.max(scale, 1), GALLERY_MAX_ZOOM);
+        const maxX = img.offsetWidth * (zoom.scale - 1) / 2;
+        const maxY = img.offsetHeight * (zoom.scale - 1) / 2;
+        zoom.x = Math.min(Math.max(x, -maxX), maxX);
+        zoom.y = Math.min(Math.max(y, -maxY), maxY);
+        img.style.transform = zoom.scale === 1
+            ? ''
+            : 'translate(' + zoom.x + 'px, ' + zoom.y + 'px) scale(' + zoom.scale + ')';
+        items[currentIndex].classList.toggle('zoomed', zoom.scale > 1);
+    }
+
+    function resetZoom() {
+        if (zoom.scale !== 1) setZoom(1, 0, 0);
+    }
+
+    function toggleZoom() {
+        if (!currentImage()) return;
+        if (zoom.scale > 1) resetZoom();
+        else setZoom(2, 0, 0);
+    }
+
+    // Lightbox
+
+    function isLightbox() {
+        return gallery.classList.contains('lightbox');
+    }
+
+    function setLightbox(open, moveFocus = true) {
+        if (open === isLightbox()) return;
+        resetZoom();
+        gallery.classList.toggle('lightbox', open);
+
+        // Let the browser pick larger image candidates while full screen
+        gallery.querySelectorAll('.gallery-item [sizes]').forEach(el => {
+            if (open) {
+                el.dataset.sizes = el.getAttribute('sizes');
+                el.setAttribute('sizes', '100vw');
+            } else if (el.dataset.sizes) {
+                el.setAttribute('sizes', el.dataset.sizes);
+                delete el.dataset.sizes;
+            }
+        });
+
+        if (open) {
+            bodyOverflow = document.body.style.overflow;
+            document.body.style.overflow = 'hidden';
+        } else {
+            document.body.style.overflow = bodyOverflow;
+        }
+
+        const icon = expandBtn.querySelector('i');
+        icon.classList.toggle('fa-expand', !open);
+        icon.classList.toggle('fa-compress', open);
+        expandBtn.setAttribute('aria-label', open ? 'Exit full screen' : 'View full screen');
+        if (moveFocus) expandBtn.focus();
+    }
+
+    gallery.addEventListener('click', (e) => {
+        const thumb = e.target.closest('.gallery-thumb');
+        if (thumb) {
+            show(thumbs.indexOf(thumb));
+        } else if (e.target.closest('.gallery-prev')) {
+            show(currentIndex - 1);
+        } else if (e.target.closest('.gallery-next')) {
+            show(currentIndex + 1);
+        } else if (e.target.closest('.gallery-expand')) {
+            setLightbox(!isLightbox());
+        }
+    });
+
+    gallery.addEventListener('dblclick', (e) => {
+        if (e.target.tagName === 'IMG' && e.target.closest('.gallery-item')) toggleZoom();
+    });
+
+    gallery.addEventListener('keydown', (e) => {
+        // Arrow keys on a focused video seek it instead
+        if (e.target.tagName === 'VIDEO' || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            show(currentIndex - 1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            show(currentIndex + 1);
+        } else if (e.key === 'Home') {
+            e.preventDefault();
+            show(0);
+        } else if (e.key === 'End') {
+            e.preventDefault();
+            show(items.length - 1);
+        } else if (!isLightbox()) {
+            return;
+        } else if (e.key === 'Escape') {
+            // Leave the lightbox without closing the modal underneath
+            e.stopPropagation();
+            setLightbox(false);
+        } else if ((e.key === '+' || e.key === '=') && currentImage()) {
+            setZoom(zoom.scale * 1.5, zoom.x, zoom.y);
+        } else if (e.key === '-' && currentImage()) {
+            setZoom(zoom.scale / 1.5, zoom.x, zoom.y);
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the lightbox
+            e.stopPropagation();
+            const focusable = Array.from(gallery.querySelectorAll('button, video[controls], [tabindex="0"]'))
+                .filter(el => el.getClientRects().length > 0);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    // Touch: swipe between slides; in the lightbox, pinch or double-tap
+    // to zoom and drag to pan (the mouse can drag a zoomed image too)
+
+    function pointerDistance() {
+        const [a, b] = Array.from(pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    main.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || e.target.closest('button, video[controls]')) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 1) {
+            gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, x: zoom.x, y: zoom.y };
+            if (zoom.scale > 1) {
+                main.setPointerCapture(e.pointerId);
+                items[currentIndex].classList.add('panning');
+            }
+        } else if (pointers.size === 2 && currentImage()) {
+            gesture = { type: 'pinch', distance: pointerDistance(), scale: zoom.scale };
+            items[currentIndex].classList.add('panning');
+        }
+    });
+
+    main.addEventListener('pointermove', (e) => {
+        if (!gesture || !pointers.has(e.pointerId)) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            setZoom(gesture.scale * pointerDistance() / gesture.distance, zoom.x, zoom.y);
+        } else if (gesture.type === 'drag' && zoom.scale > 1) {
+            setZoom(zoom.scale, gesture.x + e.clientX - gesture.startX, gesture.y + e.clientY - gesture.startY);
+        }
+    });
+
+    function endPointer(e) {
+        if (!pointers.delete(e.pointerId) || !gesture) return;
+
+        if (gesture.type === 'drag' && e.type === 'pointerup' && e.pointerType !== 'mouse') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (zoom.scale === 1 && Math.abs(dx) > GALLERY_SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                show(currentIndex + (dx < 0 ? 1 : -1));
+            } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+                if (e.timeStamp - lastTap < GALLERY_DOUBLE_TAP_MS) {
+                    toggleZoom();
+                    lastTap = 0;
+                } else {
+                    lastTap = e.timeStamp;
+                }
+            }
+        }
+
+        if (pointers.size === 0) {
+            gesture = null;
+            items[currentIndex].classList.remove('panning');
+        }
+    }
+
+    main.addEventListener('pointerup', endPointer);
+    main.addEventListener('pointercancel', endPointer);
+
+    return {
+        show,
+
+        // The modal or page is showing: start the current slide's video
+        activate() {
+            active = true;
+            resumeVideo(videoAt(currentIndex));
+        },
+
+        // The modal closed: stop playback and leave the lightbox
+        deactivate() {
+            active = false;
+            pauseVideo(videoAt(currentIndex));
+            setLightbox(false, false);
+        }
+    };
+}
+
+// Project Modal Functions - Auto-generated by build-projects.js
+let activeProjectModal = null;
+let modalReturnFocus = null;
+
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.getClientRects().length > 0 && !el.closest('[inert]'));
+}
+
+// Hide everything except the open modal from keyboard and screen readers
+function setPageInert(modal, inert) {
+    Array.from(document.body.children).forEach(el => {
+        if (el === modal || el.tagName === 'SCRIPT') return;
+        if (inert) {
+            if (el.hasAttribute('inert')) return;
+            el.setAttribute('inert', '');
+            el.setAttribute('aria-hidden', 'true');
+            el.dataset.modalInert = 'true';
+        } else if (el.dataset.modalInert) {
+            el.removeAttribute('inert');
+            el.removeAttribute('aria-hidden');
+            delete el.dataset.modalInert;
+        }
+    });
+}
+
+function projectSlugFromHash() {
+    const match = window.location.hash.match(/^#project=(.+)$/);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        return null;
+    }
+}
+
+function projectModalUrl(slug) {
+    return window.location.pathname + window.location.search + (slug ? '#project=' + encodeURIComponent(slug) : '');
+}
+
+// options.fromHistory: called from popstate/initial load, so don't touch history
+function openProjectModal(slug, options = {}) {
+    const modal = document.getElementById('modal-' + slug);
+    if (!modal || modal === activeProjectModal) return;
+
+    if (activeProjectModal) {
+        hideProjectModal(activeProjectModal, false);
+    } else {
+        modalReturnFocus = document.activeElement;
+    }
+
+    if (!options.fromHistory) {
+        history.pushState({ projectModal: slug }, '', projectModalUrl(slug));
+    }
+
+    document.body.style.overflow = 'hidden';
+    modal.classList.add('active');
+    modal.setAttribute('aria-hidden', 'false');
+    modal.setAttribute('aria-modal', 'true');
+    setPageInert(modal, true);
+    activeProjectModal = modal;
+
+    // Move focus into the dialog
+    const focusableElements = getFocusableElements(modal);
+    if (focusableElements.length > 0) {
+        focusableElements[0].focus();
+    }
+
+    const gallery = getGallery(modal);
+    if (gallery) gallery.activate();
+}
+
+function closeProjectModal(slug, options = {}) {
+    const modal = document.getElementById('modal-' + slug);
+    if (!modal || !modal.classList.contains('active')) return;
+
+    // Opening pushed a history entry: go back, and popstate closes the modal
+    if (!options.fromHistory && history.state && history.state.projectModal === slug) {
+        history.back();
+        return;
+    }
+    if (!options.fromHistory && projectSlugFromHash()) {
+        history.replaceState(null, '', projectModalUrl(null));
+    }
+
+    hideProjectModal(modal, true);
+}
+
+function hideProjectModal(modal, restoreFocus) {
+    const gallery = getGallery(modal);
+    if (gallery) gallery.deactivate();
+
+    modal.classList.remove('active');
+    modal.setAttribute('aria-hidden', 'true');
+    modal.removeAttribute('aria-modal');
+    setPageInert(modal, false);
+    activeProjectModal = null;
+
+    if (!restoreFocus) return;
+
+    document.body.style.overflow = '';
+
+    // Return focus to the "View Details" button (or whatever opened the modal)
+    const slug = modal.id.replace('modal-', '');
+    const trigger = modalReturnFocus && document.contains(modalReturnFocus) && modalReturnFocus !== document.body
+        ? modalReturnFocus
+        : document.querySelector('[data-action="open-modal"][data-project="' + CSS.escape(slug) + '"]');
+    modalReturnFocus = null;
+    if (trigger) {
+        trigger.focus();
+    }
+}
+
+// Close modal on Escape key, keep Tab focus cycling inside the open modal
+document.addEventListener('keydown', (e) => {
+    if (!activeProjectModal) return;
+
+    if (e.key === 'Escape') {
+        const slug = activeProjectModal.id.replace('modal-', '');
+        closeProjectModal(slug);
+    } else if (e.key === 'Tab') {
+        const focusableElements = getFocusableElements(activeProjectModal);
+        if (focusableElements.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusableElements[0];
+        const last = focusableElements[focusableElements.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !activeProjectModal.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !activeProjectModal.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+});
+
+// Back/Forward open and close modals to match the URL (#project=<slug>)
+window.addEventListener('popstate', () => {
+    const slug = projectSlugFromHash();
+    if (slug && document.getElementById('modal-' + slug)) {
+        openProjectModal(slug, { fromHistory: true });
+    } else if (activeProjectModal) {
+        closeProjectModal(activeProjectModal.id.replace('modal-', ''), { fromHistory: true });
+    }
+});
+
+// Deep link: open the modal named in the URL once the modals are parsed.
+// The URL without the hash goes underneath so that Back closes the modal.
+function openProjectModalFromUrl() {
+    const slug = projectSlugFromHash();
+    if (!slug || !document.getElementById('modal-' + slug)) return;
+
+    history.replaceState(null, '', projectModalUrl(null));
+    openProjectModal(slug);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', openProjectModalFromUrl);
+} else {
+    openProjectModalFromUrl();
+}
+
+// Event delegation for modal actions
+document.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+
+    const action = target.dataset.action;
+    const project = target.dataset.project;
+
+    if (action === 'open-modal' && project) {
+        openProjectModal(project);
+    } else if (action === 'close-modal' && project) {
+        closeProjectModal(project);
+    }
+});
+
+// Project Filters - Auto-generated by build-projects.js
+(function() {
+    const bar = document.querySelector('.project-filters');
+    if (!bar) return;
+
+    const cards = Array.from(document.querySelectorAll('.project-grid .project-card'));
+    const pastWork = document.querySelector('.past-work');
+    const chips = Array.from(bar.querySelectorAll('.filter-chip'));
+    const status = bar.querySelector('.filter-status');
+    const clearButton = bar.querySelector('.filter-clear');
+    const state = { category: '', tech: '' };
+
+    function chipFor(group, value) {
+        return chips.find(chip => chip.dataset.filter === group && chip.dataset.value === value);
+    }
+
+    function readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(state).forEach(group => {
+            const value = params.get(group) || '';
+            state[group] = chipFor(group, value) ? value : '';
+        });
+    }
+
+    function writeUrl() {
+        const url = new URL(window.location.href);
+        Object.entries(state).forEach(([group, value]) => {
+            if (value) {
+                url.searchParams.set(group, value);
+            } else {
+                url.searchParams.delete(group);
+            }
+        });
+        history.replaceState(history.state, '', url);
+    }
+
+    function matches(card) {
+        if (state.category && card.dataset.category !== state.category) return false;
+        if (state.tech && !card.dataset.tech.split(' ').includes(state.tech)) return false;
+        return true;
+    }
+
+    function chipLabel(group) {
+        const chip = chipFor(group, state[group]);
+        return chip.firstChild.textContent.trim();
+    }
+
+    function describe(visible, collapsed) {
+        const parts = [];
+        if (state.category) parts.push('in ' + chipLabel('category'));
+        if (state.tech) parts.push('using ' + chipLabel('tech'));
+        const scope = parts.length ? ' ' + parts.join(' ') : '';
+
+        if (visible === 0) return 'No projects' + scope + '.';
+        if (!scope) return 'Showing all ' + cards.length + ' projects' + (collapsed ? ', ' + collapsed + ' of them under Past work' : '') + '.';
+        return 'Showing ' + visible + ' of ' + cards.length + ' projects' + scope + '.';
+    }
+
+    function applyFilters() {
+        let visible = 0;
+        cards.forEach(card => {
+            const show = matches(card);
+            if (show) visible++;
+            if (show && card.hidden) {
+                card.hidden = false;
+                // Restart the entrance animation
+                card.classList.remove('filter-enter');
+                void card.offsetWidth;
+                card.classList.add('filter-enter');
+            } else if (!show) {
+                card.hidden = true;
+            }
+        });
+
+        // Matches in the collapsed Past work group would be counted without being seen
+        const inPastWork = pastWork ? cards.filter(card => !card.hidden && pastWork.contains(card)).length : 0;
+        if (inPastWork > 0 && (state.category || state.tech)) pastWork.open = true;
+
+        chips.forEach(chip => {
+            const active = state[chip.dataset.filter] === chip.dataset.value;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+
+        status.textContent = describe(visible, pastWork && !pastWork.open ? inPastWork : 0);
+        clearButton.hidden = !state.category && !state.tech;
+    }
+
+    bar.addEventListener('click', (e) => {
+        if (e.target === clearButton) {
+            state.category = '';
+            state.tech = '';
+            chipFor('category', '').focus();
+        } else {
+            const chip = e.target.closest('.filter-chip');
+            if (!chip) return;
+            // Clicking the active chip again resets its group
+            const value = state[chip.dataset.filter] === chip.dataset.value ? '' : chip.dataset.value;
+            state[chip.dataset.filter] = value;
+        }
+        writeUrl();
+        applyFilters();
+    });
+
+    // Arrow keys move between the chips of a group
+    bar.addEventListener('keydown', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+
+        const group = Array.from(chip.parentElement.querySelectorAll('.filter-chip'));
+        const step = e.key === 'ArrowRight' ? 1 : -1;
+        group[(group.indexOf(chip) + step + group.length) % group.length].focus();
+        e.preventDefault();
+    });
+
+    readUrl();
+    applyFilters();
+})();
+
+// Project Search - Auto-generated by build-projects.js
+(function() {
+    const input = document.getElementById('project-search-input');
+    const indexScript = document.getElementById('project-search-index');
+    if (!input || !indexScript) return;
+
+    const list = document.getElementById('project-search-results');
+    const status = document.querySelector('.project-search-status');
+    const MAX_RESULTS = 8;
+    const EXACT = 1;
+    const PREFIX = 0.75;
+    const FUZZY = 0.4;
+    const TOKEN = /[\p{L}\p{N}][\p{L}\p{N}#+]*/gu;
+
+    // Matches in the title count most, matches in the body least
+    const FIELDS = [
+        { name: 'title', weight: 5 },
+        { name: 'tech', weight: 4 },
+        { name: 'category', weight: 3 },
+        { name: 'description', weight: 2 },
+        { name: 'body', weight: 1 }
+    ];
+
+    const docs = JSON.parse(indexScript.textContent).projects.map(project => {
+        const text = Object.assign({}, project, { tech: project.tech.join(', ') });
+        const tokens = {};
+        FIELDS.forEach(field => {
+            tokens[field.name] = Array.from(new Set(tokenize(text[field.name])));
+        });
+        return { project, text, tokens };
+    });
+
+    let results = [];
+    let activeIndex = -1;
+
+    function tokenize(text) {
+        return (String(text || '').toLowerCase().match(TOKEN) || []);
+    }
+
+    // Levenshtein distance, giving up once it exceeds `max`
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                best = Math.min(best, row[j]);
+            }
+            if (best > max) return max + 1;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    // How well a query term matches a word: exactly, as a prefix, or with a typo
+    function matchScore(term, token) {
+        if (token === term) return EXACT;
+        if (token.startsWith(term)) return PREFIX;
+        const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+        if (allowed === 0) return 0;
+        return editDistance(term, token.slice(0, term.length + allowed), allowed) <= allowed ? FUZZY : 0;
+    }
+
+    // Every term has to match somewhere in the project
+    function scoreDoc(doc, terms) {
+        let total = 0;
+        for (const term of terms) {
+            let best = 0;
+            FIELDS.forEach(field => {
+                doc.tokens[field.name].forEach(token => {
+                    best = Math.max(best, matchScore(term, token) * field.weight);
+                });
+            });
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    function search(query) {
+        const terms = Array.from(new Set(tokenize(query)));
+        if (terms.length === 0) return { terms, matches: [] };
+
+        const matches = docs
+            .map(doc => ({ doc, score: scoreDoc(doc, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.doc.project.title.localeCompare(b.doc.project.title))
+            .slice(0, MAX_RESULTS);
+        return { terms, matches };
+    }
+
+    // Append `text` to `parent`, wrapping the parts of words that match a term in <mark>
+    function appendHighlighted(parent, text, terms) {
+        let last = 0;
+        text.replace(TOKEN, (word, offset) => {
+            const lower = word.toLowerCase();
+            let length = 0;
+            terms.forEach(term => {
+                const score = matchScore(term, lower);
+                if (score === 0) return;
+                length = Math.max(length, score === FUZZY ? word.length : Math.min(term.length, word.length));
+            });
+            if (length > 0) {
+                parent.appendChild(document.createTextNode(text.slice(last, offset)));
+                const mark = document.createElement('mark');
+                mark.textContent = word.slice(0, length);
+                parent.appendChild(mark);
+                last = offset + length;
+            }
+            return word;
+        });
+        parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    // A short excerpt of the description or body around the first match
+    function snippet(doc, terms) {
+        for (const name of ['description', 'body']) {
+            const text = doc.text[name] || '';
+            let position = -1;
+            text.replace(TOKEN, (word, offset) => {
+                if (position === -1 && terms.some(term => matchScore(term, word.toLowerCase()) > 0)) {
+                    position = offset;
+                }
+                return word;
+            });
+            if (position === -1) continue;
+
+            const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, position - 40)) + 1);
+            const end = Math.min(text.length, position + 100);
+            return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+        }
+        return doc.text.description || '';
+    }
+
+    function render(query) {
+        const { terms, matches } = search(query);
+        results = matches;
+        activeIndex = -1;
+        list.innerHTML = '';
+
+        matches.forEach((result, i) => {
+            const { project } = result.doc;
+            const item = document.createElement('li');
+            item.id = 'project-search-result-' + i;
+            item.className = 'project-search-result';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.dataset.project = project.slug;
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            appendHighlighted(title, project.title, terms);
+
+            const meta = document.createElement('span');
+            meta.className = 'search-result-meta';
+            appendHighlighted(meta, [project.category].concat(project.tech).join(' · '), terms);
+
+            const excerpt = document.createElement('span');
+            excerpt.className = 'search-result-snippet';
+            appendHighlighted(excerpt, snippet(result.doc, terms), terms);
+
+            item.append(title, meta, excerpt);
+            list.appendChild(item);
+        });
+
+        const open = matches.length > 0;
+        list.hidden = !open;
+        input.setAttribute('aria-expanded', String(open));
+        input.removeAttribute('aria-activedescendant');
+
+        if (terms.length === 0) {
+            status.textContent = '';
+        } else if (!open) {
+            status.textContent = 'No projects match "' + query.trim() + '".';
+        } else {
+            status.textContent = matches.length + (matches.length === 1 ? ' project matches.' : ' projects match.') +
+                ' Use the arrow keys to choose one and Enter to open it.';
+        }
+    }
+
+    function setActive(index) {
+        const items = list.querySelectorAll('.project-search-result');
+        if (items.length === 0) return;
+        activeIndex = (index + items.length) % items.length;
+        items.forEach((item, i) => item.setAttribute('aria-selected', String(i === activeIndex)));
+        input.setAttribute('aria-activedescendant', items[activeIndex].id);
+        items[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function openResult(index) {
+        const result = results[index];
+        if (!result) return;
+        openProjectModal(result.doc.project.slug);
+    }
+
+    input.addEventListener('input', () => render(input.value));
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            setActive(activeIndex + 1);
+            e.preventDefault();
+        } else if (e.key === 'ArrowUp') {
+            setActive(activeIndex - 1);
+            e.preventDefault();
+        } else if (e.key === 'Enter') {
+            openResult(activeIndex === -1 ? 0 : activeIndex);
+            e.preventDefault();
+        } else if (e.key === 'Escape' && input.value) {
+            input.value = '';
+            render('');
+            e.stopPropagation();
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.project-search-result');
+        if (item) openResult(Array.from(list.children).indexOf(item));
+    });
+})();
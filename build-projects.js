@@ -4,132 +4,217 @@
  *
  * This script scans the /projects directory for project subdirectories,
  * reads their metadata and media files, and generates HTML for project
- * cards and modal popups that get injected into index.html.
+ * cards and modal popups that get injected into index.html, plus a
+ * standalone page per project (projects/<Name>/index.html). Cover and
+ * gallery images are resized into images/projects/<Name>/ with the same
+ * size table as generate-images.js and emitted as <picture> elements.
+ * The markup comes from the template files in /templates (see
+ * lib/templates.js), which a project can swap for a layout's.
+ * Testimonials in /testimonials fill the carousel in index.html and the
+ * modals of the projects they are linked to. The styles and scripts for
+ * all of this are written to assets/ and linked from every page, and the
+ * design tokens in tokens.json become the :root custom properties of
+ * index.html and brand_board.html (see lib/tokens.js). The contact form
+ * is pointed at `contact.endpoint` in site.config.json (see
+ * contact-server.js).
  *
- * Usage: node build-projects.js
+ * Usage: node build-projects.js           Rebuild index.html
+ *        node build-projects.js --check   Validate projects/ without writing
+ *        node build-projects.js --audit   Check colour contrast and card/modal
+ *                                         markup, writing audit-report.md
+ *        node build-projects.js --watch   Rebuild on changes and serve the site
+ *                                         with live reload (alias: serve,
+ *                                         --port 8080 to pick the port)
+ *
+ *        --include-drafts                 Also build drafts and projects whose
+ *                                         publish_date is still ahead, for a
+ *                                         local preview written to preview/
  *
  * Project Directory Structure:
  *   projects/
  *     Project_Name/
  *       project.md       - Required: Project metadata and description
+ *                          (`layout: case-study` picks templates/layouts/case-study/)
  *       cover.jpg/png    - Optional: Cover image for the card
  *       *.jpg/png/webp   - Optional: Gallery images
  *       *.mp4            - Optional: Video files
+ *       *.vtt/srt        - Optional: Captions for a video (demo.vtt, demo.es.srt)
  */
 
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { parseFrontMatter, parseYaml, validate, FrontMatterError } = require('./lib/front-matter');
+const { PROJECT_SCHEMA, TESTIMONIAL_SCHEMA } = require('./lib/schemas');
+const { readImageSize } = require('./lib/image-size');
+const { escapeHtml, escapeAttr, escapeComment, sanitizeUrl, urlPath, htmlToText } = require('./lib/html');
+const { markdownToHtml } = require('./lib/markdown');
+const { CAPTION_EXTS, matchCaptionFile, srtToVtt, isGeneratedVtt } = require('./lib/captions');
+const { CONFIG_FILE, loadConfig } = require('./lib/config');
+const { computeStats } = require('./lib/stats');
+const { createDevServer } = require('./lib/dev-server');
+const { glob } = require('./lib/glob');
+const { FEED_ATOM, FEED_JSON, SITEMAP, generateAtomFeed, generateJsonFeed, generateSitemap } = require('./lib/feeds');
+const { generateSocialMeta, generateJsonLd } = require('./lib/seo');
+const { createTemplates } = require('./lib/templates');
+const { TOKENS_FILE, loadTokens, generateRootBlock, generateSwatchGrid } = require('./lib/tokens');
+const { auditContrast, lintMarkup, formatRatio, formatReport } = require('./lib/audit');
 
 const PROJECTS_DIR = path.join(__dirname, 'projects');
+const TESTIMONIALS_DIR = path.join(__dirname, 'testimonials');
 const INDEX_FILE = path.join(__dirname, 'index.html');
+const BRAND_BOARD_FILE = path.join(__dirname, 'brand_board.html');
+const SEARCH_INDEX_FILE = path.join(__dirname, 'search-index.json');
+const AUDIT_REPORT_FILE = path.join(__dirname, 'audit-report.md');
+
+// Builds with --include-drafts write the pages, search index, feeds and
+// captions here instead of over the committed ones; watch mode serves them
+// in their place (see outputPath())
+const PREVIEW_DIR = path.join(__dirname, 'preview');
+let previewBuild = false;
+
+// Markup for cards, modals and galleries; layouts live in templates/layouts/<name>/
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_NAMES = ['card', 'modal', 'gallery', 'gallery-item', 'gallery-thumb', 'link-button'];
+const templates = createTemplates(TEMPLATES_DIR);
+
+// Project CSS and JS, written as assets/projects.<hash>.css and .js
+const ASSETS_DIR = path.join(__dirname, 'assets');
+const ASSET_NAME = 'projects';
+
+// The <style> block of index.html, shared with the project pages as assets/site.<hash>.css
+const SITE_STYLES_NAME = 'site';
 
 // Markers in index.html where we inject generated content
 const PROJECTS_START = '<!-- DYNAMIC-PROJECTS-START -->';
 const PROJECTS_END = '<!-- DYNAMIC-PROJECTS-END -->';
 const MODALS_START = '<!-- PROJECT-MODALS-START -->';
 const MODALS_END = '<!-- PROJECT-MODALS-END -->';
+const FILTERS_START = '<!-- PROJECT-FILTERS-START -->';
+const FILTERS_END = '<!-- PROJECT-FILTERS-END -->';
+const SEARCH_START = '<!-- PROJECT-SEARCH-START -->';
+const SEARCH_END = '<!-- PROJECT-SEARCH-END -->';
+const STATS_START = '<!-- HERO-STATS-START -->';
+const STATS_END = '<!-- HERO-STATS-END -->';
+const TESTIMONIALS_START = '<!-- TESTIMONIALS-START -->';
+const TESTIMONIALS_END = '<!-- TESTIMONIALS-END -->';
+const TESTIMONIAL_DOTS_START = '<!-- TESTIMONIAL-DOTS-START -->';
+const TESTIMONIAL_DOTS_END = '<!-- TESTIMONIAL-DOTS-END -->';
+const SEO_START = '<!-- SEO-META-START -->';
+const SEO_END = '<!-- SEO-META-END -->';
+const PAST_WORK_START = '<!-- PAST-WORK-START -->';
+const PAST_WORK_END = '<!-- PAST-WORK-END -->';
+const STYLES_START = '<!-- PROJECT-STYLES-START -->';
+const STYLES_END = '<!-- PROJECT-STYLES-END -->';
+const SCRIPTS_START = '<!-- PROJECT-SCRIPTS-START -->';
+const SCRIPTS_END = '<!-- PROJECT-SCRIPTS-END -->';
+// Inside <style>, so the design token markers are CSS comments
+const TOKENS_START = '/* DESIGN-TOKENS-START */';
+const TOKENS_END = '/* DESIGN-TOKENS-END */';
+const SWATCHES_START = '<!-- TOKEN-SWATCHES-START -->';
+const SWATCHES_END = '<!-- TOKEN-SWATCHES-END -->';
+const TOKEN_CODE_START = '<!-- TOKEN-CODE-START -->';
+const TOKEN_CODE_END = '<!-- TOKEN-CODE-END -->';
 
-/**
- * Parse a project.md file with YAML-like front matter
- */
-function parseProjectMd(content) {
-    const lines = content.split('\n');
-    const metadata = {};
-    let inFrontMatter = false;
-    let bodyStartIndex = 0;
+// Standalone page written into each project directory
+const PROJECT_PAGE = 'index.html';
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
+// Optional gallery order, captions and alt text, instead of `gallery` in project.md
+const GALLERY_FILE = 'gallery.yml';
 
-        if (line === '---') {
-            if (!inFrontMatter) {
-                inFrontMatter = true;
-                continue;
-            } else {
-                bodyStartIndex = i + 1;
-                break;
-            }
-        }
+// Poster frame of a video, named after it: demo.mp4 -> demo.poster.jpg
+const POSTER_SUFFIX = '.poster';
 
-        if (inFrontMatter && line.includes(':')) {
-            const colonIndex = line.indexOf(':');
-            const key = line.substring(0, colonIndex).trim().toLowerCase();
-            const value = line.substring(colonIndex + 1).trim();
-            metadata[key] = value;
-        }
-    }
+// Responsive variants of project images, one subdirectory per project
+const RESPONSIVE_IMAGES_DIR = path.join(__dirname, 'images', 'projects');
 
-    const body = lines.slice(bodyStartIndex).join('\n').trim();
+// Captions converted from .srt files, one subdirectory per project
+const CAPTIONS_DIR = path.join(__dirname, 'assets', 'captions');
 
-    return { metadata, body };
-}
+// `sizes` attributes matching the rendered image width in each layout
+const CARD_IMAGE_SIZES = '(min-width: 1200px) 360px, (min-width: 1025px) 33vw, (min-width: 769px) 50vw, 100vw';
+const MODAL_IMAGE_SIZES = '(min-width: 1000px) 900px, 90vw';
+const PAGE_IMAGE_SIZES = '(min-width: 1200px) 1136px, calc(100vw - 4rem)';
+
+// Variant formats offered as <picture> sources, best first; others are the <img> fallback
+const PICTURE_SOURCE_FORMATS = ['avif', 'webp'];
+
+const IMAGE_EXTS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+const IMAGE_MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+const VIDEO_EXTS = ['.mp4', '.webm', '.mov'];
+
+// Limits enforced by --check (see "Tips" in projects/README.md)
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MAX_IMAGE_DIMENSION = 2400;
+const MAX_VIDEO_BYTES = 10 * 1024 * 1024;
 
 /**
- * Convert markdown to simple HTML
+ * Parse a project.md file and validate its front matter against PROJECT_SCHEMA
+ *
+ * Returns { metadata, body, bodyLine, lines, errors } where each error is
+ * { line, message } and `lines` maps front matter keys to line numbers.
+ * Metadata is coerced to the schema types (`tech` is an array, `order` a number).
  */
-function markdownToHtml(md) {
-    if (!md) return '';
-
-    let html = md
-        // Headers
-        .replace(/^### (.+)$/gm, '<h4>$1</h4>')
-        .replace(/^## (.+)$/gm, '<h3>$1</h3>')
-        .replace(/^# (.+)$/gm, '<h2>$1</h2>')
-        // Bold and italic
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.+?)\*/g, '<em>$1</em>')
-        // Links
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
-        // Unordered lists (must come before ordered lists)
-        .replace(/^\s*[-*]\s+(.+)$/gm, '<uli>$1</uli>')
-        // Ordered lists (1. 2. 3. etc.)
-        .replace(/^\s*\d+\.\s+(.+)$/gm, '<oli>$1</oli>');
+function parseProjectMd(content) {
+    let parsed;
+    try {
+        parsed = parseFrontMatter(content);
+    } catch (err) {
+        if (!(err instanceof FrontMatterError)) throw err;
+        return { metadata: {}, body: '', bodyLine: 1, lines: {}, errors: [{ line: err.line, message: err.message }] };
+    }
 
-    // Wrap consecutive list items in ul/ol tags
-    html = html
-        .replace(/(<uli>.*<\/uli>\n?)+/g, match => `<ul>${match.replace(/<\/?uli>/g, m => m === '<uli>' ? '<li>' : '</li>')}</ul>`)
-        .replace(/(<oli>.*<\/oli>\n?)+/g, match => `<ol>${match.replace(/<\/?oli>/g, m => m === '<oli>' ? '<li>' : '</li>')}</ol>`);
+    const { value, errors } = validate(parsed.data, PROJECT_SCHEMA, parsed.lines, parsed.endLine);
+    return { metadata: value, body: parsed.body, bodyLine: parsed.bodyLine, lines: parsed.lines, errors };
+}
 
-    // Paragraphs (double newlines)
-    return html
-        .split(/\n\n+/)
-        .map(p => {
-            p = p.trim();
-            if (!p) return '';
-            if (p.startsWith('<h') || p.startsWith('<ul') || p.startsWith('<ol')) return p;
-            return `<p>${p.replace(/\n/g, ' ')}</p>`;
-        })
-        .join('\n');
+/**
+ * Format a diagnostic ({ level, file, line, message }) as "path:line: message"
+ */
+function formatDiagnostic({ level, file, line, message }) {
+    const relative = path.relative(__dirname, file).split(path.sep).join('/');
+    const location = line ? `${relative}:${line}` : relative;
+    return `${location}: ${level === 'warning' ? 'warning: ' : ''}${message}`;
 }
 
 /**
  * Get media files from a project directory
+ *
+ * Problems with caption sidecars are appended to `diagnostics`.
  */
-function getMediaFiles(projectDir) {
+function getMediaFiles(projectDir, diagnostics = []) {
     const files = fs.readdirSync(projectDir);
     const media = {
         cover: null,
         images: [],
-        videos: []  // Each video: { file: string, loop: boolean }
+        videos: [],       // Each video: { file, loop, captions, poster }, see findCaptions()
+        gallery: [],      // Gallery order, see orderGallery()
+        variants: {},     // Responsive variants by image file, see generateResponsiveImages()
+        placeholders: {}, // Blurred placeholder data URIs by image file
+        social: null      // 1200x630 crop of the cover as { url, width, height }
     };
 
-    const imageExts = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
-    const videoExts = ['.mp4', '.webm', '.mov'];
-
     for (const file of files) {
         const ext = path.extname(file).toLowerCase();
         const baseName = path.basename(file, ext).toLowerCase();
 
-        if (imageExts.includes(ext)) {
+        if (IMAGE_EXTS.includes(ext)) {
+            if (baseName.endsWith(POSTER_SUFFIX)) continue;
             if (baseName === 'cover' || baseName === 'thumbnail' || baseName === 'preview') {
                 media.cover = file;
             } else {
                 media.images.push(file);
             }
-        } else if (videoExts.includes(ext)) {
+        } else if (VIDEO_EXTS.includes(ext)) {
             // Check if video should loop (filename contains '_loop' or starts with 'loop')
             const shouldLoop = baseName.includes('_loop') || baseName.startsWith('loop');
-            media.videos.push({ file, loop: shouldLoop });
+            media.videos.push({
+                file,
+                loop: shouldLoop,
+                captions: findCaptions(projectDir, files, file, diagnostics),
+                poster: findPoster(files, file)
+            });
         }
     }
 
@@ -142,736 +227,3864 @@ function getMediaFiles(projectDir) {
 }
 
 /**
- * Generate HTML for a project card
+ * Find a video's poster image (demo.poster.jpg for demo.mp4), or null
  */
-function generateProjectCard(project, slug) {
-    const { metadata, media } = project;
-    const tech = metadata.tech ? metadata.tech.split(',').map(t => t.trim()) : [];
+function findPoster(files, video) {
+    const name = path.basename(video, path.extname(video)).toLowerCase() + POSTER_SUFFIX;
+    return files.find(file => {
+        const ext = path.extname(file).toLowerCase();
+        return IMAGE_EXTS.includes(ext) && path.basename(file, ext).toLowerCase() === name;
+    }) || null;
+}
 
-    // Determine the image source
-    let imageHtml = '';
-    if (media.cover) {
-        const imgPath = `projects/${slug}/${media.cover}`;
-        imageHtml = `
-                        <img src="${imgPath}" alt="${metadata.title}" loading="lazy">`;
-    } else {
-        // Placeholder for projects without images
-        imageHtml = `
-                        <div class="project-placeholder">
-                            <i class="fas fa-folder-open"></i>
-                            <span>Preview Coming Soon</span>
-                        </div>`;
-    }
+/**
+ * Read a project's `gallery` list from project.md or, failing that, from
+ * gallery.yml next to it. Returns { entries, file, line } (where the list
+ * was declared) or null when there is none.
+ */
+function loadGallery(projectDir, metadata, lines, diagnostics) {
+    const projectMdPath = path.join(projectDir, 'project.md');
+    const galleryPath = path.join(projectDir, GALLERY_FILE);
+    const hasFile = fs.existsSync(galleryPath);
 
-    // Tech badges
-    const techBadges = tech.map(t => `<span class="tech-badge">${t}</span>`).join('\n                                ');
+    if (metadata.gallery) {
+        if (hasFile) {
+            diagnostics.push({ level: 'error', file: projectMdPath, line: lines.gallery, message: `"gallery" is also declared in ${GALLERY_FILE}; keep one of them` });
+        }
+        return { entries: metadata.gallery, file: projectMdPath, line: lines.gallery };
+    }
+    if (!hasFile) return null;
 
-    // Links section
-    let linksHtml = '';
-    if (metadata.github) {
-        linksHtml += `
-                            <a href="${metadata.github}" class="project-link" target="_blank" rel="noopener">
-                                <i class="fab fa-github"></i> View on GitHub
-                            </a>`;
+    let data;
+    try {
+        ({ data } = parseYaml(fs.readFileSync(galleryPath, 'utf-8')));
+    } catch (err) {
+        if (!(err instanceof FrontMatterError)) throw err;
+        diagnostics.push({ level: 'error', file: galleryPath, line: err.line, message: err.message });
+        return null;
     }
-    if (metadata.live) {
-        linksHtml += `
-                            <a href="${metadata.live}" class="project-link live-link" target="_blank" rel="noopener">
-                                <i class="fas fa-external-link-alt"></i> Live Demo
-                            </a>`;
+    if (!Array.isArray(data)) {
+        diagnostics.push({ level: 'error', file: galleryPath, line: 1, message: 'expected a list of gallery items ("- file: screenshot.png")' });
+        return null;
     }
 
-    return `
-                    <!-- ${metadata.title} -->
-                    <div class="project-card" data-project="${slug}">
-                        <div class="project-image">${imageHtml}
-                            <div class="project-overlay">
-                                <button class="view-project-btn" data-action="open-modal" data-project="${slug}">
-                                    <i class="fas fa-expand"></i> View Details
-                                </button>
-                            </div>
-                        </div>
-                        <div class="project-content">
-                            <span class="project-category">${metadata.category || 'Project'}</span>
-                            <h3 class="project-title">${metadata.title}</h3>
-                            <p class="project-description">${metadata.description || ''}</p>
-                            <div class="project-tech">
-                                ${techBadges}
-                            </div>
-                            <div class="project-links">${linksHtml}
-                            </div>
-                        </div>
-                    </div>`;
+    const { value, errors } = validate({ gallery: data }, { gallery: PROJECT_SCHEMA.gallery });
+    for (const error of errors) {
+        diagnostics.push({ level: 'error', file: galleryPath, ...error });
+    }
+    return errors.length > 0 ? null : { entries: value.gallery || [], file: galleryPath, line: 1 };
 }
 
 /**
- * Generate HTML for a project modal
+ * Arrange the cover, images and videos into media.gallery as
+ * [{ type, file, caption, alt, video }]
+ *
+ * Without a gallery list the cover comes first, then the other images, then
+ * the videos. With one (see loadGallery), its order, captions, alt text and
+ * posters apply, and media it leaves out is appended with a warning.
  */
-function generateProjectModal(project, slug) {
-    const { metadata, body, media } = project;
-    const tech = metadata.tech ? metadata.tech.split(',').map(t => t.trim()) : [];
-
-    // Gallery section
-    let galleryHtml = '';
-    const allMedia = [];
-
-    if (media.cover) {
-        allMedia.push({ type: 'image', src: `projects/${slug}/${media.cover}` });
-    }
-    for (const img of media.images) {
-        allMedia.push({ type: 'image', src: `projects/${slug}/${img}` });
+function orderGallery(projectDir, media, gallery, diagnostics) {
+    const available = new Map();
+    for (const file of [media.cover, ...media.images]) {
+        if (file) available.set(file, { type: 'image', file });
     }
-    for (const vid of media.videos) {
-        allMedia.push({ type: 'video', src: `projects/${slug}/${vid.file}`, loop: vid.loop });
+    for (const video of media.videos) {
+        available.set(video.file, { type: 'video', file: video.file, video });
     }
+    if (!gallery) return [...available.values()];
 
-    if (allMedia.length > 0) {
-        const mediaItems = allMedia.map((item, idx) => {
-            if (item.type === 'image') {
-                return `
-                        <div class="gallery-item${idx === 0 ? ' active' : ''}" data-index="${idx}">
-                            <img src="${item.src}" alt="${metadata.title} screenshot ${idx + 1}" loading="lazy">
-                        </div>`;
-            } else {
-                // Looping videos autoplay muted like GIFs; regular videos have controls
-                const videoAttrs = item.loop
-                    ? 'autoplay loop muted playsinline class="loop-video"'
-                    : 'controls';
-                return `
-                        <div class="gallery-item${idx === 0 ? ' active' : ''}${item.loop ? ' loop-video-container' : ''}" data-index="${idx}">
-                            <video ${videoAttrs}>
-                                <source src="${item.src}" type="video/${path.extname(item.src).slice(1)}">
-                                Your browser does not support video playback.
-                            </video>
-                        </div>`;
-            }
-        }).join('');
-
-        const thumbnails = allMedia.map((item, idx) => {
-            if (item.type === 'image') {
-                return `
-                            <button class="gallery-thumb${idx === 0 ? ' active' : ''}" data-index="${idx}">
-                                <img src="${item.src}" alt="Thumbnail ${idx + 1}">
-                            </button>`;
-            } else {
-                // Use sync icon for looping videos, play icon for regular videos
-                const icon = item.loop ? 'fa-sync-alt' : 'fa-play-circle';
-                return `
-                            <button class="gallery-thumb${idx === 0 ? ' active' : ''}" data-index="${idx}" title="${item.loop ? 'Looping video' : 'Video'}">
-                                <i class="fas ${icon}"></i>
-                            </button>`;
-            }
-        }).join('');
-
-        galleryHtml = `
-                <div class="modal-gallery">
-                    <div class="gallery-main">${mediaItems}
-                        ${allMedia.length > 1 ? `
-                        <button class="gallery-nav gallery-prev"><i class="fas fa-chevron-left"></i></button>
-                        <button class="gallery-nav gallery-next"><i class="fas fa-chevron-right"></i></button>` : ''}
-                    </div>
-                    ${allMedia.length > 1 ? `
-                    <div class="gallery-thumbnails">${thumbnails}
-                    </div>` : ''}
-                </div>`;
+    const error = message => diagnostics.push({ level: 'error', file: gallery.file, line: gallery.line, message });
+
+    // Images named as a poster belong to their video rather than the gallery
+    for (const { poster } of gallery.entries) {
+        if (poster && available.has(poster) && available.get(poster).type === 'image') available.delete(poster);
     }
 
-    // Tech tags
-    const techTags = tech.map(t => `<span class="modal-tech-tag">${t}</span>`).join('');
+    const items = [];
+    const listed = new Set();
+    for (const entry of gallery.entries) {
+        const item = available.get(entry.file);
+        if (!item) {
+            error(listed.has(entry.file)
+                ? `gallery lists "${entry.file}" more than once`
+                : `gallery lists "${entry.file}", which is not an image or video in this project`);
+            continue;
+        }
+        available.delete(entry.file);
+        listed.add(entry.file);
 
-    // Links
-    let linksHtml = '';
-    if (metadata.github) {
-        linksHtml += `
-                    <a href="${metadata.github}" class="modal-link github" target="_blank" rel="noopener">
-                        <i class="fab fa-github"></i> View Source Code
-                    </a>`;
-    }
-    if (metadata.live) {
-        linksHtml += `
-                    <a href="${metadata.live}" class="modal-link live" target="_blank" rel="noopener">
-                        <i class="fas fa-external-link-alt"></i> Launch Demo
-                    </a>`;
+        if (entry.poster) {
+            if (item.type !== 'video') {
+                error(`gallery item "${entry.file}" is not a video, so it cannot have a poster`);
+            } else if (!IMAGE_EXTS.includes(path.extname(entry.poster).toLowerCase()) || !fs.existsSync(path.join(projectDir, entry.poster))) {
+                error(`poster "${entry.poster}" for "${entry.file}" is not an image in this project`);
+            } else {
+                item.video.poster = entry.poster;
+            }
+        }
+        items.push({ ...item, caption: entry.caption, alt: entry.alt });
     }
 
-    // Body content
-    const bodyHtml = markdownToHtml(body);
-
-    return `
-        <!-- ${metadata.title} Modal -->
-        <div class="project-modal" id="modal-${slug}" role="dialog" aria-labelledby="modal-title-${slug}" aria-hidden="true">
-            <div class="modal-backdrop" data-action="close-modal" data-project="${slug}"></div>
-            <div class="modal-container">
-                <button class="modal-close" data-action="close-modal" data-project="${slug}" aria-label="Close modal">
-                    <i class="fas fa-times"></i>
-                </button>
-                ${galleryHtml}
-                <div class="modal-content">
-                    <span class="modal-category">${metadata.category || 'Project'}</span>
-                    <h2 class="modal-title" id="modal-title-${slug}">${metadata.title}</h2>
-                    <div class="modal-tech-stack">
-                        ${techTags}
-                    </div>
-                    <div class="modal-description">
-                        ${bodyHtml || `<p>${metadata.description || ''}</p>`}
-                    </div>
-                    <div class="modal-links">
-                        ${linksHtml}
-                    </div>
-                </div>
-            </div>
-        </div>`;
+    for (const item of available.values()) {
+        diagnostics.push({
+            level: 'warning',
+            file: path.join(projectDir, item.file),
+            message: `not listed in the gallery (${path.relative(projectDir, gallery.file)}); added at the end`
+        });
+        items.push(item);
+    }
+    return items;
 }
 
 /**
- * Load all projects from the projects directory
+ * Find the caption sidecars for a video (demo.vtt, demo.en.vtt, demo.es.srt, ...)
+ *
+ * Returns [{ file, source, srclang, label, convert }], where `file` is the
+ * .vtt to serve and `convert` is set when it has to be generated from the
+ * .srt in `source` (into CAPTIONS_DIR; see convertCaptions()). A hand-written
+ * .vtt wins over an .srt with the same name, and a file with a language code
+ * over one without (demo.en.vtt over demo.vtt) when both are the same language.
  */
-function loadProjects() {
-    const projects = [];
-
-    if (!fs.existsSync(PROJECTS_DIR)) {
-        console.log('No projects directory found. Creating one...');
-        fs.mkdirSync(PROJECTS_DIR, { recursive: true });
-        return projects;
-    }
+function findCaptions(projectDir, files, video, diagnostics) {
+    const videoBase = path.basename(video, path.extname(video));
+    const byName = new Map();
 
-    const entries = fs.readdirSync(PROJECTS_DIR, { withFileTypes: true });
+    for (const file of files) {
+        const match = matchCaptionFile(file, videoBase);
+        if (!match) continue;
 
-    for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
+        const name = file.slice(0, -(match.format.length + 1));
+        const entry = byName.get(name.toLowerCase()) || { name, match };
+        entry[match.format] = file;
+        byName.set(name.toLowerCase(), entry);
+    }
 
-        // Skip directories starting with underscore (templates, drafts, etc.)
-        if (entry.name.startsWith('_')) {
-            console.log(`Skipping ${entry.name}: underscore-prefixed directory`);
+    const entries = [...byName.values()].sort((a, b) =>
+        Number(a.name.length === videoBase.length) - Number(b.name.length === videoBase.length) || a.name.localeCompare(b.name));
+    const languages = new Map();
+    const tracks = [];
+    for (const { name, match, vtt, srt } of entries) {
+        const same = languages.get(match.srclang);
+        if (same) {
+            diagnostics.push({
+                level: 'warning',
+                file: path.join(projectDir, vtt || srt),
+                message: `ignored because ${same} has the same language (${match.srclang})`
+            });
             continue;
         }
+        languages.set(match.srclang, vtt || srt);
 
-        const projectDir = path.join(PROJECTS_DIR, entry.name);
-        const projectMdPath = path.join(projectDir, 'project.md');
-
-        if (!fs.existsSync(projectMdPath)) {
-            console.log(`Skipping ${entry.name}: no project.md found`);
-            continue;
+        // Keep a hand-written .vtt; one generated by an earlier build is replaced from the .srt
+        let convert = Boolean(srt);
+        if (vtt && srt) {
+            convert = isGeneratedVtt(fs.readFileSync(path.join(projectDir, vtt), 'utf-8'));
+            if (!convert) {
+                diagnostics.push({
+                    level: 'warning',
+                    file: path.join(projectDir, srt),
+                    message: `ignored because ${vtt} exists (delete one of them)`
+                });
+            }
         }
 
-        const content = fs.readFileSync(projectMdPath, 'utf-8');
-        const { metadata, body } = parseProjectMd(content);
-        const media = getMediaFiles(projectDir);
-
-        projects.push({
-            slug: entry.name,
-            metadata,
-            body,
-            media
+        tracks.push({
+            file: convert ? `${name}.vtt` : vtt,
+            source: convert ? srt : vtt,
+            srclang: match.srclang,
+            label: match.label,
+            convert
         });
     }
 
-    // Sort by order if specified, otherwise alphabetically by title
-    projects.sort((a, b) => {
-        const orderA = parseInt(a.metadata.order) || 999;
-        const orderB = parseInt(b.metadata.order) || 999;
-        if (orderA !== orderB) return orderA - orderB;
-        return (a.metadata.title || a.slug).localeCompare(b.metadata.title || b.slug);
-    });
+    return tracks.sort((a, b) => a.file.localeCompare(b.file));
+}
 
-    return projects;
+/**
+ * The card's view of a project's metadata, with defaults applied and links
+ * sanitized; shared with the structured data so both describe it the same way
+ */
+function cardData(project) {
+    const { metadata } = project;
+    return {
+        title: metadata.title,
+        category: metadata.category || 'Project',
+        description: metadata.description,
+        tech: metadata.tech || [],
+        github: sanitizeUrl(metadata.github),
+        live: sanitizeUrl(metadata.live)
+    };
 }
 
 /**
- * Generate the CSS for modals and galleries
+ * Generate HTML for a project card from templates/card.html
  */
-function generateModalCSS() {
-    return `
-    /* Project Modal Styles - Auto-generated by build-projects.js */
-    .project-modal {
-        display: none;
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 10000;
-        opacity: 0;
-        transition: opacity 0.3s ease;
-    }
+function generateProjectCard(project, slug) {
+    const { media } = project;
+    const { title, category, description, tech } = cardData(project);
+    const video = media.gallery.find(item => item.type === 'video');
 
-    .project-modal.active {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        opacity: 1;
-    }
+    return '\n' + templates.render('card', {
+        comment: escapeComment(title),
+        slug,
+        title,
+        category,
+        categoryKey: filterKey(category),
+        description,
+        tech,
+        techKeys: tech.map(filterKey).join(' '),
+        // Blurred placeholder shown behind the cover while it loads
+        placeholder: media.placeholders[media.cover] || null,
+        cover: media.cover ? generatePicture(project, media.cover, {
+            alt: title,
+            sizes: CARD_IMAGE_SIZES,
+            indent: '                            '
+        }) : null,
+        // The first video, for layouts that lead with it
+        video: video ? {
+            src: urlPath('projects', slug, video.file),
+            mimeType: videoMimeType(video.file),
+            loop: video.video.loop,
+            poster: video.video.poster ? imageUrl(project, video.video.poster) : null
+        } : null,
+        cardLinks: projectLinks(project.metadata, 'card')
+    }, { layout: project.layout, indent: '                    ' });
+}
 
-    .modal-backdrop {
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.85);
-        cursor: pointer;
-    }
+/**
+ * Generate the collapsed "Past work" group holding the archived projects'
+ * cards, or nothing when there are none
+ */
+function generatePastWork(count, cardsHtml) {
+    if (count === 0) return '';
+    return `
+            <details class="past-work">
+                <summary class="past-work-summary">
+                    <span class="past-work-title">Past work</span>
+                    <span class="past-work-count">${count} project${count === 1 ? '' : 's'}</span>
+                </summary>
+                <div class="project-grid past-work-grid">${cardsHtml}
+                </div>
+            </details>`;
+}
 
-    .modal-container {
-        position: relative;
-        background: var(--bg-card, #fff);
-        border-radius: 16px;
-        max-width: 900px;
-        max-height: 90vh;
-        width: 90%;
-        overflow-y: auto;
-        box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.5);
-        animation: modalSlideIn 0.3s ease;
-    }
+/**
+ * Value used for a category or technology in data attributes and the URL
+ * ("Google Apps Script" -> "google-apps-script"). Only whitespace is
+ * replaced, so names like "C#" and "C++" stay distinct.
+ */
+function filterKey(value) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
 
-    @keyframes modalSlideIn {
-        from {
-            transform: translateY(20px);
-            opacity: 0;
-        }
-        to {
-            transform: translateY(0);
-            opacity: 1;
+/**
+ * Generate the category and technology filter chips for the project grid
+ *
+ * Each chip shows how many projects it matches; the most common values come
+ * first. The filtering itself happens client-side (generateFilterJS).
+ */
+function generateFilterBar(projects) {
+    const groups = [
+        { name: 'category', label: 'Category', values: projects.map(p => [p.metadata.category || 'Project']) },
+        { name: 'tech', label: 'Technology', values: projects.map(p => p.metadata.tech || []) }
+    ];
+
+    const groupsHtml = groups.map(({ name, label, values }) => {
+        const counts = new Map();
+        for (const projectValues of values) {
+            // Count each project once per value, keeping the first spelling seen
+            for (const key of new Set(projectValues.map(filterKey))) {
+                const display = projectValues.find(v => filterKey(v) === key);
+                const entry = counts.get(key) || { display, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            }
         }
-    }
 
-    .modal-close {
-        position: absolute;
-        top: 1rem;
-        right: 1rem;
-        width: 40px;
-        height: 40px;
-        border: none;
-        background: var(--bg-surface, #f5f5f5);
-        border-radius: 50%;
-        cursor: pointer;
-        z-index: 10;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        font-size: 1.25rem;
-        color: var(--text-secondary, #666);
-        transition: all 0.2s ease;
-    }
+        const chips = [...counts]
+            .sort(([, a], [, b]) => b.count - a.count || a.display.localeCompare(b.display))
+            .map(([key, { display, count }]) => generateFilterChip(name, key, display, count));
 
-    .modal-close:hover {
-        background: var(--accent-kinetic, #2d5a4a);
-        color: white;
-    }
+        return `
+                <div class="filter-group" role="group" aria-label="Filter by ${label.toLowerCase()}">
+                    <span class="filter-label">${label}</span>${generateFilterChip(name, '', 'All', projects.length)}${chips.join('')}
+                </div>`;
+    }).join('');
 
-    .modal-gallery {
-        position: relative;
-        background: #000;
-    }
+    return `
+            <div class="project-filters">${groupsHtml}
+                <div class="filter-summary">
+                    <p class="filter-status" role="status" aria-live="polite"></p>
+                    <button type="button" class="filter-clear" hidden>Clear filters</button>
+                </div>
+            </div>`;
+}
 
-    .gallery-main {
-        position: relative;
-        width: 100%;
-        aspect-ratio: 16/9;
-        overflow: hidden;
-    }
+function generateFilterChip(group, key, label, count) {
+    const active = key === '';
+    return `
+                    <button type="button" class="filter-chip${active ? ' active' : ''}" data-filter="${group}" data-value="${escapeAttr(key)}" aria-pressed="${active}">
+                        ${escapeHtml(label)} <span class="filter-count">${count}</span>
+                    </button>`;
+}
 
-    .gallery-item {
-        display: none;
-        width: 100%;
-        height: 100%;
-    }
+/**
+ * Build the search index: each project's title, category, tech list,
+ * description and markdown body flattened to plain text
+ */
+function generateSearchIndex(projects) {
+    return {
+        version: 1,
+        projects: projects.map(({ slug, metadata, body }) => ({
+            slug,
+            title: metadata.title,
+            category: metadata.category || 'Project',
+            tech: metadata.tech || [],
+            description: metadata.description,
+            body: htmlToText(markdownToHtml(body))
+        }))
+    };
+}
 
-    .gallery-item.active {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-    }
+/**
+ * Generate the search box for the projects section
+ *
+ * The index is embedded as JSON so search works without a server (or from
+ * file://); search-index.json holds the same data for other tools.
+ */
+function generateSearchBox(index) {
+    // "<" can't appear raw inside <script>, or "</script>" in a project body would end it
+    const json = JSON.stringify(index).replace(/</g, '\\u003c');
+    return `
+            <div class="project-search">
+                <label for="project-search-input" class="project-search-label">Search projects</label>
+                <div class="project-search-field">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" id="project-search-input" class="project-search-input" placeholder="Try &quot;QTI export&quot; or &quot;Firebase&quot;" autocomplete="off" spellcheck="false" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="project-search-results">
+                    <ul id="project-search-results" class="project-search-results" role="listbox" aria-label="Matching projects" hidden></ul>
+                </div>
+                <p class="project-search-status" role="status" aria-live="polite"></p>
+                <script type="application/json" id="project-search-index">${json}</script>
+            </div>`;
+}
 
-    .gallery-item img,
-    .gallery-item video {
-        max-width: 100%;
-        max-height: 100%;
-        object-fit: contain;
+/**
+ * Evaluate the `stats` section of site.config.json against the projects
+ *
+ * Configuration problems are added to `diagnostics` as errors on the
+ * config file; the stats that could be computed are returned.
+ */
+function loadHeroStats(projects, diagnostics) {
+    const { stats, errors } = computeStats(projects, loadConfig().stats);
+    for (const message of errors) {
+        diagnostics.push({ level: 'error', file: CONFIG_FILE, message });
     }
+    return stats;
+}
 
-    .gallery-nav {
-        position: absolute;
-        top: 50%;
-        transform: translateY(-50%);
-        width: 50px;
-        height: 50px;
-        border: none;
-        background: rgba(255, 255, 255, 0.9);
-        border-radius: 50%;
-        cursor: pointer;
-        font-size: 1.25rem;
-        color: #333;
-        transition: all 0.2s ease;
+/**
+ * Read the design tokens from tokens.json
+ *
+ * Problems are added to `diagnostics` as errors on tokens.json; the valid
+ * tokens are returned.
+ */
+function loadDesignTokens(diagnostics) {
+    const { tokens, errors } = loadTokens(TOKENS_FILE);
+    for (const message of errors) {
+        diagnostics.push({ level: 'error', file: TOKENS_FILE, message });
     }
+    return tokens;
+}
 
-    .gallery-nav:hover {
-        background: white;
-        transform: translateY(-50%) scale(1.1);
-    }
+/**
+ * Generate the :root block for a page's <style>, between the design token
+ * markers
+ */
+function generateTokenStyles(tokens, indent) {
+    return `\n${indent}/* Generated from tokens.json by build-projects.js; edit the tokens there */\n${generateRootBlock(tokens, indent)}`;
+}
 
-    .gallery-prev { left: 1rem; }
-    .gallery-next { right: 1rem; }
+/**
+ * Generate the hero stat items animated by the number counter in index.html
+ */
+function generateHeroStats(stats) {
+    return stats.map(stat => {
+        const suffixAttr = stat.suffix ? ` data-suffix="${escapeAttr(stat.suffix)}"` : '';
+        return `
+                <div class="stat-item">
+                    <div class="stat-icon">
+                        <i class="${escapeAttr(stat.icon)}"></i>
+                    </div>
+                    <div class="stat-number">
+                        <span class="count-value" data-target="${stat.value}"${suffixAttr}>0</span><span class="stat-suffix">${escapeHtml(stat.suffix)}</span>
+                    </div>
+                    <div class="stat-label">${escapeHtml(stat.label)}</div>
+                </div>`;
+    }).join('');
+}
 
-    .gallery-thumbnails {
-        display: flex;
-        gap: 0.5rem;
-        padding: 0.75rem;
-        background: rgba(0, 0, 0, 0.8);
-        overflow-x: auto;
-        justify-content: center;
-    }
+/**
+ * Generate the rating stars, author block and quote shared by carousel
+ * slides and project modals
+ */
+function generateTestimonialCard(testimonial, root = '') {
+    const { metadata, body } = testimonial;
+    const rating = metadata.rating ? `
+                            <div class="testimonial-stars" role="img" aria-label="Rated ${metadata.rating} out of 5">
+                                ${Array.from({ length: 5 }, (_, i) => `<i class="${i < metadata.rating ? 'fas' : 'far'} fa-star" aria-hidden="true"></i>`).join('\n                                ')}
+                            </div>` : '';
 
-    .gallery-thumb {
-        width: 60px;
-        height: 45px;
-        border: 2px solid transparent;
-        border-radius: 4px;
-        overflow: hidden;
-        cursor: pointer;
-        padding: 0;
-        background: rgba(255, 255, 255, 0.1);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.2s ease;
+    let avatar;
+    if (metadata.avatar) {
+        const src = /^https?:\/\//i.test(metadata.avatar)
+            ? sanitizeUrl(metadata.avatar)
+            : root + urlPath('testimonials', ...metadata.avatar.split(/[\\/]+/));
+        avatar = `<img src="${escapeAttr(src)}" alt="" loading="lazy" decoding="async">`;
+    } else {
+        avatar = escapeHtml(initials(metadata.name));
     }
 
-    .gallery-thumb.active {
-        border-color: var(--accent-solar, #d4a574);
-    }
+    const details = [
+        metadata.role ? `<span>${escapeHtml(metadata.role)}</span>` : '',
+        metadata.organization ? `<p>${escapeHtml(metadata.organization)}</p>` : ''
+    ].filter(Boolean).map(line => `\n                                    ${line}`).join('');
 
-    .gallery-thumb img {
-        width: 100%;
-        height: 100%;
-        object-fit: cover;
-    }
+    return `${rating}
+                            <blockquote class="testimonial-quote">
+                                ${markdownToHtml(body)}
+                            </blockquote>
+                            <div class="testimonial-author-premium">
+                                <div class="testimonial-avatar-premium">${avatar}</div>
+                                <div class="testimonial-info-premium">
+                                    <h4>${escapeHtml(metadata.name)}</h4>${details}
+                                </div>
+                            </div>`;
+}
 
-    .gallery-thumb i {
-        font-size: 1.25rem;
-        color: white;
-    }
+// "Jane Q. Doe" -> "JD"
+function initials(name) {
+    const words = name.split(/\s+/).filter(word => /\p{L}/u.test(word));
+    const letters = words.length > 1 ? [words[0], words[words.length - 1]] : words;
+    return letters.map(word => word.match(/\p{L}/u)[0].toUpperCase()).join('');
+}
 
-    .modal-content {
-        padding: 2rem;
-    }
+/**
+ * Generate the testimonial carousel slides; the first one holds the
+ * autoplay progress bar
+ */
+function generateTestimonialSlides(testimonials) {
+    return testimonials.map((testimonial, index) => `
+                    <!-- ${escapeComment(testimonial.metadata.name)} -->
+                    <div class="testimonial-slide" id="testimonial-${escapeAttr(testimonial.id)}">
+                        <div class="testimonial-card-premium">${generateTestimonialCard(testimonial)}${index === 0 ? `
+                            <div class="carousel-progress" id="progress-bar"></div>` : ''}
+                        </div>
+                    </div>`).join('\n');
+}
 
-    .modal-category {
-        display: inline-block;
-        padding: 0.25rem 0.75rem;
-        background: var(--accent-kinetic, #2d5a4a);
-        color: white;
-        border-radius: 20px;
-        font-size: 0.75rem;
-        font-weight: 600;
-        text-transform: uppercase;
-        letter-spacing: 0.05em;
-        margin-bottom: 0.75rem;
-    }
+/**
+ * Generate one carousel dot per testimonial
+ */
+function generateTestimonialDots(testimonials) {
+    return testimonials.map((testimonial, index) => `
+                        <button class="carousel-dot${index === 0 ? ' active' : ''}" data-index="${index}" aria-label="Go to testimonial ${index + 1}"></button>`).join('');
+}
 
-    .modal-title {
-        font-family: var(--font-head, serif);
-        font-size: 2rem;
-        color: var(--text-primary, #1a1a1a);
-        margin-bottom: 1rem;
-    }
+/**
+ * Generate the testimonials linked to a project, for its modal and page
+ */
+function generateProjectTestimonials(testimonials, root = '') {
+    if (testimonials.length === 0) return '';
 
-    .modal-tech-stack {
-        display: flex;
-        flex-wrap: wrap;
-        gap: 0.5rem;
-        margin-bottom: 1.5rem;
-    }
+    return `
+                    <section class="modal-testimonials" aria-label="Testimonials">
+                        ${testimonials.map(testimonial => `<div class="testimonial-card-premium">${generateTestimonialCard(testimonial, root)}
+                        </div>`).join('\n                        ')}
+                    </section>`;
+}
 
-    .modal-tech-tag {
-        padding: 0.25rem 0.75rem;
-        background: var(--bg-surface, #f5f5f5);
-        border-radius: 4px;
-        font-size: 0.8rem;
-        color: var(--text-secondary, #666);
+/**
+ * Template data for a project's gallery (templates/gallery.html), or null
+ * when it has no media
+ *
+ * `root` is the path from the output page back to the site root, so the
+ * same markup works in index.html ('') and in projects/<slug>/index.html.
+ */
+function galleryData(project, slug, root = '', sizes = MODAL_IMAGE_SIZES) {
+    const { metadata, media } = project;
+    if (media.gallery.length === 0) return null;
+
+    const thumbnailOf = file => {
+        const thumbnail = (media.variants[file] || []).find(v => v.size === 'thumbnail' && !PICTURE_SOURCE_FORMATS.includes(v.format));
+        const size = thumbnail || projectImageSize(project, file);
+        return {
+            src: thumbnail ? root + thumbnail.url : root + urlPath('projects', slug, file),
+            width: size ? size.width : null,
+            height: size ? size.height : null
+        };
+    };
+
+    const items = media.gallery.map(({ type, file, caption, alt, video }, idx) => {
+        if (type === 'image') {
+            return {
+                video: false,
+                loop: false,
+                poster: null,
+                caption,
+                picture: generatePicture(project, file, {
+                    alt: alt || `${metadata.title} screenshot ${idx + 1}`,
+                    sizes,
+                    root,
+                    indent: '                            '
+                }),
+                thumb: thumbnailOf(file)
+            };
+        }
+        return {
+            video: true,
+            loop: video.loop,
+            caption,
+            alt,
+            src: root + urlPath('projects', slug, file),
+            mimeType: videoMimeType(file),
+            poster: video.poster ? { src: imageUrl(project, video.poster, root), thumb: thumbnailOf(video.poster) } : null,
+            tracks: video.captions.map(track => ({
+                ...track,
+                src: root + urlPath(...(track.convert ? ['assets', 'captions'] : ['projects']), slug, track.file)
+            }))
+        };
+    });
+
+    return { title: metadata.title, count: items.length, multiple: items.length > 1, items };
+}
+
+/**
+ * Generate the gallery slider for a project page (modals include
+ * templates/gallery.html themselves)
+ */
+function generateGallery(project, slug, root = '', sizes = MODAL_IMAGE_SIZES) {
+    const gallery = galleryData(project, slug, root, sizes);
+    if (!gallery) return '';
+    return templates.render('gallery', gallery, { layout: project.layout, indent: '                ' }).trimStart();
+}
+
+/**
+ * URL of the medium-sized fallback variant of a project image, or of the
+ * original when no variants were generated
+ */
+function imageUrl(project, file, root = '') {
+    const variant = (project.media.variants[file] || []).find(v => v.size === 'medium' && !PICTURE_SOURCE_FORMATS.includes(v.format));
+    return root + (variant ? variant.url : urlPath('projects', project.slug, file));
+}
+
+/**
+ * Render a project image as a <picture> with AVIF, WebP and fallback
+ * srcsets, or as a plain <img> when no responsive variants were generated
+ */
+function generatePicture(project, file, { alt, sizes, root = '', indent = '' }) {
+    const src = root + urlPath('projects', project.slug, file);
+    const variants = project.media.variants[file] || [];
+    const altAttr = escapeAttr(alt);
+
+    if (variants.length === 0) {
+        return `<img src="${escapeAttr(src)}" alt="${altAttr}"${dimensionAttrs(projectImageSize(project, file))} loading="lazy">`;
     }
 
-    .modal-description {
-        color: var(--text-secondary, #4a4a4a);
-        line-height: 1.7;
-        margin-bottom: 2rem;
+    const srcset = list => list.map(v => `${escapeAttr(root + v.url)} ${v.width}w`).join(`,\n${indent}                `);
+    const fallback = variants.filter(v => !PICTURE_SOURCE_FORMATS.includes(v.format));
+    const fallbackSrc = fallback.find(v => v.size === 'medium') || fallback[0];
+    const sources = PICTURE_SOURCE_FORMATS.map(format => {
+        const list = variants.filter(v => v.format === format);
+        if (list.length === 0) return '';
+        return `
+${indent}    <source
+${indent}        srcset="${srcset(list)}"
+${indent}        type="image/${format}"
+${indent}        sizes="${sizes}">`;
+    }).join('');
+
+    return `<picture>${sources}
+${indent}    <img
+${indent}        src="${escapeAttr(root + fallbackSrc.url)}"
+${indent}        srcset="${srcset(fallback)}"
+${indent}        sizes="${sizes}"
+${indent}        width="${fallbackSrc.width}"
+${indent}        height="${fallbackSrc.height}"
+${indent}        alt="${altAttr}"
+${indent}        loading="lazy">
+${indent}</picture>`;
+}
+
+/**
+ * width/height attributes reserving an image's space before it loads
+ */
+function dimensionAttrs(size) {
+    return size ? ` width="${size.width}" height="${size.height}"` : '';
+}
+
+/**
+ * Pixel size of an image referenced from a project (a media file name or a
+ * relative URL from the markdown body), or null if it is not a local image
+ */
+function projectImageSize(project, url) {
+    if (/^(?:[a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(url)) return null;
+
+    let relative = url.replace(/[?#].*$/, '');
+    try {
+        relative = decodeURI(relative);
+    } catch (err) {
+        // Keep the raw URL if it is not valid percent-encoding
     }
 
-    .modal-description h2,
-    .modal-description h3,
-    .modal-description h4 {
-        color: var(--text-primary, #1a1a1a);
-        margin-top: 1.5rem;
-        margin-bottom: 0.75rem;
+    try {
+        return readImageSize(path.resolve(project.dir, relative));
+    } catch (err) {
+        return null;
     }
+}
 
-    .modal-description h3 { font-size: 1.25rem; }
-    .modal-description h4 { font-size: 1.1rem; }
+/**
+ * Generate the tech tags shown in a modal or project page
+ */
+function generateTechTags(metadata) {
+    return (metadata.tech || []).map(t => `<span class="modal-tech-tag">${escapeHtml(t)}</span>`).join('');
+}
 
-    .modal-description ul {
-        padding-left: 1.5rem;
-        margin: 1rem 0;
-    }
+/**
+ * A project's GitHub and live demo links as templates/link-button.html data,
+ * worded for a card (`place` 'card') or a modal and project page ('modal')
+ */
+function projectLinks(metadata, place) {
+    const github = sanitizeUrl(metadata.github);
+    const live = sanitizeUrl(metadata.live);
+    const onCard = place === 'card';
 
-    .modal-description li {
-        margin-bottom: 0.5rem;
+    const links = [];
+    if (github) {
+        links.push({
+            href: github,
+            class: onCard ? 'project-link' : 'modal-link github',
+            icon: 'fab fa-github',
+            label: onCard ? 'View on GitHub' : 'View Source Code',
+            external: true
+        });
     }
+    if (live) {
+        links.push({
+            href: live,
+            class: onCard ? 'project-link live-link' : 'modal-link live',
+            icon: 'fas fa-external-link-alt',
+            label: onCard ? 'Live Demo' : 'Launch Demo',
+            external: true
+        });
+    }
+    return links;
+}
 
-    .modal-description a {
-        color: var(--accent-kinetic, #2d5a4a);
-        text-decoration: underline;
+/**
+ * Generate the GitHub / live demo buttons shown on a project page
+ */
+function generateModalLinks(project) {
+    return projectLinks(project.metadata, 'modal')
+        .map(link => '\n' + templates.render('link-button', link, { layout: project.layout, indent: '                    ' }))
+        .join('');
+}
+
+/**
+ * Generate HTML for a project modal from templates/modal.html
+ */
+function generateProjectModal(project, slug) {
+    const { metadata, body } = project;
+    const { title, category, tech } = cardData(project);
+    const permalink = urlPath('projects', slug) + '/';
+
+    // Body content (relative links and images point into the project directory)
+    const bodyHtml = markdownToHtml(body, {
+        baseUrl: permalink,
+        imageSize: url => projectImageSize(project, url)
+    });
+
+    return '\n' + templates.render('modal', {
+        comment: escapeComment(title),
+        slug,
+        title,
+        category,
+        tech,
+        body: bodyHtml || `<p>${escapeHtml(metadata.description)}</p>`,
+        testimonials: generateProjectTestimonials(project.testimonials || []),
+        gallery: galleryData(project, slug),
+        permalink,
+        // The project's links, plus its standalone page
+        modalLinks: [
+            ...projectLinks(metadata, 'modal'),
+            { href: permalink, class: 'modal-link permalink', icon: 'fas fa-link', label: 'Full Case Study', external: false }
+        ]
+    }, { layout: project.layout, indent: '        ' });
+}
+
+/**
+ * Generate a standalone page (projects/<slug>/index.html) for a project
+ *
+ * The page reuses the gallery, body, tech stack and links from the modal and
+ * borrows the <head> links, navigation and footer from index.html (`site`,
+ * see readSiteChrome) so it looks like part of the main site. The styles of
+ * index.html are linked from `site.stylesheet` (see siteStylesheet).
+ * `index` is the project's position in `projects`, or -1 for an unlisted
+ * project, whose page has no previous/next links and is kept out of search
+ * engines.
+ */
+function generateProjectPage(project, index, projects, site) {
+    const { metadata, body, slug } = project;
+    const root = '../../';
+    const assetTags = generateAssetTags(root);
+    const prev = index > 0 ? projects[index - 1] : null;
+    const next = index !== -1 ? projects[index + 1] : null;
+
+    const pagerLink = (target, rel, label, icon) => (target ? `
+                <a href="${escapeAttr(root + urlPath('projects', target.slug) + '/')}" class="project-pager-link ${rel}" rel="${rel}">
+                    ${rel === 'prev' ? `<i class="fas ${icon}"></i>` : ''}
+                    <span>
+                        <small>${label}</small>
+                        ${escapeHtml(target.metadata.title)}
+                    </span>
+                    ${rel === 'next' ? `<i class="fas ${icon}"></i>` : ''}
+                </a>` : '<span></span>');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${escapeAttr(metadata.description)}">${index === -1 ? `
+    <meta name="robots" content="noindex">` : ''}
+    ${generateProjectSeo(project, root)}
+    <title>${escapeHtml(metadata.title)} | 314 Solutions</title>
+
+    <!-- Generated by build-projects.js from projects/${escapeComment(slug)}/project.md -->
+    ${rebaseHtml(site.headLinks, root)}
+    <link rel="stylesheet" href="${escapeAttr(root + site.stylesheet)}">
+    ${assetTags.css}
+</head>
+<body class="project-page">
+    ${rebaseHtml(site.nav, root).replace('class="nav"', 'class="nav scrolled"')}
+
+    <main class="project-page-main">
+        <div class="container">
+            <a href="${root}#projects" class="project-page-back">
+                <i class="fas fa-arrow-left"></i> All Projects
+            </a>
+
+            <article class="project-page-article">
+                ${generateGallery(project, slug, root, PAGE_IMAGE_SIZES)}
+                <div class="modal-content">
+                    <span class="modal-category">${escapeHtml(metadata.category || 'Project')}</span>
+                    <h1 class="modal-title">${escapeHtml(metadata.title)}</h1>
+                    <div class="modal-tech-stack">
+                        ${generateTechTags(metadata)}
+                    </div>
+                    <div class="modal-description">
+                        ${markdownToHtml(body, { imageSize: url => projectImageSize(project, url) }) || `<p>${escapeHtml(metadata.description)}</p>`}
+                    </div>${generateProjectTestimonials(project.testimonials || [], root)}
+                    <div class="modal-links">
+                        ${generateModalLinks(project)}
+                    </div>
+                </div>
+            </article>
+
+            <nav class="project-pager" aria-label="More projects">${pagerLink(prev, 'prev', 'Previous project', 'fa-arrow-left')}${pagerLink(next, 'next', 'Next project', 'fa-arrow-right')}
+            </nav>
+        </div>
+    </main>
+
+    ${rebaseHtml(site.footer, root)}
+
+    ${assetTags.js}
+    <script>
+    // Standalone page: the gallery is always visible
+    const pageGallery = getGallery(document.querySelector('.project-page-article'));
+    if (pageGallery) pageGallery.activate();
+
+    // Mobile navigation toggle
+    const navToggle = document.getElementById('nav-toggle');
+    const navLinks = document.getElementById('nav-links');
+    if (navToggle && navLinks) {
+        navToggle.addEventListener('click', () => {
+            navLinks.classList.toggle('active');
+            const icon = navToggle.querySelector('i');
+            icon.classList.toggle('fa-bars');
+            icon.classList.toggle('fa-times');
+        });
     }
+    </script>
+</body>
+</html>
+`;
+}
 
-    .modal-links {
-        display: flex;
-        gap: 1rem;
-        flex-wrap: wrap;
+/**
+ * Read the shared page chrome (head links, styles, nav, footer) from index.html
+ */
+function readSiteChrome(html) {
+    // The project stylesheet is linked separately, after the page styles
+    const head = ((html.match(/<head>([\s\S]*?)<\/head>/) || [])[1] || '')
+        .replace(new RegExp(`${escapeRegex(STYLES_START)}[\\s\\S]*?${escapeRegex(STYLES_END)}`), '');
+    return {
+        // The home page's canonical URL would claim the project page as a duplicate
+        headLinks: (head.match(/<link\b[^>]*>/g) || []).filter(link => !/\brel="canonical"/.test(link)).join('\n    '),
+        styles: (head.match(/<style>([\s\S]*?)<\/style>/) || [])[1] || '',
+        nav: (html.match(/<nav class="nav"[\s\S]*?<\/nav>/) || [])[0] || '',
+        footer: (html.match(/<footer\b[\s\S]*?<\/footer>/) || [])[0] || ''
+    };
+}
+
+/**
+ * Prefix relative href/src attributes so markup copied from index.html keeps
+ * working from a page `root` levels deeper ("#about" becomes "../../#about")
+ */
+function rebaseHtml(html, root) {
+    return html.replace(/\b(href|src)="([^"]*)"/g, (match, attr, url) => {
+        if (/^(?:[a-z][a-z0-9+.-]*:|\/)/i.test(url)) return match;
+        return `${attr}="${root}${url === '#' ? '' : url}"`;
+    });
+}
+
+/**
+ * Generate the CSS specific to standalone project pages
+ */
+function generateProjectPageCSS() {
+    return `
+    /* Project Page Styles - Auto-generated by build-projects.js */
+    .project-page-main {
+        padding: 120px 0 4rem;
+        min-height: 100vh;
     }
 
-    .modal-link {
+    .project-page-back {
         display: inline-flex;
         align-items: center;
         gap: 0.5rem;
-        padding: 0.75rem 1.5rem;
-        border-radius: 8px;
-        font-weight: 600;
+        margin-bottom: 1.5rem;
+        color: var(--text-muted, #666);
         text-decoration: none;
-        transition: all 0.2s ease;
+        font-weight: 600;
     }
 
-    .modal-link.github {
-        background: #24292e;
-        color: white;
+    .project-page-back:hover {
+        color: var(--accent-kinetic, #2d5a4a);
     }
 
-    .modal-link.github:hover {
-        background: #1b1f23;
+    .project-page-article {
+        background: var(--bg-card, #fff);
+        border-radius: 16px;
+        overflow: hidden;
+        box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.5);
     }
 
-    .modal-link.live {
-        background: var(--accent-kinetic, #2d5a4a);
-        color: white;
+    .project-page-article .modal-title {
+        font-size: 2.5rem;
     }
 
-    .modal-link.live:hover {
-        background: var(--accent-moss, #1e3d32);
+    .project-pager {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 1rem;
+        margin-top: 2rem;
     }
 
-    /* Project card overlay for click-to-view */
-    .project-overlay {
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.6);
+    .project-pager-link {
         display: flex;
         align-items: center;
-        justify-content: center;
-        opacity: 0;
-        transition: opacity 0.3s ease;
+        gap: 1rem;
+        padding: 1.25rem 1.5rem;
+        border-radius: 12px;
+        background: var(--bg-surface, #f5f5f5);
+        color: var(--text-main, #1a1a1a);
+        text-decoration: none;
+        font-weight: 600;
+        transition: all 0.2s ease;
     }
 
-    .project-card:hover .project-overlay {
-        opacity: 1;
+    .project-pager-link.next {
+        justify-content: flex-end;
+        text-align: right;
+        grid-column: 2;
     }
 
-    .view-project-btn {
-        padding: 0.75rem 1.5rem;
-        background: white;
-        color: #1a1a1a;
-        border: none;
-        border-radius: 8px;
-        font-weight: 600;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        gap: 0.5rem;
-        transition: all 0.2s ease;
+    .project-pager-link small {
+        display: block;
+        color: var(--text-muted, #999);
+        font-size: 0.75rem;
+        font-weight: 500;
+        text-transform: uppercase;
+        letter-spacing: 0.05em;
+    }
+
+    .project-pager-link:hover {
+        background: var(--accent-kinetic-deep, #557d40);
+        color: white;
+    }
+
+    @media (max-width: 768px) {
+        .project-pager {
+            grid-template-columns: 1fr;
+        }
+
+        .project-pager-link.next {
+            grid-column: 1;
+        }
+
+        .project-page-article .modal-title {
+            font-size: 1.75rem;
+        }
+    }`;
+}
+
+function videoMimeType(src) {
+    const ext = path.extname(src).toLowerCase();
+    return ext === '.mov' ? 'video/quicktime' : `video/${ext.slice(1)}`;
+}
+
+/**
+ * Load all projects from the projects directory
+ *
+ * Problems in project.md files are appended to `diagnostics` and the affected
+ * project is left out of the result, unless `includeInvalid` is set (used by
+ * --check so that the rest of the project can still be inspected).
+ */
+function loadProjects(diagnostics = [], { includeInvalid = false } = {}) {
+    const projects = [];
+
+    if (!fs.existsSync(PROJECTS_DIR)) {
+        console.log('No projects directory found. Creating one...');
+        fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+        return projects;
+    }
+
+    const entries = fs.readdirSync(PROJECTS_DIR, { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        // Skip directories starting with underscore (templates; drafts use `status: draft`)
+        if (entry.name.startsWith('_')) {
+            console.log(`Skipping ${entry.name}: underscore-prefixed directory`);
+            continue;
+        }
+
+        const project = loadProject(entry.name, diagnostics, { includeInvalid });
+        if (project) projects.push(project);
+    }
+
+    return sortProjects(projects);
+}
+
+/**
+ * Load a single project directory (by name), or return null if it has no
+ * project.md or, unless `includeInvalid` is set, its front matter is invalid
+ */
+function loadProject(name, diagnostics = [], { includeInvalid = false } = {}) {
+    const projectDir = path.join(PROJECTS_DIR, name);
+    const projectMdPath = path.join(projectDir, 'project.md');
+
+    if (!fs.existsSync(projectMdPath)) {
+        diagnostics.push({ level: 'warning', file: projectDir, message: 'no project.md found, directory skipped' });
+        return null;
+    }
+
+    const content = fs.readFileSync(projectMdPath, 'utf-8');
+    const { metadata, body, bodyLine, lines, errors } = parseProjectMd(content);
+    for (const error of errors) {
+        diagnostics.push({ level: 'error', file: projectMdPath, ...error });
+    }
+    if (errors.length > 0 && !includeInvalid) return null;
+
+    const layout = metadata.layout && metadata.layout !== 'default' ? metadata.layout : null;
+    if (layout && !templates.layouts().includes(layout)) {
+        const available = ['default', ...templates.layouts()].join(', ');
+        diagnostics.push({ level: 'error', file: projectMdPath, line: lines.layout, message: `unknown layout "${layout}" (available: ${available})` });
+    }
+
+    const media = getMediaFiles(projectDir, diagnostics);
+    media.gallery = orderGallery(projectDir, media, loadGallery(projectDir, metadata, lines, diagnostics), diagnostics);
+    for (const video of media.videos) {
+        if (!video.loop && video.captions.length === 0) {
+            diagnostics.push({
+                level: 'warning',
+                file: path.join(projectDir, video.file),
+                message: `video has no captions (add ${path.basename(video.file, path.extname(video.file))}.vtt or .srt next to it)`
+            });
+        }
+    }
+
+    // Without a publish_date, a project dates from the commit that added
+    // project.md; its mtime is only the checkout time, so it is used just for
+    // files git doesn't track yet
+    const published = metadata.publish_date || firstCommitDate(projectMdPath) || fs.statSync(projectMdPath).mtime;
+    const updated = metadata.updated_date || published;
+
+    return {
+        slug: name,
+        dir: projectDir,
+        source: { file: projectMdPath, lines, bodyLine },
+        valid: errors.length === 0,
+        metadata,
+        body,
+        media,
+        status: metadata.status || 'published',
+        layout,
+        dates: { published, updated }
+    };
+}
+
+/**
+ * When `file` was first committed, or null for files git doesn't track (and
+ * outside a git checkout)
+ */
+function firstCommitDate(file) {
+    try {
+        const output = execFileSync('git', ['log', '--diff-filter=A', '--format=%cI', '--', path.basename(file)], {
+            cwd: path.dirname(file),
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        return output ? new Date(output.split('\n').pop()) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Why a project is left out of the build, or null if it is built: drafts
+ * and projects whose publish_date is still ahead are skipped unless
+ * `includeDrafts` is set (--include-drafts)
+ */
+function unpublishedReason(project, includeDrafts = false, now = new Date()) {
+    if (includeDrafts) return null;
+    if (project.status === 'draft') return 'draft';
+    const publishDate = project.metadata.publish_date;
+    if (publishDate && publishDate > now) return `scheduled for ${publishDate.toISOString().slice(0, 10)}`;
+    return null;
+}
+
+/**
+ * Whether a project gets a card; unlisted projects only have their page and
+ * modal, reachable by link
+ */
+function isListed(project) {
+    return project.status !== 'unlisted';
+}
+
+/**
+ * Whether a project is in the main grid rather than in "Past work"; hero
+ * stats count only these
+ */
+function isFeatured(project) {
+    return isListed(project) && project.status !== 'archived';
+}
+
+/**
+ * Path to write the generated `file` (a path in the repository) to: the
+ * file itself, or its copy under PREVIEW_DIR in a preview build
+ */
+function outputPath(file) {
+    return previewBuild ? path.join(PREVIEW_DIR, path.relative(__dirname, file)) : file;
+}
+
+function writeOutput(file, content) {
+    const target = outputPath(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+/**
+ * Delete the generated page of a project that is no longer built, so a
+ * project turned back into a draft is not left online. Hand-written pages
+ * are kept.
+ */
+function removeProjectPage(project) {
+    const pagePath = outputPath(path.join(project.dir, PROJECT_PAGE));
+    if (!fs.existsSync(pagePath) || !fs.readFileSync(pagePath, 'utf-8').includes('Generated by build-projects.js')) return;
+    fs.unlinkSync(pagePath);
+    console.log(`Removed ${path.relative(__dirname, pagePath)}`);
+}
+
+/**
+ * Sort projects in place by `order`, then alphabetically by title
+ */
+function sortProjects(projects) {
+    return projects.sort((a, b) => {
+        const orderA = a.metadata.order ?? 999;
+        const orderB = b.metadata.order ?? 999;
+        if (orderA !== orderB) return orderA - orderB;
+        return (a.metadata.title || a.slug).localeCompare(b.metadata.title || b.slug);
+    });
+}
+
+/**
+ * Load all testimonials from the testimonials directory
+ *
+ * Each testimonial is a markdown file whose body is the quote. Problems are
+ * appended to `diagnostics` and the affected testimonial is left out;
+ * `project` must name one of `projects` (by directory name).
+ */
+function loadTestimonials(projects, diagnostics = []) {
+    const testimonials = [];
+    if (!fs.existsSync(TESTIMONIALS_DIR)) return testimonials;
+
+    const slugs = new Set(projects.map(project => project.slug));
+    const files = fs.readdirSync(TESTIMONIALS_DIR)
+        .filter(name => name.toLowerCase().endsWith('.md') && !name.startsWith('_') && name.toLowerCase() !== 'readme.md')
+        .sort();
+
+    for (const name of files) {
+        const file = path.join(TESTIMONIALS_DIR, name);
+        let parsed;
+        try {
+            parsed = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            if (!(err instanceof FrontMatterError)) throw err;
+            diagnostics.push({ level: 'error', file, line: err.line, message: err.message });
+            continue;
+        }
+
+        const { value: metadata, errors } = validate(parsed.data, TESTIMONIAL_SCHEMA, parsed.lines, parsed.endLine);
+        const { lines } = parsed;
+
+        if (metadata.rating !== undefined && (metadata.rating < 1 || metadata.rating > 5)) {
+            errors.push({ line: lines.rating, message: `"rating" must be between 1 and 5, got ${metadata.rating}` });
+        }
+        if (metadata.project !== undefined && !slugs.has(metadata.project)) {
+            errors.push({ line: lines.project, message: `unknown project "${metadata.project}" (use the name of a directory in projects/)` });
+        }
+        if (metadata.avatar !== undefined && !/^https?:\/\//i.test(metadata.avatar)) {
+            const avatarPath = path.resolve(TESTIMONIALS_DIR, metadata.avatar);
+            if (!avatarPath.startsWith(TESTIMONIALS_DIR + path.sep)) {
+                errors.push({ line: lines.avatar, message: `"avatar" must be an http(s) URL or a file inside testimonials/, got "${metadata.avatar}"` });
+            } else if (!fs.existsSync(avatarPath)) {
+                errors.push({ line: lines.avatar, message: `avatar "${metadata.avatar}" not found in testimonials/` });
+            } else if (!IMAGE_EXTS.includes(path.extname(avatarPath).toLowerCase())) {
+                errors.push({ line: lines.avatar, message: `avatar "${metadata.avatar}" is not a supported image (${IMAGE_EXTS.join(', ')})` });
+            }
+        }
+        if (!parsed.body) {
+            errors.push({ line: parsed.bodyLine, message: 'testimonial has no quote (write it below the front matter)' });
+        }
+
+        for (const error of errors) {
+            diagnostics.push({ level: 'error', file, ...error });
+        }
+        if (errors.length > 0) continue;
+
+        testimonials.push({ id: path.basename(name, path.extname(name)), source: { file, lines }, metadata, body: parsed.body });
+    }
+
+    testimonials.sort((a, b) => (a.metadata.order ?? 999) - (b.metadata.order ?? 999) || a.id.localeCompare(b.id));
+    return testimonials;
+}
+
+/**
+ * Generate the CSS for modals and galleries
+ */
+function generateModalCSS() {
+    return `
+    /* Project Modal Styles - Auto-generated by build-projects.js */
+    .project-modal {
+        display: none;
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 10000;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+    }
+
+    .project-modal.active {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        opacity: 1;
+    }
+
+    .modal-backdrop {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.85);
+        cursor: pointer;
+    }
+
+    .modal-container {
+        position: relative;
+        background: var(--bg-card, #fff);
+        border-radius: 16px;
+        max-width: 900px;
+        max-height: 90vh;
+        width: 90%;
+        overflow-y: auto;
+        box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.5);
+        animation: modalSlideIn 0.3s ease;
+    }
+
+    @keyframes modalSlideIn {
+        from {
+            transform: translateY(20px);
+            opacity: 0;
+        }
+        to {
+            transform: translateY(0);
+            opacity: 1;
+        }
+    }
+
+    /* Controls and tags inside the white modal use light greys, not the dark surface tokens */
+    .modal-close {
+        position: absolute;
+        top: 1rem;
+        right: 1rem;
+        width: 40px;
+        height: 40px;
+        border: none;
+        background: #f3f4f2;
+        border-radius: 50%;
+        cursor: pointer;
+        z-index: 10;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 1.25rem;
+        color: var(--text-secondary, #4a4a4a);
+        transition: all 0.2s ease;
+    }
+
+    .modal-close:hover {
+        background: var(--accent-kinetic-deep, #557d40);
+        color: white;
+    }
+
+    .modal-gallery {
+        position: relative;
+        background: #000;
+    }
+
+    /* Horizontal swipes go to the gallery script; vertical ones scroll */
+    .gallery-main {
+        position: relative;
+        width: 100%;
+        aspect-ratio: 16/9;
+        overflow: hidden;
+        touch-action: pan-y pinch-zoom;
+    }
+
+    .gallery-main:focus-visible {
+        outline: 3px solid var(--accent-solar, #d4a574);
+        outline-offset: -3px;
+    }
+
+    .gallery-item {
+        display: none;
+        width: 100%;
+        height: 100%;
+        margin: 0;
+    }
+
+    /* The media fills the space left above the caption */
+    .gallery-item.active {
+        display: grid;
+        grid-template-rows: minmax(0, 1fr) auto;
+        place-items: center;
+    }
+
+    .gallery-item picture {
+        display: contents;
+    }
+
+    .gallery-item img,
+    .gallery-item video {
+        max-width: 100%;
+        max-height: 100%;
+        object-fit: contain;
+    }
+
+    /* Scale within the item, keeping the aspect ratio from width/height */
+    .gallery-item img {
+        width: auto;
+        height: auto;
+    }
+
+    .gallery-caption {
+        justify-self: stretch;
+        padding: 0.625rem 1rem;
+        background: rgba(0, 0, 0, 0.75);
+        color: rgba(255, 255, 255, 0.9);
+        font-size: 0.875rem;
+        line-height: 1.5;
+        text-align: center;
+    }
+
+    /* Looping videos (GIF-like behavior) */
+    .gallery-item video.loop-video {
+        cursor: default;
+    }
+
+    .loop-video-container {
+        position: relative;
+    }
+
+    .loop-video-container::after {
+        content: '\\f2f1';
+        font-family: 'Font Awesome 6 Free';
+        font-weight: 900;
+        position: absolute;
+        bottom: 15px;
+        right: 15px;
+        color: white;
+        font-size: 0.75rem;
+        background: rgba(0, 0, 0, 0.6);
+        width: 28px;
+        height: 28px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        pointer-events: none;
+    }
+
+    .gallery-nav {
+        position: absolute;
+        top: 50%;
+        transform: translateY(-50%);
+        width: 50px;
+        height: 50px;
+        border: none;
+        background: rgba(255, 255, 255, 0.9);
+        border-radius: 50%;
+        cursor: pointer;
+        font-size: 1.25rem;
+        color: #333;
+        transition: all 0.2s ease;
+    }
+
+    .gallery-nav:hover {
+        background: white;
+        transform: translateY(-50%) scale(1.1);
+    }
+
+    .gallery-prev { left: 1rem; }
+    .gallery-next { right: 1rem; }
+
+    .gallery-thumbnails {
+        display: flex;
+        gap: 0.5rem;
+        padding: 0.75rem;
+        background: rgba(0, 0, 0, 0.8);
+        overflow-x: auto;
+        justify-content: center;
+    }
+
+    .gallery-thumb {
+        width: 60px;
+        height: 45px;
+        border: 2px solid transparent;
+        border-radius: 4px;
+        overflow: hidden;
+        cursor: pointer;
+        padding: 0;
+        background: rgba(255, 255, 255, 0.1);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.2s ease;
+    }
+
+    .gallery-thumb.active {
+        border-color: var(--accent-solar, #d4a574);
+    }
+
+    .gallery-thumb img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .gallery-thumb i {
+        font-size: 1.25rem;
+        color: white;
+    }
+
+    /* Video thumbnails show the poster with the play or loop icon on top */
+    .gallery-thumb-poster {
+        position: relative;
+    }
+
+    .gallery-thumb-poster i {
+        position: absolute;
+        font-size: 1rem;
+        text-shadow: 0 1px 3px rgba(0, 0, 0, 0.8);
+    }
+
+    .gallery-expand {
+        position: absolute;
+        top: 1rem;
+        left: 1rem;
+        z-index: 2;
+        width: 40px;
+        height: 40px;
+        border: none;
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        font-size: 1rem;
+        cursor: pointer;
+        transition: background 0.2s ease;
+    }
+
+    .gallery-expand:hover {
+        background: rgba(0, 0, 0, 0.85);
+    }
+
+    /* Full screen view; the script handles pinch and double-tap zoom here */
+    .modal-gallery.lightbox {
+        position: fixed;
+        inset: 0;
+        z-index: 10001;
+        display: flex;
+        flex-direction: column;
+        background: rgba(0, 0, 0, 0.95);
+    }
+
+    .modal-gallery.lightbox .gallery-main {
+        flex: 1;
+        aspect-ratio: auto;
+        touch-action: none;
+    }
+
+    .modal-gallery.lightbox .gallery-expand {
+        left: auto;
+        right: 1rem;
+    }
+
+    .modal-gallery.lightbox .gallery-item img {
+        cursor: zoom-in;
+        transform-origin: center;
+        transition: transform 0.2s ease;
+    }
+
+    .modal-gallery.lightbox .gallery-item.zoomed img {
+        cursor: grab;
+    }
+
+    .gallery-item.panning img {
+        transition: none;
+    }
+
+    /* Read out by screen readers only */
+    .gallery-status {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+        border: 0;
+    }
+
+    .modal-content {
+        padding: 2rem;
+    }
+
+    .modal-category {
+        display: inline-block;
+        padding: 0.25rem 0.75rem;
+        background: var(--accent-kinetic-deep, #557d40);
+        color: white;
+        border-radius: 20px;
+        font-size: 0.75rem;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.05em;
+        margin-bottom: 0.75rem;
+    }
+
+    .modal-title {
+        font-family: var(--font-head, serif);
+        font-size: 2rem;
+        color: var(--text-primary, #1a1a1a);
+        margin-bottom: 1rem;
+    }
+
+    .modal-tech-stack {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .modal-tech-tag {
+        padding: 0.25rem 0.75rem;
+        background: #f3f4f2;
+        border-radius: 4px;
+        font-size: 0.8rem;
+        color: var(--text-secondary, #4a4a4a);
+    }
+
+    .modal-description {
+        color: var(--text-secondary, #4a4a4a);
+        line-height: 1.7;
+        margin-bottom: 2rem;
+    }
+
+    .modal-description h2,
+    .modal-description h3,
+    .modal-description h4 {
+        color: var(--text-primary, #1a1a1a);
+        margin-top: 1.5rem;
+        margin-bottom: 0.75rem;
+    }
+
+    .modal-description h3 { font-size: 1.25rem; }
+    .modal-description h4 { font-size: 1.1rem; }
+
+    .modal-description ul,
+    .modal-description ol {
+        padding-left: 1.5rem;
+        margin: 1rem 0;
+    }
+
+    .modal-description li {
+        margin-bottom: 0.5rem;
+    }
+
+    .modal-description li > ul,
+    .modal-description li > ol {
+        margin: 0.5rem 0 0;
+    }
+
+    .modal-description p {
+        margin-bottom: 1rem;
+    }
+
+    .modal-description a {
+        color: var(--accent-kinetic-deep, #557d40);
+        text-decoration: underline;
+    }
+
+    .modal-description img {
+        max-width: 100%;
+        height: auto;
+        border-radius: 8px;
+    }
+
+    .modal-description blockquote {
+        margin: 1rem 0;
+        padding: 0.5rem 1rem;
+        border-left: 3px solid var(--accent-kinetic, #2d5a4a);
+        background: #f3f4f2;
+    }
+
+    .modal-description code {
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 0.875em;
+        padding: 0.1em 0.35em;
+        border-radius: 4px;
+        background: #f3f4f2;
+    }
+
+    .modal-description pre {
+        margin: 1rem 0;
+        padding: 1rem;
+        overflow-x: auto;
+        border-radius: 8px;
+        background: #1a1a1a;
+        color: #f5f5f5;
+        line-height: 1.5;
+    }
+
+    .modal-description pre code {
+        padding: 0;
+        background: none;
+        color: inherit;
+        font-size: 0.85rem;
+    }
+
+    .modal-description table {
+        width: 100%;
+        margin: 1rem 0;
+        border-collapse: collapse;
+        display: block;
+        overflow-x: auto;
+    }
+
+    .modal-description th,
+    .modal-description td {
+        padding: 0.5rem 0.75rem;
+        border-bottom: 1px solid #e5e5e5;
+        text-align: left;
+    }
+
+    .modal-description th {
+        color: var(--text-primary, #1a1a1a);
+    }
+
+    .modal-description hr {
+        margin: 1.5rem 0;
+        border: none;
+        border-top: 1px solid #e5e5e5;
+    }
+
+    .modal-links {
+        display: flex;
+        gap: 1rem;
+        flex-wrap: wrap;
+    }
+
+    .modal-link {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.75rem 1.5rem;
+        border-radius: 8px;
+        font-weight: 600;
+        text-decoration: none;
+        transition: all 0.2s ease;
+    }
+
+    .modal-link.github {
+        background: #24292e;
+        color: white;
+    }
+
+    .modal-link.github:hover {
+        background: #1b1f23;
+    }
+
+    .modal-link.live {
+        background: var(--accent-kinetic-deep, #557d40);
+        color: white;
+    }
+
+    .modal-link.live:hover {
+        background: var(--accent-moss, #1e3d32);
+    }
+
+    /* The modal is white whatever the site palette, so no surface tokens here */
+    .modal-link.permalink {
+        background: #f3f4f2;
+        color: #1a1a1a;
+    }
+
+    .modal-link.permalink:hover {
+        background: var(--accent-solar, #d4a574);
+        color: #1a1a1a;
+    }
+
+    /* Testimonials linked to the project */
+    .modal-testimonials {
+        display: grid;
+        gap: 1.5rem;
+        margin-bottom: 2rem;
+    }
+
+    /* Opaque, so the light quote text doesn't end up on the white modal */
+    .modal-testimonials .testimonial-card-premium {
+        padding: 2rem;
+        background: var(--bg-elevated, #1f2d27);
+    }
+
+    .modal-testimonials .testimonial-quote {
+        font-size: 1.05rem;
+        margin-bottom: 1.5rem;
+    }
+
+    /* Project card overlay for click-to-view */
+    .project-overlay {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.6);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+    }
+
+    .project-card:hover .project-overlay {
+        opacity: 1;
+    }
+
+    .view-project-btn {
+        padding: 0.75rem 1.5rem;
+        background: white;
+        color: #1a1a1a;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        transition: all 0.2s ease;
+    }
+
+    .view-project-btn:hover {
+        background: var(--accent-solar, #d4a574);
+        color: white;
+        transform: scale(1.05);
+    }
+
+    .project-placeholder {
+        width: 100%;
+        height: 200px;
+        background: linear-gradient(135deg, var(--bg-surface, #15201c), var(--bg-elevated, #1f2d27));
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 0.75rem;
+        color: var(--text-muted, #999);
+    }
+
+    .project-placeholder i {
+        font-size: 2.5rem;
+    }
+
+    .project-placeholder span {
+        font-size: 0.875rem;
+    }
+
+    /* Responsive modal */
+    @media (max-width: 768px) {
+        .modal-container {
+            width: 95%;
+            max-height: 95vh;
+            border-radius: 12px;
+        }
+
+        .modal-content {
+            padding: 1.5rem;
+        }
+
+        .modal-title {
+            font-size: 1.5rem;
+        }
+
+        .gallery-nav {
+            width: 40px;
+            height: 40px;
+        }
+
+        .modal-links {
+            flex-direction: column;
+        }
+
+        .modal-link {
+            justify-content: center;
+        }
+    }`;
+}
+
+/**
+ * Generate JavaScript for the project galleries
+ *
+ * Each gallery is set up once, the first time its modal or page asks for
+ * it; opening and closing a modal only activates and deactivates it. Must
+ * come before generateModalJS() in the page, which can open a modal as
+ * soon as it runs.
+ */
+function generateGalleryJS() {
+    return `
+    // Project Gallery - Auto-generated by build-projects.js
+    const projectGalleries = new WeakMap();
+    const GALLERY_SWIPE_THRESHOLD = 50;
+    const GALLERY_MAX_ZOOM = 4;
+    const GALLERY_DOUBLE_TAP_MS = 300;
+
+    // The gallery inside a modal or page, created on first use
+    function getGallery(container) {
+        const gallery = container && container.querySelector('.modal-gallery');
+        if (!gallery) return null;
+        if (!projectGalleries.has(gallery)) {
+            projectGalleries.set(gallery, createGallery(gallery));
+        }
+        return projectGalleries.get(gallery);
+    }
+
+    function createGallery(gallery) {
+        const items = Array.from(gallery.querySelectorAll('.gallery-item'));
+        const thumbs = Array.from(gallery.querySelectorAll('.gallery-thumb'));
+        const main = gallery.querySelector('.gallery-main');
+        const status = gallery.querySelector('.gallery-status');
+        const expandBtn = gallery.querySelector('.gallery-expand');
+        const zoom = { scale: 1, x: 0, y: 0 };
+        const pointers = new Map();
+        let currentIndex = Math.max(0, items.findIndex(item => item.classList.contains('active')));
+        let active = false;
+        let gesture = null;
+        let lastTap = 0;
+        let bodyOverflow = '';
+
+        // Loop videos play whenever their slide is showing; others resume
+        // only if they were playing when their slide was left
+        items.forEach(item => {
+            const video = item.querySelector('video');
+            if (video) video.dataset.resume = String(video.loop);
+        });
+
+        function videoAt(index) {
+            return items[index] ? items[index].querySelector('video') : null;
+        }
+
+        function pauseVideo(video) {
+            if (!video) return;
+            video.dataset.resume = String(video.loop || !video.paused);
+            video.pause();
+        }
+
+        function resumeVideo(video) {
+            if (!video || video.dataset.resume !== 'true') return;
+            const playing = video.play();
+            // Autoplay can be refused (e.g. data saver); the controls still work
+            if (playing) playing.catch(() => {});
+        }
+
+        function show(index) {
+            index = (index + items.length) % items.length;
+            if (index === currentIndex) return;
+
+            pauseVideo(videoAt(currentIndex));
+            resetZoom();
+            items.forEach((item, i) => item.classList.toggle('active', i === index));
+            thumbs.forEach((thumb, i) => {
+                thumb.classList.toggle('active', i === index);
+                if (i === index) {
+                    thumb.setAttribute('aria-current', 'true');
+                    thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                } else {
+                    thumb.removeAttribute('aria-current');
+                }
+            });
+            currentIndex = index;
+            if (active) resumeVideo(videoAt(index));
+            if (status) status.textContent = (index + 1) + ' of ' + items.length;
+        }
+
+        // Zoom (lightbox images only)
+
+        function currentImage() {
+            return isLightbox() ? items[currentIndex].querySelector('img') : null;
+        }
+
+        function setZoom(scale, x, y) {
+            const img = items[currentIndex].querySelector('img');
+            if (!img) return;
+            zoom.scale = Math.min(Math.max(scale, 1), GALLERY_MAX_ZOOM);
+            const maxX = img.offsetWidth * (zoom.scale - 1) / 2;
+            const maxY = img.offsetHeight * (zoom.scale - 1) / 2;
+            zoom.x = Math.min(Math.max(x, -maxX), maxX);
+            zoom.y = Math.min(Math.max(y, -maxY), maxY);
+            img.style.transform = zoom.scale === 1
+                ? ''
+                : 'translate(' + zoom.x + 'px, ' + zoom.y + 'px) scale(' + zoom.scale + ')';
+            items[currentIndex].classList.toggle('zoomed', zoom.scale > 1);
+        }
+
+        function resetZoom() {
+            if (zoom.scale !== 1) setZoom(1, 0, 0);
+        }
+
+        function toggleZoom() {
+            if (!currentImage()) return;
+            if (zoom.scale > 1) resetZoom();
+            else setZoom(2, 0, 0);
+        }
+
+        // Lightbox
+
+        function isLightbox() {
+            return gallery.classList.contains('lightbox');
+        }
+
+        function setLightbox(open, moveFocus = true) {
+            if (open === isLightbox()) return;
+            resetZoom();
+            gallery.classList.toggle('lightbox', open);
+
+            // Let the browser pick larger image candidates while full screen
+            gallery.querySelectorAll('.gallery-item [sizes]').forEach(el => {
+                if (open) {
+                    el.dataset.sizes = el.getAttribute('sizes');
+                    el.setAttribute('sizes', '100vw');
+                } else if (el.dataset.sizes) {
+                    el.setAttribute('sizes', el.dataset.sizes);
+                    delete el.dataset.sizes;
+                }
+            });
+
+            if (open) {
+                bodyOverflow = document.body.style.overflow;
+                document.body.style.overflow = 'hidden';
+            } else {
+                document.body.style.overflow = bodyOverflow;
+            }
+
+            const icon = expandBtn.querySelector('i');
+            icon.classList.toggle('fa-expand', !open);
+            icon.classList.toggle('fa-compress', open);
+            expandBtn.setAttribute('aria-label', open ? 'Exit full screen' : 'View full screen');
+            if (moveFocus) expandBtn.focus();
+        }
+
+        gallery.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.gallery-thumb');
+            if (thumb) {
+                show(thumbs.indexOf(thumb));
+            } else if (e.target.closest('.gallery-prev')) {
+                show(currentIndex - 1);
+            } else if (e.target.closest('.gallery-next')) {
+                show(currentIndex + 1);
+            } else if (e.target.closest('.gallery-expand')) {
+                setLightbox(!isLightbox());
+            }
+        });
+
+        gallery.addEventListener('dblclick', (e) => {
+            if (e.target.tagName === 'IMG' && e.target.closest('.gallery-item')) toggleZoom();
+        });
+
+        gallery.addEventListener('keydown', (e) => {
+            // Arrow keys on a focused video seek it instead
+            if (e.target.tagName === 'VIDEO' || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                show(currentIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                show(currentIndex + 1);
+            } else if (e.key === 'Home') {
+                e.preventDefault();
+                show(0);
+            } else if (e.key === 'End') {
+                e.preventDefault();
+                show(items.length - 1);
+            } else if (!isLightbox()) {
+                return;
+            } else if (e.key === 'Escape') {
+                // Leave the lightbox without closing the modal underneath
+                e.stopPropagation();
+                setLightbox(false);
+            } else if ((e.key === '+' || e.key === '=') && currentImage()) {
+                setZoom(zoom.scale * 1.5, zoom.x, zoom.y);
+            } else if (e.key === '-' && currentImage()) {
+                setZoom(zoom.scale / 1.5, zoom.x, zoom.y);
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the lightbox
+                e.stopPropagation();
+                const focusable = Array.from(gallery.querySelectorAll('button, video[controls], [tabindex="0"]'))
+                    .filter(el => el.getClientRects().length > 0);
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+
+        // Touch: swipe between slides; in the lightbox, pinch or double-tap
+        // to zoom and drag to pan (the mouse can drag a zoomed image too)
+
+        function pointerDistance() {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+
+        main.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button, video[controls]')) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pointers.size === 1) {
+                gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, x: zoom.x, y: zoom.y };
+                if (zoom.scale > 1) {
+                    main.setPointerCapture(e.pointerId);
+                    items[currentIndex].classList.add('panning');
+                }
+            } else if (pointers.size === 2 && currentImage()) {
+                gesture = { type: 'pinch', distance: pointerDistance(), scale: zoom.scale };
+                items[currentIndex].classList.add('panning');
+            }
+        });
+
+        main.addEventListener('pointermove', (e) => {
+            if (!gesture || !pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (gesture.type === 'pinch' && pointers.size === 2) {
+                setZoom(gesture.scale * pointerDistance() / gesture.distance, zoom.x, zoom.y);
+            } else if (gesture.type === 'drag' && zoom.scale > 1) {
+                setZoom(zoom.scale, gesture.x + e.clientX - gesture.startX, gesture.y + e.clientY - gesture.startY);
+            }
+        });
+
+        function endPointer(e) {
+            if (!pointers.delete(e.pointerId) || !gesture) return;
+
+            if (gesture.type === 'drag' && e.type === 'pointerup' && e.pointerType !== 'mouse') {
+                const dx = e.clientX - gesture.startX;
+                const dy = e.clientY - gesture.startY;
+                if (zoom.scale === 1 && Math.abs(dx) > GALLERY_SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                    show(currentIndex + (dx < 0 ? 1 : -1));
+                } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+                    if (e.timeStamp - lastTap < GALLERY_DOUBLE_TAP_MS) {
+                        toggleZoom();
+                        lastTap = 0;
+                    } else {
+                        lastTap = e.timeStamp;
+                    }
+                }
+            }
+
+            if (pointers.size === 0) {
+                gesture = null;
+                items[currentIndex].classList.remove('panning');
+            }
+        }
+
+        main.addEventListener('pointerup', endPointer);
+        main.addEventListener('pointercancel', endPointer);
+
+        return {
+            show,
+
+            // The modal or page is showing: start the current slide's video
+            activate() {
+                active = true;
+                resumeVideo(videoAt(currentIndex));
+            },
+
+            // The modal closed: stop playback and leave the lightbox
+            deactivate() {
+                active = false;
+                pauseVideo(videoAt(currentIndex));
+                setLightbox(false, false);
+            }
+        };
+    }
+`;
+}
+
+/**
+ * Generate the JavaScript for modal functionality
+ */
+function generateModalJS() {
+    return `
+    // Project Modal Functions - Auto-generated by build-projects.js
+    let activeProjectModal = null;
+    let modalReturnFocus = null;
+
+    const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
+    function getFocusableElements(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => el.getClientRects().length > 0 && !el.closest('[inert]'));
+    }
+
+    // Hide everything except the open modal from keyboard and screen readers
+    function setPageInert(modal, inert) {
+        Array.from(document.body.children).forEach(el => {
+            if (el === modal || el.tagName === 'SCRIPT') return;
+            if (inert) {
+                if (el.hasAttribute('inert')) return;
+                el.setAttribute('inert', '');
+                el.setAttribute('aria-hidden', 'true');
+                el.dataset.modalInert = 'true';
+            } else if (el.dataset.modalInert) {
+                el.removeAttribute('inert');
+                el.removeAttribute('aria-hidden');
+                delete el.dataset.modalInert;
+            }
+        });
+    }
+
+    function projectSlugFromHash() {
+        const match = window.location.hash.match(/^#project=(.+)$/);
+        if (!match) return null;
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function projectModalUrl(slug) {
+        return window.location.pathname + window.location.search + (slug ? '#project=' + encodeURIComponent(slug) : '');
+    }
+
+    // options.fromHistory: called from popstate/initial load, so don't touch history
+    function openProjectModal(slug, options = {}) {
+        const modal = document.getElementById('modal-' + slug);
+        if (!modal || modal === activeProjectModal) return;
+
+        if (activeProjectModal) {
+            hideProjectModal(activeProjectModal, false);
+        } else {
+            modalReturnFocus = document.activeElement;
+        }
+
+        if (!options.fromHistory) {
+            history.pushState({ projectModal: slug }, '', projectModalUrl(slug));
+        }
+
+        document.body.style.overflow = 'hidden';
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        modal.setAttribute('aria-modal', 'true');
+        setPageInert(modal, true);
+        activeProjectModal = modal;
+
+        // Move focus into the dialog
+        const focusableElements = getFocusableElements(modal);
+        if (focusableElements.length > 0) {
+            focusableElements[0].focus();
+        }
+
+        const gallery = getGallery(modal);
+        if (gallery) gallery.activate();
+    }
+
+    function closeProjectModal(slug, options = {}) {
+        const modal = document.getElementById('modal-' + slug);
+        if (!modal || !modal.classList.contains('active')) return;
+
+        // Opening pushed a history entry: go back, and popstate closes the modal
+        if (!options.fromHistory && history.state && history.state.projectModal === slug) {
+            history.back();
+            return;
+        }
+        if (!options.fromHistory && projectSlugFromHash()) {
+            history.replaceState(null, '', projectModalUrl(null));
+        }
+
+        hideProjectModal(modal, true);
+    }
+
+    function hideProjectModal(modal, restoreFocus) {
+        const gallery = getGallery(modal);
+        if (gallery) gallery.deactivate();
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+        modal.removeAttribute('aria-modal');
+        setPageInert(modal, false);
+        activeProjectModal = null;
+
+        if (!restoreFocus) return;
+
+        document.body.style.overflow = '';
+
+        // Return focus to the "View Details" button (or whatever opened the modal)
+        const slug = modal.id.replace('modal-', '');
+        const trigger = modalReturnFocus && document.contains(modalReturnFocus) && modalReturnFocus !== document.body
+            ? modalReturnFocus
+            : document.querySelector('[data-action="open-modal"][data-project="' + CSS.escape(slug) + '"]');
+        modalReturnFocus = null;
+        if (trigger) {
+            trigger.focus();
+        }
+    }
+
+    // Close modal on Escape key, keep Tab focus cycling inside the open modal
+    document.addEventListener('keydown', (e) => {
+        if (!activeProjectModal) return;
+
+        if (e.key === 'Escape') {
+            const slug = activeProjectModal.id.replace('modal-', '');
+            closeProjectModal(slug);
+        } else if (e.key === 'Tab') {
+            const focusableElements = getFocusableElements(activeProjectModal);
+            if (focusableElements.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusableElements[0];
+            const last = focusableElements[focusableElements.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !activeProjectModal.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !activeProjectModal.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    // Back/Forward open and close modals to match the URL (#project=<slug>)
+    window.addEventListener('popstate', () => {
+        const slug = projectSlugFromHash();
+        if (slug && document.getElementById('modal-' + slug)) {
+            openProjectModal(slug, { fromHistory: true });
+        } else if (activeProjectModal) {
+            closeProjectModal(activeProjectModal.id.replace('modal-', ''), { fromHistory: true });
+        }
+    });
+
+    // Deep link: open the modal named in the URL once the modals are parsed.
+    // The URL without the hash goes underneath so that Back closes the modal.
+    function openProjectModalFromUrl() {
+        const slug = projectSlugFromHash();
+        if (!slug || !document.getElementById('modal-' + slug)) return;
+
+        history.replaceState(null, '', projectModalUrl(null));
+        openProjectModal(slug);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', openProjectModalFromUrl);
+    } else {
+        openProjectModalFromUrl();
+    }
+
+    // Event delegation for modal actions
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        const action = target.dataset.action;
+        const project = target.dataset.project;
+
+        if (action === 'open-modal' && project) {
+            openProjectModal(project);
+        } else if (action === 'close-modal' && project) {
+            closeProjectModal(project);
+        }
+    });`;
+}
+
+/**
+ * Generate the CSS for the project filter bar
+ */
+function generateFilterCSS() {
+    return `
+    /* Project Filter Styles - Auto-generated by build-projects.js */
+    .project-filters {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 1rem;
+        margin-bottom: 3rem;
+    }
+
+    .filter-group {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        align-items: center;
+        gap: 0.5rem;
+    }
+
+    .filter-label {
+        margin-right: 0.5rem;
+        color: var(--slate-stone, #78878d);
+        font-size: 0.75rem;
+        font-weight: 700;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+    }
+
+    .filter-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 6px 14px;
+        border-radius: 999px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        background: rgba(255, 255, 255, 0.05);
+        color: var(--slate-linen, #bcbda7);
+        font-family: var(--font-body, sans-serif);
+        font-size: 0.8rem;
+        font-weight: 600;
+        cursor: pointer;
+        transition: var(--transition, all 0.3s ease);
+    }
+
+    .filter-chip:hover {
+        border-color: rgba(115, 157, 92, 0.4);
+        color: var(--text-main, #eaefec);
+    }
+
+    .filter-chip:focus-visible {
+        outline: 2px solid var(--accent-solar, #d7bd46);
+        outline-offset: 2px;
+    }
+
+    .filter-chip.active {
+        background: var(--accent-kinetic, #739d5c);
+        border-color: var(--accent-kinetic, #739d5c);
+        color: var(--bg-base, #0d1814);
+    }
+
+    .filter-count {
+        font-size: 0.7rem;
+        opacity: 0.75;
+    }
+
+    .filter-summary {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        min-height: 1.5em;
+        font-size: 0.85rem;
+    }
+
+    .filter-status {
+        color: var(--text-muted, #bcbda7);
+    }
+
+    .filter-clear {
+        border: none;
+        background: none;
+        color: var(--accent-kinetic-light, #8bc66b);
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+    }
+
+    .project-card[hidden] {
+        display: none;
+    }
+
+    .project-card.filter-enter {
+        animation: projectFilterIn 0.4s cubic-bezier(0.4, 0, 0.2, 1) both;
+    }
+
+    @keyframes projectFilterIn {
+        from {
+            opacity: 0;
+            transform: translateY(12px) scale(0.98);
+        }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .project-card.filter-enter {
+            animation: none;
+        }
+    }`;
+}
+
+/**
+ * Generate the CSS for the collapsed "Past work" group
+ */
+function generatePastWorkCSS() {
+    return `
+    /* Past Work Styles - Auto-generated by build-projects.js */
+    .past-work {
+        margin-top: 4rem;
+        padding-top: 2rem;
+        border-top: 1px solid rgba(255, 255, 255, 0.08);
+    }
+
+    .past-work-summary {
+        display: flex;
+        justify-content: center;
+        align-items: baseline;
+        gap: 0.75rem;
+        list-style: none;
+        color: var(--slate-linen, #bcbda7);
+        cursor: pointer;
+    }
+
+    .past-work-summary::-webkit-details-marker {
+        display: none;
+    }
+
+    .past-work-summary::after {
+        content: '\\f078';
+        font-family: 'Font Awesome 6 Free';
+        font-weight: 900;
+        font-size: 0.75rem;
+        transition: transform 0.3s ease;
+    }
+
+    .past-work[open] .past-work-summary::after {
+        transform: rotate(180deg);
+    }
+
+    .past-work-summary:hover {
+        color: var(--text-main, #eaefec);
+    }
+
+    .past-work-summary:focus-visible {
+        outline: 2px solid var(--accent-solar, #d7bd46);
+        outline-offset: 4px;
+    }
+
+    .past-work-title {
+        font-family: var(--font-head, serif);
+        font-size: 1.5rem;
+    }
+
+    .past-work-count {
+        color: var(--slate-stone, #78878d);
+        font-size: 0.75rem;
+        font-weight: 700;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+    }
+
+    .past-work-grid {
+        margin-top: 2rem;
+    }`;
+}
+
+/**
+ * Generate the CSS for the alternate layouts in templates/layouts/
+ */
+function generateLayoutCSS() {
+    return `
+    /* Project Layout Styles - Auto-generated by build-projects.js */
+    .project-badge {
+        position: absolute;
+        top: 0.75rem;
+        left: 0.75rem;
+        z-index: 1;
+        display: inline-flex;
+        align-items: center;
+        gap: 0.375rem;
+        padding: 0.25rem 0.75rem;
+        border-radius: 999px;
+        background: rgba(0, 0, 0, 0.7);
+        color: #fff;
+        font-size: 0.75rem;
+        font-weight: 700;
+        letter-spacing: 0.5px;
+        text-transform: uppercase;
+        pointer-events: none;
+    }
+
+    /* Case study: a wider dialog with a summary column beside the write-up */
+    .layout-case-study .modal-container {
+        max-width: 1200px;
+    }
+
+    .case-study-columns {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) 280px;
+        gap: 2.5rem;
+        align-items: start;
+    }
+
+    .case-study-summary {
+        position: sticky;
+        top: 1.5rem;
+        padding: 1.5rem;
+        border-radius: 12px;
+        background: #f3f4f2;
+    }
+
+    .case-study-label {
+        margin-bottom: 0.75rem;
+        color: var(--text-secondary, #4a4a4a);
+        font-size: 0.75rem;
+        font-weight: 700;
+        letter-spacing: 1px;
+        text-transform: uppercase;
+    }
+
+    .case-study-summary .modal-links {
+        flex-direction: column;
+    }
+
+    .case-study-summary .modal-link {
+        justify-content: center;
+    }
+
+    /* Video first: a wider player, with the links before the write-up */
+    .layout-video-first .modal-container {
+        max-width: 1100px;
+    }
+
+    .layout-video-first .modal-links {
+        margin-bottom: 1.5rem;
+    }
+
+    @media (max-width: 768px) {
+        .case-study-columns {
+            grid-template-columns: 1fr;
+            gap: 1.5rem;
+        }
+
+        .case-study-summary {
+            position: static;
+        }
+    }`;
+}
+
+/**
+ * Generate the JavaScript for the project filter bar
+ *
+ * The active category and technology are kept in the query string
+ * (?category=...&tech=...) so a filtered view can be shared.
+ */
+function generateFilterJS() {
+    return `
+    // Project Filters - Auto-generated by build-projects.js
+    (function() {
+        const bar = document.querySelector('.project-filters');
+        if (!bar) return;
+
+        const cards = Array.from(document.querySelectorAll('.project-grid .project-card'));
+        const pastWork = document.querySelector('.past-work');
+        const chips = Array.from(bar.querySelectorAll('.filter-chip'));
+        const status = bar.querySelector('.filter-status');
+        const clearButton = bar.querySelector('.filter-clear');
+        const state = { category: '', tech: '' };
+
+        function chipFor(group, value) {
+            return chips.find(chip => chip.dataset.filter === group && chip.dataset.value === value);
+        }
+
+        function readUrl() {
+            const params = new URLSearchParams(window.location.search);
+            Object.keys(state).forEach(group => {
+                const value = params.get(group) || '';
+                state[group] = chipFor(group, value) ? value : '';
+            });
+        }
+
+        function writeUrl() {
+            const url = new URL(window.location.href);
+            Object.entries(state).forEach(([group, value]) => {
+                if (value) {
+                    url.searchParams.set(group, value);
+                } else {
+                    url.searchParams.delete(group);
+                }
+            });
+            history.replaceState(history.state, '', url);
+        }
+
+        function matches(card) {
+            if (state.category && card.dataset.category !== state.category) return false;
+            if (state.tech && !card.dataset.tech.split(' ').includes(state.tech)) return false;
+            return true;
+        }
+
+        function chipLabel(group) {
+            const chip = chipFor(group, state[group]);
+            return chip.firstChild.textContent.trim();
+        }
+
+        function describe(visible, collapsed) {
+            const parts = [];
+            if (state.category) parts.push('in ' + chipLabel('category'));
+            if (state.tech) parts.push('using ' + chipLabel('tech'));
+            const scope = parts.length ? ' ' + parts.join(' ') : '';
+
+            if (visible === 0) return 'No projects' + scope + '.';
+            if (!scope) return 'Showing all ' + cards.length + ' projects' + (collapsed ? ', ' + collapsed + ' of them under Past work' : '') + '.';
+            return 'Showing ' + visible + ' of ' + cards.length + ' projects' + scope + '.';
+        }
+
+        function applyFilters() {
+            let visible = 0;
+            cards.forEach(card => {
+                const show = matches(card);
+                if (show) visible++;
+                if (show && card.hidden) {
+                    card.hidden = false;
+                    // Restart the entrance animation
+                    card.classList.remove('filter-enter');
+                    void card.offsetWidth;
+                    card.classList.add('filter-enter');
+                } else if (!show) {
+                    card.hidden = true;
+                }
+            });
+
+            // Matches in the collapsed Past work group would be counted without being seen
+            const inPastWork = pastWork ? cards.filter(card => !card.hidden && pastWork.contains(card)).length : 0;
+            if (inPastWork > 0 && (state.category || state.tech)) pastWork.open = true;
+
+            chips.forEach(chip => {
+                const active = state[chip.dataset.filter] === chip.dataset.value;
+                chip.classList.toggle('active', active);
+                chip.setAttribute('aria-pressed', String(active));
+            });
+
+            status.textContent = describe(visible, pastWork && !pastWork.open ? inPastWork : 0);
+            clearButton.hidden = !state.category && !state.tech;
+        }
+
+        bar.addEventListener('click', (e) => {
+            if (e.target === clearButton) {
+                state.category = '';
+                state.tech = '';
+                chipFor('category', '').focus();
+            } else {
+                const chip = e.target.closest('.filter-chip');
+                if (!chip) return;
+                // Clicking the active chip again resets its group
+                const value = state[chip.dataset.filter] === chip.dataset.value ? '' : chip.dataset.value;
+                state[chip.dataset.filter] = value;
+            }
+            writeUrl();
+            applyFilters();
+        });
+
+        // Arrow keys move between the chips of a group
+        bar.addEventListener('keydown', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (!chip || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+
+            const group = Array.from(chip.parentElement.querySelectorAll('.filter-chip'));
+            const step = e.key === 'ArrowRight' ? 1 : -1;
+            group[(group.indexOf(chip) + step + group.length) % group.length].focus();
+            e.preventDefault();
+        });
+
+        readUrl();
+        applyFilters();
+    })();`;
+}
+
+/**
+ * Generate the CSS for the project search box
+ */
+function generateSearchCSS() {
+    return `
+    /* Project Search Styles - Auto-generated by build-projects.js */
+    .project-search {
+        max-width: 560px;
+        margin: 0 auto 2rem;
+    }
+
+    .project-search-label {
+        display: block;
+        margin-bottom: 0.5rem;
+        text-align: center;
+        color: var(--slate-stone, #78878d);
+        font-size: 0.75rem;
+        font-weight: 700;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+    }
+
+    .project-search-field {
+        position: relative;
+    }
+
+    .project-search-field > i {
+        position: absolute;
+        top: 50%;
+        left: 1rem;
+        transform: translateY(-50%);
+        color: var(--slate-stone, #78878d);
+        pointer-events: none;
+    }
+
+    .project-search-input {
+        width: 100%;
+        padding: 0.85rem 1rem 0.85rem 2.75rem;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        border-radius: var(--radius-lg, 12px);
+        background: var(--bg-elevated, #1f2d27);
+        color: var(--text-main, #eaefec);
+        font-family: var(--font-body, sans-serif);
+        font-size: 1rem;
+        transition: var(--transition, all 0.3s ease);
+    }
+
+    .project-search-input:focus {
+        outline: none;
+        border-color: var(--accent-kinetic, #739d5c);
+        box-shadow: 0 0 0 3px rgba(115, 157, 92, 0.25);
+    }
+
+    .project-search-results {
+        position: absolute;
+        top: calc(100% + 0.5rem);
+        left: 0;
+        right: 0;
+        z-index: 20;
+        max-height: 420px;
+        overflow-y: auto;
+        padding: 0.5rem;
+        list-style: none;
+        text-align: left;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+        border-radius: var(--radius-lg, 12px);
+        background: var(--bg-elevated, #1f2d27);
+        box-shadow: var(--shadow-card-hover, 0 20px 50px rgba(0, 0, 0, 0.4));
+    }
+
+    .project-search-result {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        padding: 0.75rem 1rem;
+        border-radius: var(--radius, 6px);
+        cursor: pointer;
+    }
+
+    .project-search-result:hover,
+    .project-search-result[aria-selected="true"] {
+        background: rgba(115, 157, 92, 0.15);
+    }
+
+    .search-result-title {
+        color: var(--text-main, #eaefec);
+        font-weight: 700;
+    }
+
+    .search-result-meta {
+        color: var(--accent-kinetic-light, #8bc66b);
+        font-size: 0.75rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    }
+
+    .search-result-snippet {
+        color: var(--text-muted, #bcbda7);
+        font-size: 0.85rem;
+        line-height: 1.5;
+    }
+
+    .project-search-results mark {
+        padding: 0 1px;
+        border-radius: 2px;
+        background: rgba(215, 189, 70, 0.3);
+        color: inherit;
+    }
+
+    .project-search-status {
+        min-height: 1.5em;
+        margin-top: 0.5rem;
+        text-align: center;
+        color: var(--text-muted, #bcbda7);
+        font-size: 0.85rem;
+    }`;
+}
+
+/**
+ * Generate the JavaScript for the project search box
+ *
+ * Matches every query word against the index by exact word, prefix or a
+ * small edit distance, ranks title and tech matches above body matches, and
+ * opens the chosen project's modal.
+ */
+function generateSearchJS() {
+    return `
+    // Project Search - Auto-generated by build-projects.js
+    (function() {
+        const input = document.getElementById('project-search-input');
+        const indexScript = document.getElementById('project-search-index');
+        if (!input || !indexScript) return;
+
+        const list = document.getElementById('project-search-results');
+        const status = document.querySelector('.project-search-status');
+        const MAX_RESULTS = 8;
+        const EXACT = 1;
+        const PREFIX = 0.75;
+        const FUZZY = 0.4;
+        const TOKEN = /[\\p{L}\\p{N}][\\p{L}\\p{N}#+]*/gu;
+
+        // Matches in the title count most, matches in the body least
+        const FIELDS = [
+            { name: 'title', weight: 5 },
+            { name: 'tech', weight: 4 },
+            { name: 'category', weight: 3 },
+            { name: 'description', weight: 2 },
+            { name: 'body', weight: 1 }
+        ];
+
+        const docs = JSON.parse(indexScript.textContent).projects.map(project => {
+            const text = Object.assign({}, project, { tech: project.tech.join(', ') });
+            const tokens = {};
+            FIELDS.forEach(field => {
+                tokens[field.name] = Array.from(new Set(tokenize(text[field.name])));
+            });
+            return { project, text, tokens };
+        });
+
+        let results = [];
+        let activeIndex = -1;
+
+        function tokenize(text) {
+            return (String(text || '').toLowerCase().match(TOKEN) || []);
+        }
+
+        // Levenshtein distance, giving up once it exceeds \`max\`
+        function editDistance(a, b, max) {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+            let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const row = [i];
+                let best = i;
+                for (let j = 1; j <= b.length; j++) {
+                    row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    best = Math.min(best, row[j]);
+                }
+                if (best > max) return max + 1;
+                prev = row;
+            }
+            return prev[b.length];
+        }
+
+        // How well a query term matches a word: exactly, as a prefix, or with a typo
+        function matchScore(term, token) {
+            if (token === term) return EXACT;
+            if (token.startsWith(term)) return PREFIX;
+            const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+            if (allowed === 0) return 0;
+            return editDistance(term, token.slice(0, term.length + allowed), allowed) <= allowed ? FUZZY : 0;
+        }
+
+        // Every term has to match somewhere in the project
+        function scoreDoc(doc, terms) {
+            let total = 0;
+            for (const term of terms) {
+                let best = 0;
+                FIELDS.forEach(field => {
+                    doc.tokens[field.name].forEach(token => {
+                        best = Math.max(best, matchScore(term, token) * field.weight);
+                    });
+                });
+                if (best === 0) return 0;
+                total += best;
+            }
+            return total;
+        }
+
+        function search(query) {
+            const terms = Array.from(new Set(tokenize(query)));
+            if (terms.length === 0) return { terms, matches: [] };
+
+            const matches = docs
+                .map(doc => ({ doc, score: scoreDoc(doc, terms) }))
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score || a.doc.project.title.localeCompare(b.doc.project.title))
+                .slice(0, MAX_RESULTS);
+            return { terms, matches };
+        }
+
+        // Append \`text\` to \`parent\`, wrapping the parts of words that match a term in <mark>
+        function appendHighlighted(parent, text, terms) {
+            let last = 0;
+            text.replace(TOKEN, (word, offset) => {
+                const lower = word.toLowerCase();
+                let length = 0;
+                terms.forEach(term => {
+                    const score = matchScore(term, lower);
+                    if (score === 0) return;
+                    length = Math.max(length, score === FUZZY ? word.length : Math.min(term.length, word.length));
+                });
+                if (length > 0) {
+                    parent.appendChild(document.createTextNode(text.slice(last, offset)));
+                    const mark = document.createElement('mark');
+                    mark.textContent = word.slice(0, length);
+                    parent.appendChild(mark);
+                    last = offset + length;
+                }
+                return word;
+            });
+            parent.appendChild(document.createTextNode(text.slice(last)));
+        }
+
+        // A short excerpt of the description or body around the first match
+        function snippet(doc, terms) {
+            for (const name of ['description', 'body']) {
+                const text = doc.text[name] || '';
+                let position = -1;
+                text.replace(TOKEN, (word, offset) => {
+                    if (position === -1 && terms.some(term => matchScore(term, word.toLowerCase()) > 0)) {
+                        position = offset;
+                    }
+                    return word;
+                });
+                if (position === -1) continue;
+
+                const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, position - 40)) + 1);
+                const end = Math.min(text.length, position + 100);
+                return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+            }
+            return doc.text.description || '';
+        }
+
+        function render(query) {
+            const { terms, matches } = search(query);
+            results = matches;
+            activeIndex = -1;
+            list.innerHTML = '';
+
+            matches.forEach((result, i) => {
+                const { project } = result.doc;
+                const item = document.createElement('li');
+                item.id = 'project-search-result-' + i;
+                item.className = 'project-search-result';
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', 'false');
+                item.dataset.project = project.slug;
+
+                const title = document.createElement('span');
+                title.className = 'search-result-title';
+                appendHighlighted(title, project.title, terms);
+
+                const meta = document.createElement('span');
+                meta.className = 'search-result-meta';
+                appendHighlighted(meta, [project.category].concat(project.tech).join(' · '), terms);
+
+                const excerpt = document.createElement('span');
+                excerpt.className = 'search-result-snippet';
+                appendHighlighted(excerpt, snippet(result.doc, terms), terms);
+
+                item.append(title, meta, excerpt);
+                list.appendChild(item);
+            });
+
+            const open = matches.length > 0;
+            list.hidden = !open;
+            input.setAttribute('aria-expanded', String(open));
+            input.removeAttribute('aria-activedescendant');
+
+            if (terms.length === 0) {
+                status.textContent = '';
+            } else if (!open) {
+                status.textContent = 'No projects match "' + query.trim() + '".';
+            } else {
+                status.textContent = matches.length + (matches.length === 1 ? ' project matches.' : ' projects match.') +
+                    ' Use the arrow keys to choose one and Enter to open it.';
+            }
+        }
+
+        function setActive(index) {
+            const items = list.querySelectorAll('.project-search-result');
+            if (items.length === 0) return;
+            activeIndex = (index + items.length) % items.length;
+            items.forEach((item, i) => item.setAttribute('aria-selected', String(i === activeIndex)));
+            input.setAttribute('aria-activedescendant', items[activeIndex].id);
+            items[activeIndex].scrollIntoView({ block: 'nearest' });
+        }
+
+        function openResult(index) {
+            const result = results[index];
+            if (!result) return;
+            openProjectModal(result.doc.project.slug);
+        }
+
+        input.addEventListener('input', () => render(input.value));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                setActive(activeIndex + 1);
+                e.preventDefault();
+            } else if (e.key === 'ArrowUp') {
+                setActive(activeIndex - 1);
+                e.preventDefault();
+            } else if (e.key === 'Enter') {
+                openResult(activeIndex === -1 ? 0 : activeIndex);
+                e.preventDefault();
+            } else if (e.key === 'Escape' && input.value) {
+                input.value = '';
+                render('');
+                e.stopPropagation();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.project-search-result');
+            if (item) openResult(Array.from(list.children).indexOf(item));
+        });
+    })();`;
+}
+
+/**
+ * Fill every generated region of index.html and write search-index.json
+ *
+ * Returns false, writing nothing, if index.html has no project markers.
+ */
+function writeIndex(projects, testimonials, heroStats, tokens, cards, modalsHtml, siteImage = null) {
+    const listed = projects.filter(isListed);
+    const featured = listed.filter(isFeatured);
+    const archived = listed.filter(project => !isFeatured(project));
+    const cardsHtml = group => group.map(project => cards.get(project.slug)).join('\n');
+
+    // Search index, embedded in the page and written out for other tools
+    const searchIndex = generateSearchIndex(listed);
+    const assetTags = generateAssetTags();
+
+    const regions = [
+        { name: 'Design token', start: TOKENS_START, end: TOKENS_END, html: generateTokenStyles(tokens, '        '), indent: '        ', where: 'inside <style> to declare the :root custom properties' },
+        { name: 'Link preview', start: SEO_START, end: SEO_END, html: generateIndexSeo(listed, siteImage), indent: '    ', where: 'inside <head> to add link previews and structured data' },
+        { name: 'Filter', start: FILTERS_START, end: FILTERS_END, html: generateFilterBar(listed), indent: '            ', where: 'above the project grid to show the filter bar' },
+        { name: 'Search', start: SEARCH_START, end: SEARCH_END, html: generateSearchBox(searchIndex), indent: '            ', where: 'to the projects section to show the search box' },
+        { name: 'Past work', start: PAST_WORK_START, end: PAST_WORK_END, html: generatePastWork(archived.length, cardsHtml(archived)), indent: '            ', where: 'below the project grid to show archived projects' },
+        { name: 'Hero stats', start: STATS_START, end: STATS_END, html: generateHeroStats(heroStats), indent: '                ', where: 'inside #hero-stats to fill in the stats' },
+        { name: 'Testimonial', start: TESTIMONIALS_START, end: TESTIMONIALS_END, html: generateTestimonialSlides(testimonials), indent: '                    ', where: 'inside #carousel-track to fill in the testimonials' },
+        { name: 'Testimonial dot', start: TESTIMONIAL_DOTS_START, end: TESTIMONIAL_DOTS_END, html: generateTestimonialDots(testimonials), indent: '                        ', where: 'inside #carousel-dots' },
+        { name: 'Stylesheet', start: STYLES_START, end: STYLES_END, html: `\n    ${assetTags.css}`, indent: '    ', where: 'inside <head>, after the <style> block, to load the project styles' },
+        { name: 'Script', start: SCRIPTS_START, end: SCRIPTS_END, html: `\n    ${assetTags.js}`, indent: '    ', where: 'after the page\'s own <script> to load the project scripts' }
+    ];
+
+    if (!updateIndexHtml(cardsHtml(featured), modalsHtml, regions, { testimonials: testimonials.length > 0 }, loadConfig().contact)) return false;
+
+    // Only alongside the page it was built for, so the two never disagree
+    writeOutput(SEARCH_INDEX_FILE, JSON.stringify(searchIndex) + '\n');
+    return true;
+}
+
+/**
+ * Open Graph/Twitter tags and JSON-LD for the home page: the site itself
+ * plus every project, described as on its own page
+ */
+function generateIndexSeo(projects, siteImage) {
+    const site = loadConfig().site;
+    const baseUrl = siteBaseUrl(site);
+    const meta = generateSocialMeta({
+        type: 'website',
+        siteName: site.title,
+        title: `${site.title} | ${site.description}`,
+        description: site.description,
+        url: baseUrl,
+        image: baseUrl && siteImage ? { ...siteImage, url: baseUrl + siteImage.url, alt: site.title } : null
+    });
+    const jsonLd = generateJsonLd({
+        '@graph': [
+            { '@type': 'WebSite', name: site.title, description: site.description, url: baseUrl || undefined, inLanguage: site.language },
+            ...projects.map(project => projectStructuredData(project, baseUrl || ''))
+        ]
+    });
+    const feedLinks = generateFeedLinks('');
+    return `\n    ${meta}\n    ${jsonLd.replace(/\n/g, '\n    ')}${feedLinks ? `\n    ${feedLinks}` : ''}`;
+}
+
+/**
+ * Open Graph/Twitter tags and JSON-LD for a project's standalone page,
+ * whose relative links start from `root`
+ */
+function generateProjectSeo(project, root) {
+    const site = loadConfig().site;
+    const baseUrl = siteBaseUrl(site);
+    const { title, description } = cardData(project);
+    const image = baseUrl && socialImage(project, baseUrl);
+    const meta = generateSocialMeta({
+        type: 'article',
+        siteName: site.title,
+        title: `${title} | ${site.title}`,
+        description,
+        url: baseUrl && baseUrl + urlPath('projects', project.slug) + '/',
+        image: image ? { ...image, alt: title } : null,
+        published: project.dates.published,
+        modified: project.dates.updated
+    });
+    const feedLinks = generateFeedLinks(root);
+    return `${meta}\n    ${generateJsonLd(projectStructuredData(project, baseUrl || root)).replace(/\n/g, '\n    ')}${feedLinks ? `\n    ${feedLinks}` : ''}`;
+}
+
+/**
+ * <link rel="alternate"> tags for the feeds, relative to `root`; empty
+ * without a base URL, since the feeds are only written with one
+ */
+function generateFeedLinks(root) {
+    const site = loadConfig().site;
+    if (!siteBaseUrl(site)) return '';
+    return [
+        `<link rel="alternate" type="application/atom+xml" title="${escapeAttr(site.title)} projects (Atom)" href="${escapeAttr(root + FEED_ATOM)}">`,
+        `<link rel="alternate" type="application/feed+json" title="${escapeAttr(site.title)} projects (JSON Feed)" href="${escapeAttr(root + FEED_JSON)}">`
+    ].join('\n    ');
+}
+
+/**
+ * schema.org description of a project, built from the same data as its card:
+ * SoftwareSourceCode when it links a repository, CreativeWork otherwise.
+ * URLs start with `base`, the site's public URL or a relative root.
+ */
+function projectStructuredData(project, base) {
+    const { title, category, description, tech, github, live } = cardData(project);
+    const site = loadConfig().site;
+    const image = socialImage(project, base);
+
+    const data = {
+        '@type': github ? 'SoftwareSourceCode' : 'CreativeWork',
+        name: title,
+        description,
+        genre: category,
+        url: base + urlPath('projects', project.slug) + '/',
+        image: image ? image.url : undefined,
+        datePublished: project.dates.published.toISOString(),
+        dateModified: project.dates.updated.toISOString(),
+        author: { '@type': 'Organization', name: site.author }
+    };
+    if (github) {
+        data.programmingLanguage = tech;
+        data.codeRepository = github;
+    } else if (tech.length > 0) {
+        data.keywords = tech.join(', ');
+    }
+    if (live) data.sameAs = live;
+    return data;
+}
+
+/**
+ * A project's preview image, preferring the 1200x630 social crop of the
+ * cover: { url, width, height } (sizes are unknown for an uncropped cover),
+ * or null without a cover
+ */
+function socialImage(project, base) {
+    const { media, slug } = project;
+    if (media.social) return { ...media.social, url: base + media.social.url };
+    if (media.cover) return { url: base + urlPath('projects', slug, media.cover) };
+    return null;
+}
+
+/**
+ * The site's public URL from site.config.json with a trailing slash, or ''
+ * when `site.baseUrl` is unset or not an http(s) URL
+ */
+function siteBaseUrl(site = loadConfig().site) {
+    return /^https?:\/\//i.test(site.baseUrl) ? site.baseUrl.replace(/\/*$/, '/') : '';
+}
+
+/**
+ * Write feed.xml (Atom), feed.json (JSON Feed) and sitemap.xml to the site
+ * root, newest project first
+ *
+ * Feeds need absolute URLs; the build stops before getting here when
+ * `site.baseUrl` is missing (see checkSiteConfig).
+ */
+function writeFeeds(projects) {
+    const site = { ...loadConfig().site };
+    site.baseUrl = siteBaseUrl(site);
+
+    const entries = projects
+        .slice()
+        .sort((a, b) => b.dates.published - a.dates.published)
+        .map(project => feedEntry(project, site.baseUrl));
+
+    writeOutput(path.join(__dirname, FEED_ATOM), generateAtomFeed(site, entries));
+    writeOutput(path.join(__dirname, FEED_JSON), generateJsonFeed(site, entries));
+    writeOutput(path.join(__dirname, SITEMAP), generateSitemap(site, entries));
+    console.log(`Wrote ${FEED_ATOM}, ${FEED_JSON} and ${SITEMAP} (${entries.length} project(s))`);
+}
+
+/**
+ * Feed entry for a project (see lib/feeds.js), with absolute URLs
+ */
+function feedEntry(project, baseUrl) {
+    const { metadata, media, slug, dir, dates } = project;
+    const projectUrl = baseUrl + urlPath('projects', slug) + '/';
+
+    let image = null;
+    if (media.cover) {
+        image = {
+            url: projectUrl + urlPath(media.cover),
+            type: IMAGE_MIME_TYPES[path.extname(media.cover).toLowerCase()],
+            length: fs.statSync(path.join(dir, media.cover)).size
+        };
+    }
+
+    return {
+        url: projectUrl,
+        title: metadata.title,
+        summary: metadata.description,
+        contentHtml: markdownToHtml(project.body, { baseUrl: projectUrl }) || `<p>${escapeHtml(metadata.description)}</p>`,
+        published: dates.published,
+        updated: dates.updated,
+        tags: [metadata.category || 'Project', ...(metadata.tech || [])],
+        image
+    };
+}
+
+/**
+ * Update index.html with the generated content
+ *
+ * `regions` lists the optional marker pairs to fill, as { name, start, end,
+ * html, indent, where }: `indent` goes before the end marker, and `where`
+ * tells the user where to add the markers if the page lacks them.
+ * `sections` maps section ids to whether the section should be shown.
+ */
+function updateIndexHtml(projectsHtml, modalsHtml, regions = [], sections = {}, contact = null) {
+    let html = fs.readFileSync(INDEX_FILE, 'utf-8');
+
+    // Check if markers exist, if not we need to add them
+    if (!html.includes(PROJECTS_START)) {
+        console.log('Project markers not found in index.html. Please add them manually.');
+        console.log(`Add "${PROJECTS_START}" and "${PROJECTS_END}" around your project cards.`);
+        console.log(`Add "${MODALS_START}" and "${MODALS_END}" before </body> for modals.`);
+        return false;
+    }
+
+    // Replace projects section
+    const projectsRegex = new RegExp(`${escapeRegex(PROJECTS_START)}[\\s\\S]*?${escapeRegex(PROJECTS_END)}`);
+    html = html.replace(projectsRegex, () => `${PROJECTS_START}\n${projectsHtml}\n                ${PROJECTS_END}`);
+
+    // Replace modals section
+    if (html.includes(MODALS_START)) {
+        const modalsRegex = new RegExp(`${escapeRegex(MODALS_START)}[\\s\\S]*?${escapeRegex(MODALS_END)}`);
+        html = html.replace(modalsRegex, () => `${MODALS_START}\n${modalsHtml}\n    ${MODALS_END}`);
+    }
+
+    // Filter bar, search box, hero stats, testimonials...
+    html = replaceRegions(html, regions, path.basename(INDEX_FILE));
+
+    for (const [id, visible] of Object.entries(sections)) {
+        html = setSectionVisibility(html, id, visible);
+    }
+    if (contact) html = setContactForm(html, contact);
+
+    writeOutput(INDEX_FILE, html);
+    return true;
+}
+
+/**
+ * Replace the content between each region's start and end markers in
+ * `html`, reporting regions whose markers are missing from `fileName`
+ */
+function replaceRegions(html, regions, fileName) {
+    for (const { name, start, end, html: content, indent, where } of regions) {
+        if (!html.includes(start)) {
+            console.log(`${name} markers not found in ${fileName}. Add "${start}" and "${end}" ${where}.`);
+            continue;
+        }
+        const regex = new RegExp(`${escapeRegex(start)}[\\s\\S]*?${escapeRegex(end)}`);
+        html = html.replace(regex, () => `${start}${content}\n${indent}${end}`);
+    }
+    return html;
+}
+
+/**
+ * Regenerate the design tokens on the brand board: its :root block, the
+ * colour swatches and the copyable token code
+ */
+function writeBrandBoard(tokens) {
+    if (!fs.existsSync(BRAND_BOARD_FILE)) return;
+
+    const regions = [
+        { name: 'Design token', start: TOKENS_START, end: TOKENS_END, html: generateTokenStyles(tokens, '        '), indent: '        ', where: 'inside <style> to declare the :root custom properties' },
+        { name: 'Swatch', start: SWATCHES_START, end: SWATCHES_END, html: `\n${generateSwatchGrid(tokens, '                    ')}`, indent: '                    ', where: 'inside .color-grid to show the colour swatches' },
+        // The code box keeps its whitespace, so the block starts in the first column
+        { name: 'Token code', start: TOKEN_CODE_START, end: TOKEN_CODE_END, html: `\n${escapeHtml(generateRootBlock(tokens))}`, indent: '', where: 'inside .code-box to show the tokens as CSS' }
+    ];
+
+    const before = fs.readFileSync(BRAND_BOARD_FILE, 'utf-8');
+    const html = replaceRegions(before, regions, path.basename(BRAND_BOARD_FILE));
+    if (html !== before) {
+        fs.writeFileSync(BRAND_BOARD_FILE, html);
+        console.log(`Updated ${path.basename(BRAND_BOARD_FILE)} from ${path.basename(TOKENS_FILE)}`);
+    }
+}
+
+/**
+ * Add or remove the `hidden` attribute on a page section and on the
+ * navigation links pointing to it
+ */
+function setSectionVisibility(html, id, visible) {
+    const hidden = visible ? '' : ' hidden';
+    return html
+        .replace(new RegExp(`(<section\\b[^>]*\\bid="${escapeRegex(id)}"[^>]*?)(?: hidden)?>`), (match, tag) => `${tag}${hidden}>`)
+        .replace(new RegExp(`<li(?: hidden)?>(<a href="#${escapeRegex(id)}")`, 'g'), (match, link) => `<li${hidden}>${link}`);
+}
+
+/**
+ * Point the contact form at `contact.endpoint`, or leave it without an
+ * action so the page's script falls back to a mailto: link to
+ * `contact.email`
+ */
+function setContactForm(html, contact) {
+    const endpoint = contactEndpoint(contact);
+    const action = endpoint ? ` action="${escapeAttr(endpoint)}"` : '';
+    return html.replace(/<form\b[^>]*\bid="contact-form"[^>]*>/, () => {
+        return `<form id="contact-form" method="post"${action} data-mailto="${escapeAttr(contact.email)}">`;
+    });
+}
+
+/**
+ * `contact.endpoint` if it is an http(s) URL or a path on the site,
+ * otherwise ''
+ */
+function contactEndpoint(contact) {
+    const endpoint = String(contact.endpoint || '').trim();
+    return endpoint && sanitizeUrl(endpoint) && !/^mailto:/i.test(endpoint) ? endpoint : '';
+}
+
+/**
+ * Report a missing or relative `site.baseUrl`: feeds, the sitemap, canonical
+ * links, link previews and JSON-LD all need the site's absolute URL
+ */
+function checkSiteConfig(diagnostics) {
+    const { site } = loadConfig();
+    if (siteBaseUrl(site)) return;
+    diagnostics.push({
+        level: 'error',
+        file: CONFIG_FILE,
+        message: site.baseUrl
+            ? `site.baseUrl must be an http(s) URL, got "${site.baseUrl}"`
+            : 'site.baseUrl must be set to the site\'s public URL, e.g. "https://example.com/" (feeds, the sitemap and link previews need absolute links)'
+    });
+}
+
+/**
+ * Report a `contact` section in site.config.json that would leave the
+ * contact form with nowhere to send messages
+ */
+function checkContactConfig(diagnostics) {
+    const { contact } = loadConfig();
+    if (contact.endpoint && !contactEndpoint(contact)) {
+        diagnostics.push({ level: 'error', file: CONFIG_FILE, message: `contact.endpoint must be an http(s) URL or a path on the site, got "${contact.endpoint}"` });
+    }
+    if (!/^[^\s@]+@[^\s@]+$/.test(contact.email || '')) {
+        diagnostics.push({ level: 'error', file: CONFIG_FILE, message: `contact.email must be an email address for the mailto: fallback, got "${contact.email || ''}"` });
+    }
+}
+
+/**
+ * The project stylesheet and script, named after a hash of their content so
+ * that a changed file gets a new URL and browsers never keep a stale copy
+ *
+ * Returns { css, js }, each { file, url, content } with the URL relative to
+ * the site root.
+ */
+function projectAssets() {
+    const sources = {
+        css: [generateModalCSS(), generateFilterCSS(), generatePastWorkCSS(), generateLayoutCSS(), generateSearchCSS(), generateProjectPageCSS()],
+        js: [generateGalleryJS(), generateModalJS(), generateFilterJS(), generateSearchJS()]
+    };
+
+    const assets = {};
+    for (const [ext, parts] of Object.entries(sources)) {
+        assets[ext] = hashedAsset(ASSET_NAME, ext, parts.map(part => part.replace(/^ {4}/gm, '').trim()).join('\n\n'));
+    }
+    return assets;
+}
+
+/**
+ * The styles of index.html (`site.styles`, see readSiteChrome) as a
+ * stylesheet for the project pages, so each page doesn't carry its own copy
+ *
+ * Relative url()s are rebased from the site root to ASSETS_DIR.
+ */
+function siteStylesheet(styles) {
+    const css = styles
+        .replace(/\burl\((\s*['"]?)(?![a-z][a-z0-9+.-]*:|\/|#)/gi, 'url($1../')
+        .replace(/^ {8}/gm, '')
+        .trim();
+    return hashedAsset(SITE_STYLES_NAME, 'css', css);
+}
+
+/**
+ * Asset `name`.<hash>.`ext` in ASSETS_DIR holding `code`, as { file, url, content }
+ */
+function hashedAsset(name, ext, code) {
+    const content = `/* Generated by build-projects.js; edits here are overwritten */\n\n${code}\n`;
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+    const file = `${name}.${hash}.${ext}`;
+    return { file, url: urlPath(path.basename(ASSETS_DIR), file), content };
+}
+
+/**
+ * <link> and <script> tags loading the project assets from a page `root`
+ * levels below the site root
+ */
+function generateAssetTags(root = '') {
+    const { css, js } = projectAssets();
+    return {
+        css: `<link rel="stylesheet" href="${escapeAttr(root + css.url)}">`,
+        js: `<script src="${escapeAttr(root + js.url)}"></script>`
+    };
+}
+
+/**
+ * Write the project assets, deleting the copies earlier builds left behind
+ */
+function writeAssets() {
+    writeHashedAssets(ASSET_NAME, Object.values(projectAssets()));
+}
+
+/**
+ * Write `assets` (see hashedAsset) and delete the other copies of asset `name`
+ */
+function writeHashedAssets(name, assets) {
+    const current = new Set(assets.map(asset => asset.file));
+    const hashed = new RegExp(`^${escapeRegex(name)}\\.[0-9a-f]+\\.(?:css|js)$`);
+
+    fs.mkdirSync(ASSETS_DIR, { recursive: true });
+    for (const asset of assets) {
+        fs.writeFileSync(path.join(ASSETS_DIR, asset.file), asset.content);
+    }
+    for (const file of fs.readdirSync(ASSETS_DIR)) {
+        if (hashed.test(file) && !current.has(file)) fs.unlinkSync(path.join(ASSETS_DIR, file));
+    }
+
+    console.log(`Wrote ${assets.map(asset => asset.url).join(' and ')}`);
+}
+
+/**
+ * Write projects/<slug>/index.html for every project, or only for the
+ * projects in `only`
+ */
+function writeProjectPages(projects, only = projects) {
+    const site = readSiteChrome(fs.readFileSync(INDEX_FILE, 'utf-8'));
+    const stylesheet = siteStylesheet(site.styles);
+    writeHashedAssets(SITE_STYLES_NAME, [stylesheet]);
+    site.stylesheet = stylesheet.url;
+
+    // Previous/next links only step through projects that have a card
+    const listed = projects.filter(isListed);
+
+    for (const project of only) {
+        writeOutput(path.join(project.dir, PROJECT_PAGE), generateProjectPage(project, listed.indexOf(project), listed, site));
+    }
+
+    console.log(`Wrote ${only.length} project page(s) to projects/<name>/${PROJECT_PAGE}`);
+}
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load the sharp-based pipeline from generate-images.js, or null when sharp
+ * is not installed
+ */
+function loadImagePipeline() {
+    try {
+        return require('./generate-images');
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') throw err;
+        return null;
     }
+}
 
-    .view-project-btn:hover {
-        background: var(--accent-solar, #d4a574);
-        color: white;
-        transform: scale(1.05);
+/**
+ * Resize every cover, gallery image and video poster into images/projects/<slug>/ and
+ * record the variants on project.media.variants as { size, width, height,
+ * format, url }, and each opaque image's placeholder on media.placeholders.
+ *
+ * generate-images.js caches the outputs in images/manifest.json by content
+ * hash, so unchanged images are not reprocessed. Sources narrower than the
+ * largest size keep their full resolution as the widest srcset candidate
+ * instead of being capped at the next size down.
+ */
+async function generateResponsiveImages(projects) {
+    const pipeline = loadImagePipeline();
+    if (!pipeline) {
+        console.warn('warning: sharp is not installed; project images will not have responsive variants (npm install sharp)\n');
+        return;
     }
 
-    .project-placeholder {
-        width: 100%;
-        height: 200px;
-        background: linear-gradient(135deg, var(--bg-surface, #f5f5f5), var(--bg-card, #eee));
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        gap: 0.75rem;
-        color: var(--text-muted, #999);
-    }
+    const largest = Math.max(...Object.values(pipeline.sizes));
+    const jobs = [];
 
-    .project-placeholder i {
-        font-size: 2.5rem;
-    }
+    for (const project of projects) {
+        const { media, slug } = project;
+        const outputDir = path.join(RESPONSIVE_IMAGES_DIR, slug);
+        const basenames = new Map();
 
-    .project-placeholder span {
-        font-size: 0.875rem;
-    }
+        const posters = media.videos.map(video => video.poster).filter(poster => poster && !media.images.includes(poster));
+        for (const file of [media.cover, ...media.images, ...posters]) {
+            if (!file) continue;
 
-    /* Responsive modal */
-    @media (max-width: 768px) {
-        .modal-container {
-            width: 95%;
-            max-height: 95vh;
-            border-radius: 12px;
+            const input = path.join(project.dir, file);
+            const basename = path.basename(file, path.extname(file));
+            if (basenames.has(basename)) {
+                console.warn(`warning: ${path.relative(__dirname, input)}: shares its variant names with ${basenames.get(basename)}; using the original image`);
+                continue;
+            }
+            basenames.set(basename, file);
+            jobs.push({ input, outputDir, project, file, social: file === media.cover });
         }
+    }
 
-        .modal-content {
-            padding: 1.5rem;
-        }
+    const { entries } = await pipeline.generateImages(jobs);
+    console.log('');
 
-        .modal-title {
-            font-size: 1.5rem;
-        }
+    for (const { input, project, file } of jobs) {
+        const entry = entries.get(input);
+        if (!entry) continue;
 
-        .gallery-nav {
-            width: 40px;
-            height: 40px;
-        }
+        const toVariant = v => ({ size: v.size, width: v.width, height: v.height, format: v.format, url: urlPath(...v.file.split('/')) });
+        const sized = entry.variants.filter(v => v.size !== 'original' && v.size !== 'social').map(toVariant);
+        const widest = Math.max(0, ...sized.map(v => v.width));
 
-        .modal-links {
-            flex-direction: column;
+        if (entry.width < largest && entry.width > widest) {
+            const original = entry.variants.find(v => v.size === 'original');
+            if (original) sized.unshift(toVariant(original));
+            sized.unshift({ size: 'original', width: entry.width, height: entry.height, format: 'source', url: urlPath('projects', project.slug, file) });
         }
+        if (sized.length > 0) project.media.variants[file] = sized;
+        if (entry.placeholder) project.media.placeholders[file] = entry.placeholder;
 
-        .modal-link {
-            justify-content: center;
-        }
-    }`;
+        const social = entry.variants.find(v => v.size === 'social');
+        if (social) project.media.social = toVariant(social);
+    }
 }
 
 /**
- * Generate the JavaScript for modal functionality
+ * Crop the site's preview image (`site.image`) to a social card for the
+ * index page's link previews. Returns { url, width, height } or null when
+ * sharp is not installed or the image is missing.
  */
-function generateModalJS() {
-    return `
-    // Project Modal Functions - Auto-generated by build-projects.js
-    function openProjectModal(slug) {
-        const modal = document.getElementById('modal-' + slug);
-        if (!modal) return;
+async function generateSiteSocialImage() {
+    const { site, images } = loadConfig();
+    const pipeline = loadImagePipeline();
+    const input = site.image && path.join(__dirname, site.image);
+    if (!pipeline || !input || !fs.existsSync(input)) return null;
 
-        document.body.style.overflow = 'hidden';
-        modal.classList.add('active');
-        modal.setAttribute('aria-hidden', 'false');
+    const { entries } = await pipeline.generateImages([{ input, outputDir: path.join(__dirname, images.outputDir), social: true }]);
+    const social = entries.has(input) && entries.get(input).variants.find(v => v.size === 'social');
+    return social ? { url: urlPath(...social.file.split('/')), width: social.width, height: social.height } : null;
+}
 
-        // Focus trap
-        const focusableElements = modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-        if (focusableElements.length > 0) {
-            focusableElements[0].focus();
+/**
+ * Write the .vtt for every caption track that comes from an .srt file to
+ * CAPTIONS_DIR/<slug>/, removing ones whose .srt is gone
+ *
+ * Problems in the .srt files are appended to `diagnostics`, and tracks with
+ * no usable cues are dropped. When `write` is false (--check) the files are
+ * only converted in memory.
+ */
+function convertCaptions(projects, diagnostics, { write = true } = {}) {
+    for (const project of projects) {
+        const outputDir = outputPath(path.join(CAPTIONS_DIR, project.slug));
+        const written = new Set();
+
+        for (const video of project.media.videos) {
+            video.captions = video.captions.filter(track => {
+                if (!track.convert) return true;
+
+                const source = path.join(project.dir, track.source);
+                const { vtt, cues, skipped } = srtToVtt(fs.readFileSync(source, 'utf-8'), track.source);
+                if (cues === 0) {
+                    diagnostics.push({ level: 'error', file: source, message: 'no valid subtitle cues found' });
+                    return false;
+                }
+                if (skipped > 0) {
+                    diagnostics.push({ level: 'warning', file: source, message: `skipped ${skipped} cue(s) without a valid timing line` });
+                }
+
+                const target = path.join(outputDir, track.file);
+                written.add(track.file);
+                if (write && (!fs.existsSync(target) || fs.readFileSync(target, 'utf-8') !== vtt)) {
+                    fs.mkdirSync(outputDir, { recursive: true });
+                    fs.writeFileSync(target, vtt);
+                    console.log(`Converted ${path.relative(__dirname, source)} to ${path.relative(__dirname, target)}`);
+                }
+                return true;
+            });
         }
 
-        // Initialize gallery if present
-        initModalGallery(modal);
+        if (write && fs.existsSync(outputDir)) {
+            for (const file of fs.readdirSync(outputDir)) {
+                if (!written.has(file)) fs.unlinkSync(path.join(outputDir, file));
+            }
+            if (written.size === 0) fs.rmdirSync(outputDir);
+        }
     }
+}
 
-    function closeProjectModal(slug) {
-        const modal = document.getElementById('modal-' + slug);
-        if (!modal) return;
+/**
+ * Check media files against the supported formats and size limits
+ */
+function checkMedia(project, diagnostics, linkedFiles) {
+    const { media, dir } = project;
 
-        document.body.style.overflow = '';
-        modal.classList.remove('active');
-        modal.setAttribute('aria-hidden', 'true');
+    if (!media.cover && media.images.length === 0 && media.videos.length === 0) {
+        diagnostics.push({
+            level: 'warning',
+            file: dir,
+            message: 'empty gallery: no cover image, screenshots or videos (the card will show a placeholder)'
+        });
     }
 
-    function initModalGallery(modal) {
-        const gallery = modal.querySelector('.modal-gallery');
-        if (!gallery) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!entry.isFile() || entry.name.startsWith('.') || ['project.md', PROJECT_PAGE, GALLERY_FILE].includes(entry.name)) continue;
 
-        const items = gallery.querySelectorAll('.gallery-item');
-        const thumbs = gallery.querySelectorAll('.gallery-thumb');
-        const prevBtn = gallery.querySelector('.gallery-prev');
-        const nextBtn = gallery.querySelector('.gallery-next');
-        let currentIndex = 0;
+        const file = path.join(dir, entry.name);
+        const ext = path.extname(entry.name).toLowerCase();
+        const bytes = fs.statSync(file).size;
 
-        function showItem(index) {
-            items.forEach((item, i) => {
-                item.classList.toggle('active', i === index);
-            });
-            thumbs.forEach((thumb, i) => {
-                thumb.classList.toggle('active', i === index);
+        if (IMAGE_EXTS.includes(ext)) {
+            if (path.basename(entry.name, ext).toLowerCase().endsWith(POSTER_SUFFIX) && !media.videos.some(video => video.poster === entry.name)) {
+                diagnostics.push({ level: 'warning', file, message: 'poster image does not belong to any video (name it <video>.poster.jpg)' });
+            }
+            if (bytes > MAX_IMAGE_BYTES) {
+                diagnostics.push({ level: 'error', file, message: `image is ${formatBytes(bytes)} (limit ${formatBytes(MAX_IMAGE_BYTES)})` });
+            }
+            const size = readImageSize(file);
+            if (!size) {
+                diagnostics.push({ level: 'error', file, message: 'image could not be read (corrupt file or wrong extension?)' });
+            } else if (Math.max(size.width, size.height) > MAX_IMAGE_DIMENSION) {
+                diagnostics.push({
+                    level: 'error',
+                    file,
+                    message: `image is ${size.width}x${size.height}px (limit ${MAX_IMAGE_DIMENSION}px on the longest side)`
+                });
+            }
+        } else if (VIDEO_EXTS.includes(ext)) {
+            if (bytes > MAX_VIDEO_BYTES) {
+                diagnostics.push({ level: 'error', file, message: `video is ${formatBytes(bytes)} (limit ${formatBytes(MAX_VIDEO_BYTES)})` });
+            }
+        } else if (CAPTION_EXTS.includes(ext)) {
+            const matched = media.videos.some(video => matchCaptionFile(entry.name, path.basename(video.file, path.extname(video.file))));
+            if (!matched) {
+                diagnostics.push({
+                    level: 'warning',
+                    file,
+                    message: 'caption file does not belong to any video (name it <video>.vtt or <video>.<lang>.vtt)'
+                });
+            }
+        } else if (!linkedFiles.has(file)) {
+            diagnostics.push({
+                level: 'error',
+                file,
+                message: `unsupported media type "${ext || entry.name}" (supported: ${IMAGE_EXTS.concat(VIDEO_EXTS, CAPTION_EXTS).join(', ')})`
             });
-            currentIndex = index;
         }
+    }
+}
 
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => {
-                const newIndex = (currentIndex - 1 + items.length) % items.length;
-                showItem(newIndex);
-            });
+/**
+ * Check that relative links and images in the markdown body resolve to files
+ * in the project directory. Returns the set of files that were linked.
+ */
+function checkBodyLinks(project, diagnostics) {
+    const { dir, body, source } = project;
+    const linked = new Set();
+    const linkPattern = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*)?\)|^\s*\[[^\]]+\]:\s*<?(\S+?)>?(?:\s|$)/g;
+    let inFence = null;
+
+    body.split('\n').forEach((text, idx) => {
+        const fence = text.match(/^\s*(`{3,}|~{3,})/);
+        if (fence) {
+            if (!inFence) inFence = fence[1][0];
+            else if (fence[1][0] === inFence) inFence = null;
+            return;
+        }
+        if (inFence) return;
+
+        for (const match of text.replace(/`[^`]*`/g, '').matchAll(linkPattern)) {
+            const target = match[1] || match[2];
+            if (/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target)) continue;
+
+            let relative = target.replace(/[?#].*$/, '');
+            try {
+                relative = decodeURI(relative);
+            } catch (err) {
+                // Keep the raw target if it is not valid percent-encoding
+            }
+
+            // The repository root is the site root, so "/about" is looked up there
+            const resolved = relative.startsWith('/') ? path.join(__dirname, relative) : path.resolve(dir, relative);
+            linked.add(resolved);
+            if (!fs.existsSync(resolved)) {
+                diagnostics.push({
+                    level: 'error',
+                    file: source.file,
+                    line: source.bodyLine + idx,
+                    message: `link target "${target}" does not exist`
+                });
+            }
         }
+    });
+
+    return linked;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Validate every project without writing anything (--check)
+ *
+ * Reports schema errors, duplicate `order` values, empty galleries,
+ * unsupported or oversized media, broken relative links and invalid
+ * testimonials, stats or contact settings, then sets a non-zero exit code if
+ * any errors were found.
+ */
+function check() {
+    const diagnostics = templates.validate(TEMPLATE_NAMES);
+    const projects = loadProjects(diagnostics, { includeInvalid: true });
 
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
-                const newIndex = (currentIndex + 1) % items.length;
-                showItem(newIndex);
+    const byOrder = new Map();
+    for (const project of projects) {
+        if (project.metadata.order === undefined) continue;
+        const group = byOrder.get(project.metadata.order) || [];
+        group.push(project);
+        byOrder.set(project.metadata.order, group);
+    }
+    for (const [order, group] of byOrder) {
+        if (group.length < 2) continue;
+        for (const project of group) {
+            const others = group.filter(p => p !== project).map(p => p.slug).join(', ');
+            diagnostics.push({
+                level: 'error',
+                file: project.source.file,
+                line: project.source.lines.order,
+                message: `duplicate order ${order} (also used by ${others})`
             });
         }
+    }
 
-        thumbs.forEach((thumb, index) => {
-            thumb.addEventListener('click', () => showItem(index));
-        });
+    for (const project of projects) {
+        const linkedFiles = checkBodyLinks(project, diagnostics);
+        checkMedia(project, diagnostics, linkedFiles);
     }
+    convertCaptions(projects, diagnostics, { write: false });
+    loadHeroStats(projects, diagnostics);
+    loadDesignTokens(diagnostics);
+    checkSiteConfig(diagnostics);
+    checkContactConfig(diagnostics);
+    const testimonials = loadTestimonials(projects, diagnostics);
 
-    // Close modal on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            const activeModal = document.querySelector('.project-modal.active');
-            if (activeModal) {
-                const slug = activeModal.id.replace('modal-', '');
-                closeProjectModal(slug);
-            }
-        }
-    });`;
+    diagnostics.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+    for (const diagnostic of diagnostics) {
+        console.log(formatDiagnostic(diagnostic));
+    }
+
+    const errorCount = diagnostics.filter(d => d.level === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    console.log(`\nChecked ${projects.length} project(s) and ${testimonials.length} testimonial(s): ${errorCount} error(s), ${warningCount} warning(s).`);
+
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
 }
 
 /**
- * Update index.html with the generated content
+ * Accessibility audit (--audit)
+ *
+ * Rates the contrast of every text/background pair on the home page, with
+ * freshly generated project cards and modals in place of the committed
+ * ones, and lints the markup of each project's card, modal and write-up.
+ * Prints the problems, writes audit-report.md and sets a non-zero exit
+ * code if any text falls below WCAG 2 AA or the markup has errors.
+ * Nothing else is written.
  */
-function updateIndexHtml(projectsHtml, modalsHtml) {
-    let html = fs.readFileSync(INDEX_FILE, 'utf-8');
+function audit() {
+    const diagnostics = templates.validate(TEMPLATE_NAMES);
+    const loaded = loadProjects(diagnostics);
+    const testimonials = loadTestimonials(loaded, diagnostics);
+    loadDesignTokens(diagnostics);
 
-    // Check if markers exist, if not we need to add them
-    if (!html.includes(PROJECTS_START)) {
-        console.log('Project markers not found in index.html. Please add them manually.');
-        console.log(`Add "${PROJECTS_START}" and "${PROJECTS_END}" around your project cards.`);
-        console.log(`Add "${MODALS_START}" and "${MODALS_END}" before </body> for modals.`);
-        return false;
+    const loadErrors = diagnostics.filter(d => d.level === 'error');
+    if (loadErrors.length > 0) {
+        for (const diagnostic of loadErrors) {
+            console.error(formatDiagnostic(diagnostic));
+        }
+        console.error(`\nAudit failed: ${loadErrors.length} error(s) in project, testimonial, template or token files.`);
+        console.error('Run "node build-projects.js --check" for a full report.');
+        process.exitCode = 1;
+        return;
     }
 
-    // Replace projects section
-    const projectsRegex = new RegExp(`${escapeRegex(PROJECTS_START)}[\\s\\S]*?${escapeRegex(PROJECTS_END)}`);
-    html = html.replace(projectsRegex, `${PROJECTS_START}\n${projectsHtml}\n                ${PROJECTS_END}`);
+    const projects = loaded.filter(project => !unpublishedReason(project));
+    const markup = [];
+    const cards = [];
+    const modals = [];
 
-    // Replace modals section
-    if (html.includes(MODALS_START)) {
-        const modalsRegex = new RegExp(`${escapeRegex(MODALS_START)}[\\s\\S]*?${escapeRegex(MODALS_END)}`);
-        html = html.replace(modalsRegex, `${MODALS_START}\n${modalsHtml}\n    ${MODALS_END}`);
+    for (const project of projects) {
+        project.testimonials = testimonials.filter(testimonial => testimonial.metadata.project === project.slug);
+        const card = generateProjectCard(project, project.slug);
+        const modal = generateProjectModal(project, project.slug);
+        if (isListed(project)) cards.push(card);
+        modals.push(modal);
+
+        // Cards sit under the "Projects" <h2>; modals are dialogs of their own
+        for (const [place, html, headingLevel] of [['card', card, 2], ['modal', modal, 1]]) {
+            for (const issue of lintMarkup(html, { headingLevel })) {
+                markup.push({
+                    level: issue.level,
+                    file: project.source.file,
+                    message: `${inWriteUp(issue.element) ? 'write-up' : place}: ${issue.message}`
+                });
+            }
+        }
     }
 
-    fs.writeFileSync(INDEX_FILE, html);
-    return true;
+    // The home page as a build would leave it, assembled in memory
+    const page = replaceRegions(fs.readFileSync(INDEX_FILE, 'utf-8'), [
+        { name: 'Project', start: PROJECTS_START, end: PROJECTS_END, html: `\n${cards.join('\n')}`, indent: '                ', where: 'around the project cards' },
+        { name: 'Modal', start: MODALS_START, end: MODALS_END, html: `\n${modals.join('\n')}`, indent: '    ', where: 'before </body> for the modals' }
+    ], path.basename(INDEX_FILE));
+    const pageCss = [...page.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)].map(match => match[1]);
+    const contrast = auditContrast(page, [...pageCss, projectAssets().css.content].join('\n'));
+
+    const failing = contrast.pairs.filter(pair => !pair.passes);
+    for (const pair of failing) {
+        diagnostics.push({
+            level: 'error',
+            file: INDEX_FILE,
+            message: `${pair.text} on ${pair.background} is ${formatRatio(pair.ratio)}, below the ${pair.required}:1 AA minimum for ${pair.large ? 'large text' : 'normal text'} (e.g. ${pair.examples[0]})`
+        });
+    }
+    diagnostics.push(...markup);
+
+    for (const diagnostic of diagnostics) {
+        console.log(formatDiagnostic(diagnostic));
+    }
+
+    const relative = file => path.relative(__dirname, file).split(path.sep).join('/');
+    fs.writeFileSync(AUDIT_REPORT_FILE, formatReport({
+        contrast,
+        markup: markup.map(diagnostic => ({ ...diagnostic, file: relative(diagnostic.file) }))
+    }));
+
+    const errorCount = diagnostics.filter(d => d.level === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    console.log(`\nAudited ${contrast.pairs.length} colour pair(s) and ${projects.length} project(s): ${errorCount} error(s), ${warningCount} warning(s).`);
+    console.log(`Wrote ${relative(AUDIT_REPORT_FILE)}`);
+
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
 }
 
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Whether a linted element comes from the project's Markdown body
+function inWriteUp(element) {
+    for (let node = element.parent; node && node.type === 'element'; node = node.parent) {
+        if ((node.attrs.class || '').split(/\s+/).includes('modal-description')) return true;
+    }
+    return false;
 }
 
 /**
  * Main build function
  */
-function build() {
+async function build({ includeDrafts = false } = {}) {
     console.log('Building dynamic projects...\n');
 
-    const projects = loadProjects();
+    const diagnostics = templates.validate(TEMPLATE_NAMES);
+    const loaded = loadProjects(diagnostics);
+    const testimonials = loadTestimonials(loaded, diagnostics);
+    const tokens = loadDesignTokens(diagnostics);
+    checkSiteConfig(diagnostics);
+
+    for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(diagnostic));
+    }
+
+    const errorCount = diagnostics.filter(d => d.level === 'error').length;
+    if (errorCount > 0) {
+        console.error(`\nBuild failed: ${errorCount} error(s) in project, testimonial, template, token or config files. index.html was not changed.`);
+        console.error('Run "node build-projects.js --check" for a full report.');
+        process.exitCode = 1;
+        return;
+    }
 
-    if (projects.length === 0) {
+    if (loaded.length === 0) {
         console.log('No projects found in /projects directory.');
         console.log('Create a subdirectory with a project.md file to get started.');
         console.log('\nExample structure:');
@@ -882,35 +4095,359 @@ function build() {
         return;
     }
 
+    const projects = loaded.filter(project => {
+        const reason = unpublishedReason(project, includeDrafts);
+        if (reason) {
+            console.log(`Skipping ${project.slug}: ${reason}`);
+            removeProjectPage(project);
+        }
+        return !reason;
+    });
+    const previews = loaded.filter(project => unpublishedReason(project)).length;
+    if (includeDrafts) {
+        startPreview();
+        console.log(`Previewing ${previews} draft or scheduled project(s) in ${path.basename(PREVIEW_DIR)}/\n`);
+    }
+
+    const captionDiagnostics = [];
+    convertCaptions(projects, captionDiagnostics);
+    for (const diagnostic of captionDiagnostics) {
+        console.error(formatDiagnostic(diagnostic));
+    }
+
+    const statsDiagnostics = [];
+    const heroStats = loadHeroStats(projects.filter(isFeatured), statsDiagnostics);
+    for (const diagnostic of statsDiagnostics) {
+        console.error(formatDiagnostic(diagnostic));
+    }
+
+    await generateResponsiveImages(projects.filter(project => !unpublishedReason(project)));
+
+    for (const project of projects) {
+        project.testimonials = testimonials.filter(testimonial => testimonial.metadata.project === project.slug);
+    }
+
     console.log(`Found ${projects.length} project(s):\n`);
 
     // Generate HTML for each project
-    const projectCards = [];
+    const projectCards = new Map();
     const projectModals = [];
 
     for (const project of projects) {
-        console.log(`  - ${project.metadata.title || project.slug}`);
-        projectCards.push(generateProjectCard(project, project.slug));
+        const note = unpublishedReason(project) || (project.status === 'published' ? '' : project.status);
+        console.log(`  - ${project.metadata.title}${note ? ` (${note})` : ''}`);
+        projectCards.set(project.slug, generateProjectCard(project, project.slug));
         projectModals.push(generateProjectModal(project, project.slug));
     }
 
-    const projectsHtml = projectCards.join('\n');
-    const modalsHtml = projectModals.join('\n');
+    writeAssets();
 
-    // Update index.html
-    if (updateIndexHtml(projectsHtml, modalsHtml)) {
+    const siteImage = await generateSiteSocialImage();
+    if (writeIndex(projects, testimonials, heroStats, tokens, projectCards, projectModals.join('\n'), siteImage)) {
         console.log('\nSuccessfully updated index.html!');
     }
+    writeBrandBoard(tokens);
+
+    // Standalone, shareable page per project
+    writeProjectPages(projects);
+
+    // Feeds and sitemap for aggregators and search engines
+    writeFeeds(projects.filter(isListed));
+
+    if (previewBuild) {
+        console.log(`\nWrote the preview to ${path.basename(PREVIEW_DIR)}/; "node build-projects.js --watch --include-drafts" serves it`);
+    }
+}
+
+/**
+ * Send the build's output to an empty PREVIEW_DIR, so drafts never reach
+ * the committed pages. Images of drafts are left at their originals, which
+ * keeps them out of images/ as well.
+ */
+function startPreview() {
+    previewBuild = true;
+    fs.rmSync(PREVIEW_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Watch mode: build, serve the site and rebuild on changes
+ *
+ * Changes under projects/<Name>/ regenerate only that project's card, modal
+ * and page (plus its neighbours' pages); the filter bar, search index, hero
+ * stats and testimonials are cheap and recomputed on every rebuild. Edits
+ * to index.html outside the generated regions are picked up too. Open pages
+ * reload after each successful rebuild and show an overlay when it fails.
+ * With --include-drafts the server shows PREVIEW_DIR over the committed site.
+ */
+async function watch({ port, includeDrafts = false }) {
+    if (includeDrafts) startPreview();
+    const server = createDevServer({ root: __dirname, overlay: previewBuild ? PREVIEW_DIR : null, port });
+    const pipeline = loadImagePipeline();
+    const entries = new Map(); // slug -> { project, diagnostics, stale, card, modal }
+    const watchers = new Map(); // directory -> fs.FSWatcher
+    let imageSources = new Set();
+    let siteImage = null;
+    let previousOrder = '';
+    let lastIndexHtml = null;
+    let pending = null;
+    let building = false;
+    let timer = null;
+
+    function findImageSources() {
+        imageSources = new Set(loadConfig().images.sources.flatMap(pattern => glob(pattern, __dirname))
+            .map(file => path.join(__dirname, file)));
+        for (const file of imageSources) watchDir(path.dirname(file));
+    }
+
+    async function rebuild(changes) {
+        const started = Date.now();
+
+        if (changes.all) {
+            entries.clear();
+            for (const entry of fs.readdirSync(PROJECTS_DIR, { withFileTypes: true })) {
+                if (entry.isDirectory() && !entry.name.startsWith('_')) changes.projects.add(entry.name);
+            }
+        }
+        if (changes.all || changes.config) findImageSources();
+        if (changes.all) {
+            templates.clear();
+            watchTemplateDirs();
+        }
+
+        for (const slug of changes.projects) {
+            if (!fs.existsSync(path.join(PROJECTS_DIR, slug))) {
+                entries.delete(slug);
+                continue;
+            }
+            const diagnostics = [];
+            const project = loadProject(slug, diagnostics);
+            if (project) convertCaptions([project], diagnostics);
+            entries.set(slug, { project, diagnostics, stale: true });
+        }
+        watchProjectDirs();
+
+        const loaded = sortProjects([...entries.values()].map(entry => entry.project).filter(Boolean));
+        const projects = loaded.filter(project => !unpublishedReason(project, includeDrafts));
+        const diagnostics = [...templates.validate(TEMPLATE_NAMES), ...[...entries.values()].flatMap(entry => entry.diagnostics)];
+        const testimonials = loadTestimonials(loaded, diagnostics);
+        const heroStats = loadHeroStats(projects.filter(isFeatured), diagnostics);
+        const tokens = loadDesignTokens(diagnostics);
+        checkSiteConfig(diagnostics);
+
+        for (const diagnostic of diagnostics) {
+            console.error(formatDiagnostic(diagnostic));
+        }
+
+        const errors = diagnostics.filter(d => d.level === 'error');
+        if (errors.length > 0) {
+            console.error(`Build failed: ${errors.length} error(s). Waiting for changes...\n`);
+            server.showErrors(errors.map(formatDiagnostic));
+            return;
+        }
+
+        // Without sharp this only warns, which is enough once
+        const stale = projects.filter(project => entries.get(project.slug).stale);
+        if (pipeline || changes.all) await generateResponsiveImages(stale.filter(project => !unpublishedReason(project)));
+
+        // A project's modal and page also change when its testimonials do
+        for (const project of projects) {
+            const linked = testimonials.filter(testimonial => testimonial.metadata.project === project.slug);
+            if (project.testimonials && JSON.stringify(linked) !== JSON.stringify(project.testimonials)) {
+                stale.push(project);
+            }
+            project.testimonials = linked;
+        }
+
+        for (const project of stale) {
+            const entry = entries.get(project.slug);
+            entry.card = generateProjectCard(project, project.slug);
+            entry.modal = generateProjectModal(project, project.slug);
+            entry.stale = false;
+        }
+
+        const cards = new Map(projects.map(project => [project.slug, entries.get(project.slug).card]));
+        const modals = projects.map(project => entries.get(project.slug).modal);
+        if (pipeline && (changes.all || changes.config || changes.images.size > 0)) siteImage = await generateSiteSocialImage();
+        if (changes.all) writeAssets();
+        writeIndex(projects, testimonials, heroStats, tokens, cards, modals.join('\n'), siteImage);
+        lastIndexHtml = fs.readFileSync(INDEX_FILE, 'utf-8');
+        if (changes.all || changes.tokens) writeBrandBoard(tokens);
+
+        // A project that became a draft or was rescheduled loses its page
+        for (const project of loaded) {
+            if (!projects.includes(project) && entries.get(project.slug).stale) removeProjectPage(project);
+        }
+
+        // Previous/next links change when listed projects are added, removed or reordered
+        const listed = projects.filter(isListed);
+        const order = listed.map(project => project.slug).join('\n');
+        // Project pages copy the styles of index.html, tokens included
+        if (changes.all || changes.template || changes.tokens || order !== previousOrder) {
+            writeProjectPages(projects);
+        } else if (stale.length > 0) {
+            writeProjectPages(projects, projects.filter(project => {
+                const index = listed.indexOf(project);
+                return stale.includes(project) || (index !== -1 && (stale.includes(listed[index - 1]) || stale.includes(listed[index + 1])));
+            }));
+        }
+        previousOrder = order;
+
+        writeFeeds(listed);
+
+        if (pipeline && changes.images.size > 0) {
+            const { site, images } = loadConfig();
+            const outputDir = path.join(__dirname, images.outputDir);
+            const social = path.join(__dirname, site.image);
+            await pipeline.generateImages([...changes.images].map(input => ({ input, outputDir, social: input === social })));
+        }
+
+        const updated = changes.all ? 'all projects' : stale.length > 0 ? `${stale.length} project(s)` : 'index.html';
+        console.log(`Rebuilt ${updated} in ${Date.now() - started}ms\n`);
+        server.showErrors([]);
+        server.reload();
+    }
+
+    function emptyChanges() {
+        return { all: false, projects: new Set(), template: false, tokens: false, config: false, images: new Set() };
+    }
+
+    // Sort a changed file into the part of the site it affects
+    function classify(file, changes) {
+        if (file.startsWith(PROJECTS_DIR + path.sep)) {
+            const [slug, ...rest] = path.relative(PROJECTS_DIR, file).split(path.sep);
+            if (slug.startsWith('_')) return false;
+            if (rest.length === 0) {
+                // A project directory was added or removed; files such as README.md are not projects
+                const isDir = fs.existsSync(file) && fs.statSync(file).isDirectory();
+                if (!isDir && !entries.has(slug)) return false;
+            } else if (rest.join('/') === PROJECT_PAGE) {
+                // Written by the build itself
+                return false;
+            }
+            changes.projects.add(slug);
+            return true;
+        }
+        if (file === TESTIMONIALS_DIR || file.startsWith(TESTIMONIALS_DIR + path.sep)) {
+            watchDir(TESTIMONIALS_DIR);
+            return true;
+        }
+        if (file === TEMPLATES_DIR || file.startsWith(TEMPLATES_DIR + path.sep)) {
+            // Any template can appear in every card, modal and page
+            changes.all = true;
+            return true;
+        }
+        if (file === INDEX_FILE) {
+            if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') === lastIndexHtml) return false;
+            changes.template = true;
+            return true;
+        }
+        if (file === CONFIG_FILE) {
+            changes.config = true;
+            return true;
+        }
+        if (file === TOKENS_FILE) {
+            changes.tokens = true;
+            return true;
+        }
+        if (imageSources.has(file)) {
+            changes.images.add(file);
+            return true;
+        }
+        return false;
+    }
+
+    function schedule(file) {
+        const changes = pending || emptyChanges();
+        if (!classify(file, changes)) return;
+        pending = changes;
+        pending.files = pending.files || new Set();
+        pending.files.add(path.relative(__dirname, file).split(path.sep).join('/'));
+
+        clearTimeout(timer);
+        timer = setTimeout(flush, 100);
+    }
+
+    async function flush() {
+        if (building || !pending) return;
+        const changes = pending;
+        pending = null;
+        console.log(`Changed ${[...changes.files].join(', ')}`);
+        building = true;
+        try {
+            await rebuild(changes);
+        } catch (err) {
+            console.error(err);
+            server.showErrors([err.message]);
+        } finally {
+            building = false;
+        }
+        if (pending) flush();
+    }
 
-    // Output CSS and JS that need to be added
-    console.log('\n' + '='.repeat(60));
-    console.log('Make sure the following CSS and JS are included in your page:');
-    console.log('='.repeat(60));
-    console.log('\nCSS (add to your <style> tag or external stylesheet):');
-    console.log(generateModalCSS());
-    console.log('\nJS (add to your <script> tag or external script):');
-    console.log(generateModalJS());
+    // Directories are watched one level deep: watching files directly would
+    // lose track of them when editors save by replacing the file
+    function watchDir(dir) {
+        if (watchers.has(dir) || !fs.existsSync(dir)) return;
+        const watcher = fs.watch(dir, (event, name) => {
+            if (name) schedule(path.join(dir, name.toString()));
+        });
+        watcher.on('error', () => unwatchDir(dir));
+        watchers.set(dir, watcher);
+    }
+
+    function unwatchDir(dir) {
+        if (!watchers.has(dir)) return;
+        watchers.get(dir).close();
+        watchers.delete(dir);
+    }
+
+    // The templates and each layout's overrides
+    function watchTemplateDirs() {
+        const layoutsDir = path.join(TEMPLATES_DIR, 'layouts');
+        for (const dir of [TEMPLATES_DIR, layoutsDir, ...templates.layouts().map(layout => path.join(layoutsDir, layout))]) {
+            watchDir(dir);
+        }
+    }
+
+    // Follow project directories as they are added and removed
+    function watchProjectDirs() {
+        for (const slug of entries.keys()) watchDir(path.join(PROJECTS_DIR, slug));
+        for (const dir of watchers.keys()) {
+            if (path.dirname(dir) === PROJECTS_DIR && !entries.has(path.basename(dir))) unwatchDir(dir);
+        }
+    }
+
+    console.log('Building dynamic projects (watch mode)...\n');
+    const first = emptyChanges();
+    first.all = true;
+    await rebuild(first);
+
+    watchDir(__dirname);
+    watchDir(PROJECTS_DIR);
+    watchDir(TESTIMONIALS_DIR);
+
+    const url = await server.listen();
+    console.log(`Serving the site at ${url} (Ctrl+C to stop)`);
+    console.log('Watching projects/, testimonials/, templates/, index.html, site.config.json, tokens.json and the image sources...\n');
 }
 
-// Run the build
-build();
+// Run the build (or only validate with --check, audit with --audit, or watch and serve)
+const includeDrafts = process.argv.includes('--include-drafts');
+if (process.argv.includes('--check')) {
+    check();
+} else if (process.argv.includes('--audit')) {
+    audit();
+} else if (process.argv.includes('--watch') || process.argv.includes('serve')) {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    const portIndex = process.argv.indexOf('--port');
+    const port = Number(portArg ? portArg.slice('--port='.length) : portIndex !== -1 ? process.argv[portIndex + 1] : 8080);
+    watch({ port, includeDrafts }).catch(err => {
+        console.error(`Could not start watch mode: ${err.message}`);
+        process.exitCode = 1;
+    });
+} else {
+    build({ includeDrafts }).catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
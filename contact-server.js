@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Contact form server for 314 Solutions
+ *
+ * A small HTTP endpoint for the contact form in index.html (see
+ * lib/contact.js for what it checks). Set `contact.endpoint` in
+ * site.config.json to its URL and rebuild, and the form posts here instead
+ * of opening a mailto: link. Submissions are appended to a JSON lines file
+ * or forwarded to an SMTP server, as set in `contact.server`.
+ *
+ * Usage: node contact-server.js                Listen on contact.server.host/port
+ *        node contact-server.js --port 8787    Listen on another port
+ *        node contact-server.js --store smtp   Use another store (jsonl or smtp)
+ */
+
+const http = require('http');
+const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { createContactHandler, createJsonlStore, createSmtpStore } = require('./lib/contact');
+
+const STORES = ['jsonl', 'smtp'];
+
+function option(name) {
+    const inline = process.argv.find(arg => arg.startsWith(`--${name}=`));
+    if (inline) return inline.slice(name.length + 3);
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * The store named by `settings.store`, or an error message
+ */
+function createStore(settings) {
+    if (!STORES.includes(settings.store)) {
+        return { error: `contact.server.store must be one of ${STORES.join(', ')}, got "${settings.store}"` };
+    }
+    if (settings.store === 'jsonl') {
+        if (!settings.file) return { error: 'contact.server.file must name the file to append submissions to' };
+        return { store: createJsonlStore(path.resolve(__dirname, settings.file)) };
+    }
+
+    const { host, port, from, to } = settings.smtp || {};
+    const missing = Object.entries({ host, port, from, to }).filter(([, value]) => !value).map(([key]) => key);
+    if (missing.length > 0) {
+        return { error: `contact.server.smtp needs ${missing.join(', ')} to forward submissions` };
+    }
+    return { store: createSmtpStore({ host, port: Number(port), from, to }) };
+}
+
+function main() {
+    const settings = { ...loadConfig().contact.server };
+    if (option('port')) settings.port = Number(option('port'));
+    if (option('store')) settings.store = option('store');
+
+    const { store, error } = createStore(settings);
+    if (error) {
+        console.error(`Could not start the contact server: ${error}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const server = http.createServer(createContactHandler({
+        store,
+        allowedOrigins: settings.allowedOrigins,
+        rateLimit: settings.rateLimit
+    }));
+    server.on('error', err => {
+        console.error(`Could not start the contact server: ${err.code === 'EADDRINUSE' ? `port ${settings.port} is already in use (pick another with --port)` : err.message}`);
+        process.exitCode = 1;
+    });
+    server.listen(settings.port, settings.host, () => {
+        console.log(`Accepting contact form posts at http://${settings.host}:${server.address().port}/contact, ${store.description} (Ctrl+C to stop)`);
+        if (!loadConfig().contact.endpoint) {
+            console.log('contact.endpoint in site.config.json is empty, so the site still uses mailto: until you set it and rebuild');
+        }
+    });
+}
+
+main();
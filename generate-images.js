@@ -1,6 +1,29 @@
+/**
+ * Responsive image generator for 314 Solutions
+ *
+ * Resizes source images into the widths in `sizes`, as AVIF and WebP plus a
+ * PNG (transparent) or JPG (opaque) fallback, and records every output in
+ * images/manifest.json with its width, height and byte size. Opaque images
+ * also get a tiny blurred placeholder (a data URI) to show while they load.
+ *
+ * Sources come from `images.sources` in site.config.json (paths or glob
+ * patterns), or from the command line. Outputs are cached by the content
+ * hash of the source, so unchanged images are skipped on the next run.
+ *
+ * Usage: node generate-images.js                 Process the configured sources
+ *        node generate-images.js 'shots/*.png'   Process matching files instead
+ *        node generate-images.js --force         Ignore the cache
+ */
+
 const sharp = require('sharp');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { glob } = require('./lib/glob');
+
+const ROOT = __dirname;
+const MANIFEST_FILE = 'manifest.json';
 
 const sizes = {
   large: 1920,
@@ -9,13 +32,14 @@ const sizes = {
   thumbnail: 320
 };
 
-const imageFiles = [
-  'banner.png',
-  'icon.jpeg',
-  'doc2lms-preview.png',
-  'peer-eval-preview.png',
-  'spartan-cup-preview.png'
-];
+// Modern formats written for every size, best first
+const MODERN_FORMATS = ['avif', 'webp'];
+
+// Width of the inline placeholder; the browser scales it up smoothly
+const PLACEHOLDER_WIDTH = 24;
+
+// Social card crop (Open Graph and Twitter previews), written for jobs with `social` set
+const SOCIAL_CARD = { width: 1200, height: 630 };
 
 async function ensureDir(dir) {
   try {
@@ -25,13 +49,27 @@ async function ensureDir(dir) {
   }
 }
 
-async function processImage(inputPath, outputDir) {
+/**
+ * Resize an image into every width in `sizes` that the source can fill and
+ * write an original-size WebP, plus a SOCIAL_CARD-sized JPG crop when
+ * `options.social` is set. Returns a manifest entry:
+ * { width, height, alpha, placeholder, variants: [{ file, size, format, width, height, bytes }] }
+ * with variant files relative to the repository root.
+ */
+async function processImage(inputPath, outputDir, quality, options = {}) {
   const basename = path.basename(inputPath, path.extname(inputPath));
   const image = sharp(inputPath);
   const metadata = await image.metadata();
-  const hasAlpha = metadata.channels === 4;
+  const hasAlpha = metadata.hasAlpha || metadata.channels === 4;
+  const variants = [];
 
-  console.log(`Processing ${inputPath} (${metadata.width}x${metadata.height}, ${hasAlpha ? 'with transparency' : 'opaque'})...`);
+  console.log(`Processing ${relative(inputPath)} (${metadata.width}x${metadata.height}, ${hasAlpha ? 'with transparency' : 'opaque'})...`);
+
+  const write = async (pipeline, size, format) => {
+    const file = path.join(outputDir, `${basename}-${size}.${format}`);
+    const info = await pipeline.toFile(file);
+    variants.push({ file: relative(file), size, format, width: info.width, height: info.height, bytes: info.size });
+  };
 
   for (const [sizeName, width] of Object.entries(sizes)) {
     if (metadata.width < width) {
@@ -44,51 +82,218 @@ async function processImage(inputPath, outputDir) {
       fit: 'inside'
     });
 
+    await write(resized.clone().avif({ quality: quality.avif }), sizeName, 'avif');
+    await write(resized.clone().webp({ quality: quality.webp }), sizeName, 'webp');
+
     // Save PNG for transparent images, JPG for opaque
     if (hasAlpha) {
-      await resized
-        .png({ quality: 85, compressionLevel: 9 })
-        .toFile(path.join(outputDir, `${basename}-${sizeName}.png`));
+      await write(resized.clone().png({ quality: quality.png, compressionLevel: 9 }), sizeName, 'png');
     } else {
-      await resized
-        .jpeg({ quality: 85, progressive: true })
-        .toFile(path.join(outputDir, `${basename}-${sizeName}.jpg`));
+      await write(resized.clone().jpeg({ quality: quality.jpeg, progressive: true }), sizeName, 'jpg');
     }
 
-    // Always create WebP (supports transparency)
-    await resized
-      .webp({ quality: 85 })
-      .toFile(path.join(outputDir, `${basename}-${sizeName}.webp`));
-
     console.log(`  Created ${sizeName} version (${width}px)`);
   }
 
   // Original size WebP
-  await image
-    .webp({ quality: 90 })
-    .toFile(path.join(outputDir, `${basename}-original.webp`));
-
+  await write(image.clone().webp({ quality: quality.original }), 'original', 'webp');
   console.log(`  Created original size WebP version`);
+
+  // Crop to the social card size around the most interesting region
+  if (options.social) {
+    const social = image.clone()
+      .resize(SOCIAL_CARD.width, SOCIAL_CARD.height, { fit: 'cover', position: sharp.strategy.attention })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: quality.jpeg, progressive: true });
+    await write(social, 'social', 'jpg');
+    console.log(`  Created ${SOCIAL_CARD.width}x${SOCIAL_CARD.height} social card`);
+  }
+
+  // Transparent images would show the placeholder through their clear areas
+  const placeholder = hasAlpha ? null : await createPlaceholder(image);
+
+  return { width: metadata.width, height: metadata.height, alpha: hasAlpha, placeholder, variants };
 }
 
-async function main() {
-  const outputDir = path.join(__dirname, 'images');
-  await ensureDir(outputDir);
+/**
+ * Blurred thumbnail of an image as a base64 WebP data URI
+ */
+async function createPlaceholder(image) {
+  const buffer = await image.clone()
+    .resize(PLACEHOLDER_WIDTH, null, { fit: 'inside' })
+    .blur(1)
+    .webp({ quality: 40 })
+    .toBuffer();
+  return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
 
-  console.log('Generating responsive images...\n');
+/**
+ * Process a list of { input, outputDir, social } jobs with at most
+ * `options.concurrency` images in flight, reusing cached outputs for
+ * sources whose content hash matches the manifest.
+ *
+ * Returns { entries, failed }: a Map from input path to manifest entry, and
+ * the sources that could not be processed (already logged).
+ */
+async function generateImages(jobs, options = {}) {
+  const config = loadConfig().images;
+  const quality = { ...config.quality, ...options.quality };
+  const concurrency = Math.max(1, options.concurrency || config.concurrency);
+  const manifestPath = path.join(ROOT, config.outputDir, MANIFEST_FILE);
+  const manifest = await readManifest(manifestPath);
+  const settings = JSON.stringify({ sizes, quality, formats: MODERN_FORMATS, placeholder: PLACEHOLDER_WIDTH, social: SOCIAL_CARD });
+  const entries = new Map();
+  const failed = [];
 
-  for (const file of imageFiles) {
-    const filePath = path.join(__dirname, file);
+  await mapWithConcurrency(jobs, concurrency, async ({ input, outputDir, social = false }) => {
+    const key = relative(input);
     try {
-      await processImage(filePath, outputDir);
-      console.log(`✓ Completed ${file}\n`);
+      const hash = crypto.createHash('sha256')
+        .update(settings)
+        .update(social ? 'social' : '')
+        .update(await fs.readFile(input))
+        .digest('hex');
+
+      const cached = manifest.images[key];
+      if (!options.force && cached && cached.hash === hash && await allExist(cached.variants)) {
+        console.log(`Unchanged ${key} (cached)`);
+        entries.set(input, cached);
+        return;
+      }
+
+      await ensureDir(outputDir);
+      const entry = { hash, ...await processImage(input, outputDir, quality, { social }) };
+
+      // Sizes the new source is too small for would otherwise be left stale
+      if (cached) {
+        const written = new Set(entry.variants.map(variant => variant.file));
+        for (const variant of cached.variants) {
+          if (!written.has(variant.file)) await fs.rm(path.join(ROOT, variant.file), { force: true });
+        }
+      }
+
+      manifest.images[key] = entry;
+      entries.set(input, entry);
+      console.log(`✓ Completed ${key}\n`);
     } catch (err) {
-      console.error(`✗ Failed to process ${file}:`, err.message, '\n');
+      console.error(`✗ Failed to process ${key}:`, err.message, '\n');
+      failed.push(key);
+    }
+  });
+
+  await pruneManifest(manifest);
+  await writeManifest(manifestPath, manifest);
+
+  return { entries, failed };
+}
+
+/**
+ * Run `fn` over `items` with no more than `limit` calls pending at once
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const queue = items.slice();
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await fn(queue.shift());
     }
+  });
+  await Promise.all(workers);
+}
+
+async function readManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    if (manifest && typeof manifest.images === 'object') return manifest;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`warning: ignoring unreadable ${relative(manifestPath)}: ${err.message}`);
   }
+  return { images: {} };
+}
+
+/**
+ * Drop entries whose source file was deleted, along with their variants
+ */
+async function pruneManifest(manifest) {
+  for (const [key, entry] of Object.entries(manifest.images)) {
+    if (await exists(path.join(ROOT, key))) continue;
 
-  console.log('Done! All images have been processed.');
-  console.log(`Optimized images saved to: ${outputDir}/`);
+    for (const variant of entry.variants) {
+      await fs.rm(path.join(ROOT, variant.file), { force: true });
+    }
+    delete manifest.images[key];
+    console.log(`Removed variants of deleted source ${key}`);
+  }
+}
+
+async function writeManifest(manifestPath, manifest) {
+  const images = {};
+  for (const key of Object.keys(manifest.images).sort()) {
+    images[key] = manifest.images[key];
+  }
+  await ensureDir(path.dirname(manifestPath));
+  await fs.writeFile(manifestPath, JSON.stringify({ sizes, images }, null, 2) + '\n');
+}
+
+async function allExist(variants) {
+  for (const variant of variants) {
+    if (!await exists(path.join(ROOT, variant.file))) return false;
+  }
+  return true;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Repository-relative path with forward slashes, as used in the manifest
+function relative(file) {
+  return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const config = loadConfig().images;
+  const patterns = args.filter(arg => !arg.startsWith('--'));
+  const sources = [...new Set((patterns.length > 0 ? patterns : config.sources).flatMap(pattern => glob(pattern, ROOT)))];
+  const outputDir = path.join(ROOT, config.outputDir);
+
+  if (sources.length === 0) {
+    console.log('No source images found. Add paths or glob patterns to "images.sources" in site.config.json.');
+    return;
+  }
+
+  console.log(`Generating responsive images for ${sources.length} source(s)...\n`);
+
+  // The site's preview image also gets its social card, as in build-projects.js
+  const siteImage = loadConfig().site.image;
+  const jobs = sources.map(source => ({ input: path.join(ROOT, source), outputDir, social: source === siteImage }));
+  const { entries, failed } = await generateImages(jobs, { force: args.includes('--force') });
+
+  console.log(`Done! ${entries.size} of ${sources.length} image(s) are up to date.`);
+  console.log(`Optimized images saved to: ${outputDir}/ (see ${MANIFEST_FILE})`);
+
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  sizes,
+  MODERN_FORMATS,
+  SOCIAL_CARD,
+  ensureDir,
+  processImage,
+  generateImages
+};
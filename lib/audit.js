@@ -0,0 +1,393 @@
+/**
+ * Accessibility audit for 314 Solutions
+ *
+ * Two checks over the pages the build generates:
+ *
+ *   Contrast  Works out the text and background colour of every element
+ *             with text, using a simplified cascade over the page's CSS
+ *             (see lib/css.js), and rates each pair against WCAG 2 AA:
+ *             4.5:1 for normal text, 3:1 for large text (24px, or 18.66px
+ *             bold). Opacity, positioning and text over images are not
+ *             taken into account.
+ *   Markup    Heading order, empty headings, images without alt text, and
+ *             links and buttons with nothing for a screen reader to
+ *             announce.
+ */
+
+const { parseHtml, elements, textContent, describe } = require('./dom');
+const { parseCss, parseDeclarations, matches, compareSpecificity } = require('./css');
+const { parseColor, colorsIn, composite, contrastRatio, toHex } = require('./color');
+
+const AA_NORMAL = 4.5;
+const AA_LARGE = 3;
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const ROOT_FONT_SIZE = 16;
+const MAX_EXAMPLES = 3;
+
+// Browser defaults the page's own CSS builds on
+const DEFAULT_FONT_SCALE = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67, small: 0.83 };
+const DEFAULT_BOLD = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'b', 'strong', 'th']);
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+const NON_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'title', 'head']);
+const BACKGROUND_PROPERTIES = ['background', 'background-color', 'background-image'];
+
+const PAGE_DEFAULT = { label: 'page default', colors: [parseColor('#fff')] };
+const TEXT_DEFAULT = { label: 'default', color: parseColor('#000') };
+
+/**
+ * Rate every text colour against the background it sits on
+ *
+ * Returns { pairs, unchecked } where pairs are { text, background, ratio,
+ * required, large, passes, count, examples } grouped by colour pair, and
+ * unchecked counts text whose colours could not be worked out (e.g. text
+ * over an image).
+ */
+function auditContrast(html, css) {
+    const document = parseHtml(html);
+    const rules = parseCss(css);
+    const pairs = new Map();
+    let unchecked = 0;
+
+    walkStyles(document, rules, (element, style) => {
+        if (!hasOwnText(element) || style.hidden) return;
+        if (!style.color || !style.background) {
+            unchecked++;
+            return;
+        }
+
+        const ratio = Math.min(...style.background.colors.map(background => {
+            return contrastRatio(composite(style.color.color, background), background);
+        }));
+        const large = style.fontSize >= LARGE_TEXT_PX || (style.fontSize >= LARGE_BOLD_TEXT_PX && style.fontWeight >= 700);
+        const key = [style.color.label, style.background.label, large].join('\0');
+
+        if (!pairs.has(key)) {
+            const required = large ? AA_LARGE : AA_NORMAL;
+            pairs.set(key, {
+                text: style.color.label,
+                background: style.background.label,
+                ratio,
+                required,
+                large,
+                count: 0,
+                examples: []
+            });
+        }
+        const pair = pairs.get(key);
+        pair.ratio = Math.min(pair.ratio, ratio);
+        pair.count++;
+        const example = describe(element);
+        if (pair.examples.length < MAX_EXAMPLES && !pair.examples.includes(example)) pair.examples.push(example);
+    });
+
+    const sorted = [...pairs.values()]
+        .map(pair => ({ ...pair, passes: pair.ratio >= pair.required }))
+        .sort((a, b) => a.passes - b.passes || a.ratio - b.ratio);
+    return { pairs: sorted, unchecked };
+}
+
+// Visit every element with its computed text colour, background, font
+// size and weight
+function walkStyles(document, rules, visit) {
+    const root = {
+        custom: {},
+        color: TEXT_DEFAULT,
+        background: PAGE_DEFAULT,
+        fontSize: ROOT_FONT_SIZE,
+        fontWeight: 400,
+        hidden: false
+    };
+
+    const walk = (node, parent) => {
+        for (const child of node.children) {
+            if (child.type !== 'element') continue;
+            const style = computeStyle(child, parent, rules);
+            visit(child, style);
+            walk(child, style);
+        }
+    };
+    walk(document, root);
+}
+
+function computeStyle(element, parent, rules) {
+    const declared = cascade(element, rules);
+    const custom = { ...parent.custom };
+    for (const [property, { value }] of Object.entries(declared)) {
+        if (property.startsWith('--')) custom[property] = value;
+    }
+    const value = property => declared[property] && resolveVars(declared[property].value, custom);
+
+    const style = { custom };
+    style.hidden = parent.hidden
+        || NON_TEXT_ELEMENTS.has(element.tag)
+        || element.attrs.hidden !== undefined
+        || isVisuallyHidden(value);
+
+    const fontSize = parseFontSize(value('font-size'), parent.fontSize);
+    style.fontSize = fontSize ?? parent.fontSize * (DEFAULT_FONT_SCALE[element.tag] || 1);
+    style.fontWeight = parseFontWeight(value('font-weight'), parent.fontWeight)
+        ?? (DEFAULT_BOLD.has(element.tag) ? 700 : parent.fontWeight);
+
+    style.color = parent.color;
+    if (declared.color) {
+        const text = value('color');
+        const color = /^(inherit|unset)$/i.test(text) ? parent.color : parseColor(text);
+        // Gradient text (transparent with background-clip) can't be rated
+        style.color = color && color.a > 0 ? { label: labelOf(declared.color.value, custom, color), color } : null;
+    }
+    const clip = value('background-clip') || value('-webkit-background-clip');
+    const fill = value('-webkit-text-fill-color');
+    if ((clip && /\btext\b/.test(clip)) || (fill && parseColor(fill) && parseColor(fill).a === 0)) {
+        style.color = null;
+    }
+
+    // A translucent background blends with whatever is behind it
+    const layer = backgroundLayer(declared, custom);
+    if (layer === undefined) {
+        style.background = parent.background;
+    } else if (layer === null || layer.colors.every(color => color.a === 1)) {
+        style.background = layer;
+    } else {
+        style.background = parent.background && {
+            label: `${layer.label} over ${parent.background.label}`,
+            colors: layer.colors.flatMap(color => parent.background.colors.map(below => composite(color, below)))
+        };
+    }
+    return style;
+}
+
+// The winning declaration for each property, by importance, specificity
+// (inline styles first) and order
+function cascade(element, rules) {
+    const winners = {};
+    const consider = (declaration, specificity, order) => {
+        const current = winners[declaration.property];
+        const candidate = { ...declaration, specificity, order };
+        if (!current || beats(candidate, current)) winners[declaration.property] = candidate;
+    };
+
+    rules.forEach((rule, order) => {
+        let best = null;
+        for (const selector of rule.selectors) {
+            if (matches(element, selector) && (!best || compareSpecificity(selector.specificity, best) > 0)) {
+                best = selector.specificity;
+            }
+        }
+        if (best) rule.declarations.forEach(declaration => consider(declaration, best, order));
+    });
+    if (element.attrs.style) {
+        parseDeclarations(element.attrs.style).forEach(declaration => consider(declaration, [Infinity, 0, 0], rules.length));
+    }
+    return winners;
+}
+
+function beats(a, b) {
+    if (a.important !== b.important) return a.important;
+    return compareSpecificity(a.specificity, b.specificity) > 0
+        || (compareSpecificity(a.specificity, b.specificity) === 0 && a.order >= b.order);
+}
+
+function resolveVars(value, custom, depth = 0) {
+    if (depth > 10) return '';
+    return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g, (match, name, fallback) => {
+        if (custom[name] !== undefined) return resolveVars(custom[name], custom, depth + 1);
+        return fallback !== undefined ? resolveVars(fallback.trim(), custom, depth + 1) : '';
+    });
+}
+
+// "--text-muted" for var(--text-muted), otherwise the colour itself
+function labelOf(value, custom, color) {
+    const token = value.trim().match(/^var\(\s*(--[\w-]+)\s*(?:,[\s\S]*)?\)$/);
+    if (token && custom[token[1]] !== undefined) return token[1];
+    return color ? describeColor(color) : value.trim();
+}
+
+function describeColor(color) {
+    return color.a === 1 ? toHex(color) : `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`;
+}
+
+// The element's own background: { label, colors } for a colour or
+// gradient, undefined when it has none, and null for an image, whose
+// colours can't be known
+function backgroundLayer(declared, custom) {
+    const winner = BACKGROUND_PROPERTIES.map(property => declared[property])
+        .filter(Boolean)
+        .reduce((best, declaration) => (!best || beats(declaration, best) ? declaration : best), null);
+    if (!winner) return undefined;
+
+    // An inline background-image (e.g. a blurred placeholder) sits on top of the colour
+    const image = declared['background-image'];
+    const value = resolveVars(winner.value, custom);
+    if (/url\(/i.test(value) || (image && /url\(/i.test(resolveVars(image.value, custom)))) return null;
+    if (/^(none|initial|unset|inherit)$/i.test(value)) return undefined;
+
+    const colors = colorsIn(value);
+    if (colors.length === 0) return undefined;
+    if (colors.every(color => color.a === 0)) return undefined;
+    return { label: labelOf(winner.value, custom, colors.length === 1 ? colors[0] : null), colors };
+}
+
+function isVisuallyHidden(value) {
+    const clip = value('clip');
+    const clipPath = value('clip-path');
+    return Boolean(clip && /rect\(\s*0/.test(clip)) || Boolean(clipPath && /inset\(\s*50%/.test(clipPath));
+}
+
+function parseFontSize(value, parentSize) {
+    if (!value) return null;
+    const text = value.trim().toLowerCase();
+    if (FONT_SIZE_KEYWORDS[text]) return FONT_SIZE_KEYWORDS[text];
+    if (text === 'smaller') return parentSize * 0.83;
+    if (text === 'larger') return parentSize * 1.2;
+
+    // clamp() and min() can go down to their smallest value
+    const clamp = text.match(/^(?:clamp|min)\(\s*([^,]+),/);
+    const length = (clamp ? clamp[1] : text).trim().match(/^([\d.]+)(px|rem|em|%)$/);
+    if (!length) return null;
+    const number = parseFloat(length[1]);
+    return { px: number, rem: number * ROOT_FONT_SIZE, em: number * parentSize, '%': number * parentSize / 100 }[length[2]];
+}
+
+function parseFontWeight(value, parentWeight) {
+    if (!value) return null;
+    const text = value.trim().toLowerCase();
+    if (/^\d+$/.test(text)) return Number(text);
+    return { normal: 400, bold: 700, bolder: Math.max(700, parentWeight), lighter: 300 }[text] ?? null;
+}
+
+function hasOwnText(element) {
+    return element.children.some(child => child.type === 'text' && /\S/.test(child.text));
+}
+
+/**
+ * Check headings, images, links and buttons in a fragment of markup
+ *
+ * `headingLevel` is the level of the heading the fragment sits under (2
+ * for a card in a section titled by an <h2>). Returns [{ level, message,
+ * element }].
+ */
+function lintMarkup(html, { headingLevel = 1 } = {}) {
+    const all = elements(parseHtml(html));
+    const byId = new Map(all.filter(element => element.attrs.id).map(element => [element.attrs.id, element]));
+    const issues = [];
+    const report = (level, element, message) => issues.push({ level, element, message });
+
+    let previous = headingLevel;
+    for (const element of all) {
+        const heading = element.tag.match(/^h([1-6])$/);
+        if (heading) {
+            const level = Number(heading[1]);
+            if (!accessibleName(element, byId).trim()) {
+                report('error', element, `empty <h${level}>`);
+            }
+            if (level > previous + 1) {
+                report('warning', element, `<h${level}> follows <h${previous}>, skipping <h${previous + 1}>`);
+            }
+            previous = level;
+        } else if (element.tag === 'img') {
+            const src = element.attrs.src || '';
+            if (element.attrs.alt === undefined) {
+                report('error', element, `image ${src} has no alt attribute`);
+            } else if (!element.attrs.alt.trim() && !isDecorative(element)) {
+                report('warning', element, `image ${src} has empty alt text, so screen readers skip it; describe it unless it is decorative`);
+            }
+        } else if (element.tag === 'a' && element.attrs.href !== undefined) {
+            if (!accessibleName(element, byId).trim()) {
+                report('error', element, `link to ${element.attrs.href || '(empty href)'} has no text`);
+            }
+        } else if (element.tag === 'button') {
+            if (!accessibleName(element, byId).trim()) {
+                report('error', element, 'button has no text or aria-label');
+            }
+        }
+    }
+    return issues;
+}
+
+// What a screen reader announces for an element, roughly
+function accessibleName(element, byId) {
+    const label = element.attrs['aria-label'];
+    if (label && label.trim()) return label;
+
+    const labelledBy = element.attrs['aria-labelledby'];
+    if (labelledBy) {
+        const ids = labelledBy.split(/\s+/).filter(Boolean);
+        // An id outside the fragment can't be checked here, so trust it
+        if (ids.some(id => !byId.has(id))) return labelledBy;
+        const text = ids.map(id => nameFromContent(byId.get(id))).join(' ');
+        if (text.trim()) return text;
+    }
+
+    const text = nameFromContent(element);
+    return text.trim() ? text : (element.attrs.title || '');
+}
+
+function nameFromContent(element) {
+    return textContent(element, node => isDecorative(node) || node.attrs.hidden !== undefined) +
+        elements(element)
+            .filter(node => node.tag === 'img' && !node.attrs['aria-hidden'])
+            .map(node => ` ${node.attrs.alt || ''}`)
+            .join('');
+}
+
+function isDecorative(element) {
+    return element.attrs['aria-hidden'] === 'true' || ['presentation', 'none'].includes(element.attrs.role);
+}
+
+/**
+ * "4.52:1"
+ */
+function formatRatio(ratio) {
+    return `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+}
+
+/**
+ * Write the audit results as a Markdown report
+ *
+ * `markup` is a list of diagnostics ({ level, file, line, message }) with
+ * file paths already relative to the repository root.
+ */
+function formatReport({ contrast, markup }) {
+    const failing = contrast.pairs.filter(pair => !pair.passes);
+    const errors = markup.filter(diagnostic => diagnostic.level === 'error');
+    const lines = [
+        '# Accessibility Audit',
+        '',
+        'Generated by `node build-projects.js --audit`; do not edit.',
+        '',
+        `- Colour contrast: ${contrast.pairs.length} text/background pair(s), ${failing.length} below WCAG 2 AA`,
+        `- Markup: ${errors.length} error(s), ${markup.length - errors.length} warning(s)`,
+        '',
+        '## Colour Contrast',
+        '',
+        `AA needs ${AA_NORMAL}:1 for normal text and ${AA_LARGE}:1 for large text (${LARGE_TEXT_PX}px, or ${LARGE_BOLD_TEXT_PX}px bold).`,
+        'Colours come from the page CSS without media queries or hover and focus states.'
+    ];
+    if (contrast.unchecked > 0) {
+        lines.push(`${contrast.unchecked} text element(s) sit on images or use gradient text and were not rated.`);
+    }
+    lines.push('', '| Result | Text | Background | Ratio | Needs | Used by |', '|---|---|---|---|---|---|');
+    for (const pair of contrast.pairs) {
+        const size = pair.large ? 'large text' : 'text';
+        lines.push(`| ${pair.passes ? 'Pass' : '**Fail**'} | \`${pair.text}\` | \`${pair.background}\` | ${formatRatio(pair.ratio)} | ${pair.required}:1 | ${pair.count} ${size} element(s), e.g. \`${pair.examples.join('`, `')}\` |`);
+    }
+
+    lines.push('', '## Markup', '');
+    if (markup.length === 0) {
+        lines.push('No problems found in the project cards, modals and write-ups.');
+    }
+    for (const { level, file, line, message } of markup) {
+        lines.push(`- **${level}** \`${file}${line ? `:${line}` : ''}\`: ${message}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    AA_NORMAL,
+    AA_LARGE,
+    auditContrast,
+    lintMarkup,
+    formatRatio,
+    formatReport
+};
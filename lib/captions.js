@@ -0,0 +1,114 @@
+/**
+ * Caption sidecar helpers for 314 Solutions
+ *
+ * A video's captions live next to it as `<video>.vtt` or `<video>.<lang>.vtt`
+ * (e.g. demo.mp4 + demo.en.vtt + demo.es.vtt). SubRip `.srt` files are
+ * accepted too and converted to WebVTT, the only format <track> supports.
+ */
+
+const CAPTION_EXTS = ['.vtt', '.srt'];
+
+// Language of captions whose file name has no language code (demo.vtt)
+const DEFAULT_CAPTION_LANGUAGE = 'en';
+
+// First line written into converted files, so they can be told apart from hand-written ones
+const GENERATED_NOTE = 'NOTE Generated from';
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+const SRT_TIMING = /^(\d{1,2}:\d{2}:\d{2})[,.](\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2})[,.](\d{3})/;
+
+/**
+ * Match a caption file name against a video's base name
+ *
+ * Returns { srclang, label, format } or null if `file` is not a caption
+ * sidecar for `videoBase` (the video file name without its extension).
+ * Names are compared case-insensitively, so Demo.EN.VTT matches demo.mp4.
+ */
+function matchCaptionFile(file, videoBase) {
+    const lower = file.toLowerCase();
+    const ext = CAPTION_EXTS.find(e => lower.endsWith(e));
+    if (!ext || !lower.startsWith(`${videoBase.toLowerCase()}.`)) return null;
+
+    const middle = file.slice(videoBase.length + 1, file.length - ext.length);
+    if (middle && !LANGUAGE_CODE.test(middle)) return null;
+
+    const srclang = middle ? canonicalLanguage(middle) : DEFAULT_CAPTION_LANGUAGE;
+    return { srclang, label: languageLabel(srclang), format: ext.slice(1) };
+}
+
+// "EN-us" -> "en-US", so one language can't turn up under two spellings
+function canonicalLanguage(code) {
+    try {
+        return Intl.getCanonicalLocales(code)[0];
+    } catch (err) {
+        return code.toLowerCase();
+    }
+}
+
+/**
+ * Human-readable name for a language code ("es" -> "Spanish")
+ */
+function languageLabel(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (err) {
+        return code;
+    }
+}
+
+/**
+ * Convert SubRip text to WebVTT
+ *
+ * Cues without a valid timing line are dropped and counted in `skipped`.
+ * SubRip font tags and {\...} positioning codes have no WebVTT equivalent
+ * and are removed.
+ */
+function srtToVtt(srt, sourceName) {
+    const blocks = srt.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+    const cues = [];
+    let skipped = 0;
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim() !== '');
+        if (lines.length === 0) continue;
+
+        const timingIndex = SRT_TIMING.test(lines[0]) ? 0 : 1;
+        const timing = (lines[timingIndex] || '').match(SRT_TIMING);
+        if (!timing) {
+            skipped++;
+            continue;
+        }
+
+        const text = lines.slice(timingIndex + 1)
+            .map(line => line
+                .replace(/<\/?font[^>]*>/gi, '')
+                .replace(/\{\\[^}]*\}/g, '')
+                .replace(/-->/g, '--&gt;'))
+            .join('\n');
+
+        cues.push(`${padHours(timing[1])}.${timing[2]} --> ${padHours(timing[3])}.${timing[4]}\n${text}`);
+    }
+
+    const header = `WEBVTT\n\n${GENERATED_NOTE} ${sourceName}`;
+    return { vtt: [header, ...cues].join('\n\n') + '\n', cues: cues.length, skipped };
+}
+
+function padHours(time) {
+    return time.length === 7 ? `0${time}` : time;
+}
+
+/**
+ * True if a .vtt file's content was written by srtToVtt()
+ */
+function isGeneratedVtt(content) {
+    return content.replace(/^\uFEFF/, '').split('\n').slice(0, 3).some(line => line.startsWith(GENERATED_NOTE));
+}
+
+module.exports = {
+    CAPTION_EXTS,
+    DEFAULT_CAPTION_LANGUAGE,
+    matchCaptionFile,
+    languageLabel,
+    srtToVtt,
+    isGeneratedVtt
+};
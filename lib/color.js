@@ -0,0 +1,106 @@
+/**
+ * Colour helpers for 314 Solutions
+ *
+ * Parses the CSS colour notations the design tokens and stylesheets use
+ * (#rgb, #rrggbb, rgb(), rgba(), white, black and transparent) and
+ * computes WCAG 2 relative luminance and contrast ratios.
+ */
+
+const HEX_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RGB_PATTERN = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*([\d.]+%?)\s*)?\)$/i;
+const COLOR_IN_TEXT_PATTERN = /#(?:[0-9a-f]{6}|[0-9a-f]{3})\b|rgba?\([^)]*\)|\b(?:white|black|transparent)\b/gi;
+const NAMED_COLORS = {
+    white: { r: 255, g: 255, b: 255, a: 1 },
+    black: { r: 0, g: 0, b: 0, a: 1 },
+    transparent: { r: 0, g: 0, b: 0, a: 0 }
+};
+
+/**
+ * Parse a colour into { r, g, b, a } (0-255, alpha 0-1), or null when it is
+ * not a colour this module understands
+ */
+function parseColor(value) {
+    const text = String(value).trim();
+    const named = NAMED_COLORS[text.toLowerCase()];
+    if (named) return { ...named };
+
+    const hex = text.match(HEX_PATTERN);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: 1
+        };
+    }
+
+    const rgb = text.match(RGB_PATTERN);
+    if (rgb) {
+        const [r, g, b] = rgb.slice(1, 4).map(Number);
+        if ([r, g, b].some(channel => channel > 255)) return null;
+        let a = 1;
+        if (rgb[4] !== undefined) {
+            a = rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+            if (!(a >= 0 && a <= 1)) return null;
+        }
+        return { r, g, b, a };
+    }
+
+    return null;
+}
+
+/**
+ * Every colour written out in `text`, e.g. the stops of a gradient
+ */
+function colorsIn(text) {
+    return (String(text).match(COLOR_IN_TEXT_PATTERN) || []).map(parseColor).filter(Boolean);
+}
+
+/**
+ * Blend a translucent colour over an opaque background
+ */
+function composite(color, background) {
+    const { a } = color;
+    return {
+        r: Math.round(color.r * a + background.r * (1 - a)),
+        g: Math.round(color.g * a + background.g * (1 - a)),
+        b: Math.round(color.b * a + background.b * (1 - a)),
+        a: 1
+    };
+}
+
+/**
+ * WCAG 2 relative luminance, from 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+    const linear = channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2 contrast ratio between two opaque colours, from 1 to 21
+ */
+function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * "#rrggbb" for a parsed colour, ignoring alpha
+ */
+function toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+module.exports = {
+    parseColor,
+    colorsIn,
+    composite,
+    relativeLuminance,
+    contrastRatio,
+    toHex
+};
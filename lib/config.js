@@ -0,0 +1,98 @@
+/**
+ * Site configuration for 314 Solutions
+ *
+ * Build scripts read their settings from site.config.json in the repository
+ * root. Every section has defaults, so the file only needs the values that
+ * differ from them and scripts can rely on each section being present.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'site.config.json');
+
+const DEFAULTS = {
+    site: {
+        // Public URL of the site, e.g. "https://example.com/"; feeds, the sitemap and link previews need it
+        baseUrl: '',
+        title: '314 Solutions',
+        description: 'Digital Systems Design and Development',
+        author: '314 Solutions',
+        language: 'en',
+        // Preview image for links to the home page, cropped to a social card
+        image: 'banner.png'
+    },
+    images: {
+        // Source images for generate-images.js: paths or glob patterns relative to the root
+        sources: [],
+        outputDir: 'images',
+        concurrency: 2,
+        quality: { jpeg: 85, png: 85, webp: 85, avif: 50, original: 90 }
+    },
+    // Hero stats computed by build-projects.js (see lib/stats.js for the rules)
+    stats: [
+        { label: 'Featured Projects', icon: 'fas fa-code', compute: 'count' },
+        { label: 'Technologies Used', icon: 'fas fa-laptop-code', compute: 'distinct', field: 'tech' },
+        { label: 'Open Source', icon: 'fab fa-github', compute: 'percent', has: 'github', suffix: '%' }
+    ],
+    contact: {
+        // URL the contact form posts to, e.g. contact-server.js at "http://localhost:8787/contact";
+        // without one the form opens a mailto: link to `email`
+        endpoint: '',
+        email: 'paulwivers@gmail.com',
+        // Settings for contact-server.js
+        server: {
+            host: 'localhost',
+            port: 8787,
+            // Sites allowed to post to the server from a browser
+            allowedOrigins: ['http://localhost:8080'],
+            // "jsonl" appends each submission to `file`; "smtp" emails it through `smtp`
+            store: 'jsonl',
+            file: 'submissions.jsonl',
+            smtp: { host: 'localhost', port: 1025, from: 'contact@localhost', to: 'paulwivers@gmail.com' },
+            rateLimit: { max: 5, windowSeconds: 600 }
+        }
+    }
+};
+
+/**
+ * Read the config file merged over DEFAULTS
+ *
+ * Nested objects are merged key by key; arrays and scalar values from the
+ * file replace the defaults outright.
+ */
+function loadConfig(file = CONFIG_FILE) {
+    if (!fs.existsSync(file)) return merge({}, DEFAULTS);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new Error(`${path.basename(file)}: ${err.message}`);
+    }
+    if (!isPlainObject(data)) {
+        throw new Error(`${path.basename(file)}: expected a JSON object`);
+    }
+
+    return merge(merge({}, DEFAULTS), data);
+}
+
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value)) {
+            target[key] = merge(isPlainObject(target[key]) ? target[key] : {}, value);
+        } else {
+            target[key] = Array.isArray(value) ? value.slice() : value;
+        }
+    }
+    return target;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    CONFIG_FILE,
+    loadConfig
+};
@@ -0,0 +1,292 @@
+/**
+ * Contact form submissions for 314 Solutions
+ *
+ * The request handler behind contact-server.js. It accepts the contact form
+ * in index.html as JSON (sent by the page's script) or as an ordinary form
+ * post, checks the fields, quietly drops posts that filled in the honeypot
+ * field, limits how often one client can post, and hands each submission
+ * to a store: a JSON lines file, or an SMTP server (see lib/smtp.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, escapeAttr, sanitizeUrl } = require('./html');
+const { sendMail } = require('./smtp');
+
+// The form's fields and their limits, in the order they are stored
+const FIELDS = {
+    name: { label: 'Name', required: true, maxLength: 200 },
+    email: { label: 'Email', required: true, maxLength: 254 },
+    project: { label: 'Project type', required: false, maxLength: 200 },
+    message: { label: 'Message', required: true, maxLength: 5000 }
+};
+
+// Hidden from people; bots that fill in every field fill in this one too
+const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+const MAX_BODY_BYTES = 32 * 1024;
+
+const MESSAGES = {
+    sent: 'Thanks! Your message has been sent. I\'ll get back to you soon.',
+    invalid: 'Please check the highlighted fields and try again.',
+    rateLimited: 'Too many messages from your connection. Please wait a few minutes and try again.',
+    failed: 'Your message could not be delivered right now. Please try again later or send an email instead.'
+};
+
+/**
+ * Check and tidy a submission
+ *
+ * Returns { submission, errors } where errors maps field names to messages;
+ * the submission is only meaningful when errors is empty.
+ */
+function validateSubmission(data) {
+    const submission = {};
+    const errors = {};
+
+    for (const [field, { label, required, maxLength }] of Object.entries(FIELDS)) {
+        const raw = data[field];
+        const value = typeof raw === 'string' ? raw.replace(/\r\n?/g, '\n').trim() : '';
+        if (raw !== undefined && typeof raw !== 'string') {
+            errors[field] = `${label} must be text.`;
+        } else if (required && !value) {
+            errors[field] = `${label} is required.`;
+        } else if (value.length > maxLength) {
+            errors[field] = `${label} must be at most ${maxLength} characters.`;
+        } else if (field !== 'message' && /\n/.test(value)) {
+            errors[field] = `${label} must be a single line.`;
+        } else if (field === 'email' && value && !EMAIL_PATTERN.test(value)) {
+            errors[field] = 'Enter a valid email address, like you@example.com.';
+        }
+        submission[field] = value;
+    }
+    return { submission, errors };
+}
+
+/**
+ * Allow at most `max` posts per client in any `windowSeconds`
+ *
+ * Returns { hit(key) } which records a post and returns { allowed,
+ * retryAfter } with retryAfter in seconds.
+ */
+function createRateLimiter({ max = 5, windowSeconds = 600, now = Date.now } = {}) {
+    const windowMs = windowSeconds * 1000;
+    const history = new Map(); // key -> timestamps of recent posts
+
+    return {
+        hit(key) {
+            const time = now();
+            // Forget clients that have gone quiet, so the map doesn't grow forever
+            for (const [client, times] of history) {
+                if (times[times.length - 1] <= time - windowMs) history.delete(client);
+            }
+
+            const recent = (history.get(key) || []).filter(t => t > time - windowMs);
+            if (recent.length >= max) {
+                history.set(key, recent);
+                return { allowed: false, retryAfter: Math.ceil((recent[0] + windowMs - time) / 1000) };
+            }
+            recent.push(time);
+            history.set(key, recent);
+            return { allowed: true, retryAfter: 0 };
+        }
+    };
+}
+
+/**
+ * Store submissions as JSON lines appended to `file`
+ */
+function createJsonlStore(file) {
+    return {
+        description: `appending to ${file}`,
+
+        async save(submission) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, JSON.stringify(submission) + '\n');
+        }
+    };
+}
+
+/**
+ * Forward submissions as email through an SMTP server: { host, port, from, to }
+ */
+function createSmtpStore({ host, port, from, to }) {
+    return {
+        description: `forwarding to ${[].concat(to).join(', ')} through ${host}:${port}`,
+
+        save(submission) {
+            return sendMail({
+                host,
+                port,
+                from,
+                to,
+                replyTo: submission.email,
+                subject: `Project inquiry: ${submission.project || 'General'} (${submission.name})`,
+                text: [
+                    `Name: ${submission.name}`,
+                    `Email: ${submission.email}`,
+                    `Project type: ${submission.project || 'Not specified'}`,
+                    `Received: ${submission.receivedAt}`,
+                    '',
+                    submission.message
+                ].join('\n')
+            });
+        }
+    };
+}
+
+/**
+ * Create the HTTP request handler for form posts
+ *
+ * `store` saves a submission ({ receivedAt, name, email, project, message });
+ * `allowedOrigins` lists the sites allowed to post from a browser (the page
+ * usually lives on another origin than this handler); `rateLimit` is
+ * { max, windowSeconds }. Replies are JSON for the page's script and a short
+ * HTML page for browsers posting the form without it.
+ */
+function createContactHandler({ store, allowedOrigins = [], rateLimit = {}, log = console }) {
+    const limiter = createRateLimiter(rateLimit);
+
+    return async (req, res) => {
+        const origin = req.headers.origin;
+        const allowed = !origin || allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+        const cors = origin && allowed
+            ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Methods': 'POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type, Accept', Vary: 'Origin' }
+            : {};
+        const wantsJson = /json/.test(req.headers.accept || '') || /json/.test(req.headers['content-type'] || '');
+        const reply = (status, body, headers = {}) => {
+            if (wantsJson) {
+                res.writeHead(status, { ...cors, ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify(body));
+            } else {
+                res.writeHead(status, { ...cors, ...headers, 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(resultPage(body, req.headers.referer));
+            }
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(allowed ? 204 : 403, cors);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            reply(405, { ok: false, error: 'Send the form with POST.' }, { Allow: 'POST, OPTIONS' });
+            return;
+        }
+        if (!allowed) {
+            reply(403, { ok: false, error: 'This site is not allowed to send messages here.' });
+            return;
+        }
+
+        let data;
+        try {
+            data = parseBody(await readBody(req), req.headers['content-type']);
+        } catch (err) {
+            // The rest of an oversized body is never read, so the connection can't be reused
+            reply(err.status || 400, { ok: false, error: err.message }, err.status === 413 ? { Connection: 'close' } : {});
+            return;
+        }
+
+        // Pretend it worked, so bots have no reason to try again
+        if (typeof data[HONEYPOT_FIELD] === 'string' && data[HONEYPOT_FIELD].trim()) {
+            log.log(`Dropped a submission that filled in the ${HONEYPOT_FIELD} field`);
+            reply(200, { ok: true, message: MESSAGES.sent });
+            return;
+        }
+
+        const { allowed: withinLimit, retryAfter } = limiter.hit(req.socket.remoteAddress || 'unknown');
+        if (!withinLimit) {
+            reply(429, { ok: false, error: MESSAGES.rateLimited }, { 'Retry-After': String(retryAfter) });
+            return;
+        }
+
+        const { submission, errors } = validateSubmission(data);
+        if (Object.keys(errors).length > 0) {
+            reply(422, { ok: false, error: MESSAGES.invalid, fields: errors });
+            return;
+        }
+
+        try {
+            await store.save({ receivedAt: new Date().toISOString(), ...submission });
+        } catch (err) {
+            log.error(`Could not save a submission from ${submission.email}: ${err.message}`);
+            reply(502, { ok: false, error: MESSAGES.failed });
+            return;
+        }
+        log.log(`Received a message from ${submission.name} <${submission.email}>`);
+        reply(200, { ok: true, message: MESSAGES.sent });
+    };
+}
+
+// Rejects with a 413 error once the body passes MAX_BODY_BYTES; reading
+// stops there, but the connection stays open so the reply can be sent
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const tooLong = () => Object.assign(new Error('The message is too long.'), { status: 413 });
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            reject(tooLong());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.off('data', onData);
+                req.pause();
+                reject(tooLong());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(body, contentType = '') {
+    if (/^application\/json\b/i.test(contentType)) {
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (err) {
+            throw Object.assign(new Error('The request body is not valid JSON.'), { status: 400 });
+        }
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw Object.assign(new Error('Expected the form fields as a JSON object.'), { status: 400 });
+        }
+        return data;
+    }
+    if (/^application\/x-www-form-urlencoded\b/i.test(contentType)) {
+        return Object.fromEntries(new URLSearchParams(body));
+    }
+    throw Object.assign(new Error('Send the form as JSON or application/x-www-form-urlencoded.'), { status: 415 });
+}
+
+// Reply for a form posted without the page's script
+function resultPage({ ok, message, error, fields }, referer) {
+    const details = fields ? Object.values(fields).map(text => `<li>${escapeHtml(text)}</li>`).join('') : '';
+    const back = referer && sanitizeUrl(referer)
+        ? `<p><a href="${escapeAttr(`${referer.replace(/#.*$/, '')}#contact`)}">Back to the site</a></p>`
+        : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${ok ? 'Message sent' : 'Message not sent'}</title></head>
+<body>
+<p>${escapeHtml(ok ? message : error)}</p>${details ? `\n<ul>${details}</ul>` : ''}${back ? `\n${back}` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    FIELDS,
+    HONEYPOT_FIELD,
+    validateSubmission,
+    createRateLimiter,
+    createJsonlStore,
+    createSmtpStore,
+    createContactHandler
+};
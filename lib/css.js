@@ -0,0 +1,265 @@
+/**
+ * Minimal CSS parsing and selector matching for 314 Solutions
+ *
+ * Enough of CSS for the accessibility audit to work out which colours
+ * each element ends up with: style rules with their declarations, and
+ * selectors made of type, class, id and attribute selectors, a few
+ * structural pseudo-classes and the four combinators. At-rules (@media,
+ * @keyframes, ...) are skipped, so the result is the default, widest view
+ * of the page. Selectors that depend on state or pseudo-elements (:hover,
+ * ::before, ...) are reported as unsupported and left out.
+ */
+
+const STRUCTURAL_PSEUDOS = ['first-child', 'last-child', 'only-child', 'root', 'empty'];
+
+/**
+ * Parse a stylesheet into rules: [{ selectors: [selector], declarations }]
+ *
+ * Selectors that cannot be matched statically are dropped; a rule left
+ * with none is dropped too.
+ */
+function parseCss(css) {
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const rules = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+        const open = findOutside(source, '{', pos);
+        const semicolon = findOutside(source, ';', pos);
+        if (open === -1) break;
+
+        // Statement at-rules such as @import end at a semicolon
+        if (semicolon !== -1 && semicolon < open && source.slice(pos, semicolon).trim().startsWith('@')) {
+            pos = semicolon + 1;
+            continue;
+        }
+
+        const prelude = source.slice(pos, open).trim();
+        const close = matchingBrace(source, open);
+        const body = source.slice(open + 1, close === -1 ? source.length : close);
+        pos = close === -1 ? source.length : close + 1;
+
+        if (prelude.startsWith('@')) continue;
+
+        const selectors = splitOutside(prelude, ',').map(text => parseSelector(text.trim())).filter(Boolean);
+        if (selectors.length > 0) rules.push({ selectors, declarations: parseDeclarations(body) });
+    }
+    return rules;
+}
+
+/**
+ * Parse declarations ("color: red; --x: 1px !important") into
+ * [{ property, value, important }]
+ */
+function parseDeclarations(text) {
+    const declarations = [];
+    for (const part of splitOutside(text, ';')) {
+        const colon = part.indexOf(':');
+        if (colon === -1) continue;
+        const property = part.slice(0, colon).trim();
+        let value = part.slice(colon + 1).trim();
+        if (!property || !value) continue;
+
+        const important = /!\s*important$/i.test(value);
+        if (important) value = value.replace(/!\s*important$/i, '').trim();
+        declarations.push({ property: property.startsWith('--') ? property : property.toLowerCase(), value, important });
+    }
+    return declarations;
+}
+
+/**
+ * Parse a selector into compound selectors joined by combinators, or null
+ * if it uses something that cannot be matched without a browser
+ *
+ * Returns { parts: [{ combinator, compound }], specificity: [a, b, c] }.
+ */
+function parseSelector(text) {
+    const parts = [];
+    const specificity = [0, 0, 0];
+    let combinator = null;
+    let pos = 0;
+
+    while (pos < text.length) {
+        const space = text.slice(pos).match(/^\s*([>+~])?\s*/);
+        if (space[0] && parts.length > 0) combinator = space[1] || ' ';
+        pos += space[0].length;
+        if (pos >= text.length) break;
+
+        const compound = { tag: null, ids: [], classes: [], attrs: [], pseudos: [] };
+        let matched = false;
+        while (pos < text.length && !/[\s>+~]/.test(text[pos])) {
+            const rest = text.slice(pos);
+            let m;
+            if ((m = rest.match(/^(\*|[a-zA-Z][\w-]*)/)) && !matched) {
+                if (m[1] !== '*') {
+                    compound.tag = m[1].toLowerCase();
+                    specificity[2]++;
+                }
+            } else if ((m = rest.match(/^#([\w-]+)/))) {
+                compound.ids.push(m[1]);
+                specificity[0]++;
+            } else if ((m = rest.match(/^\.([\w-]+)/))) {
+                compound.classes.push(m[1]);
+                specificity[1]++;
+            } else if ((m = rest.match(/^\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/))) {
+                compound.attrs.push({ name: m[1].toLowerCase(), op: m[2] || null, value: m[3] ?? m[4] ?? m[5] ?? null });
+                specificity[1]++;
+            } else if ((m = rest.match(/^:not\(([^()]*)\)/))) {
+                const inner = parseSelector(m[1].trim());
+                if (!inner || inner.parts.length !== 1) return null;
+                compound.pseudos.push({ name: 'not', selector: inner });
+                inner.specificity.forEach((value, i) => { specificity[i] += value; });
+            } else if ((m = rest.match(/^:([\w-]+)/)) && STRUCTURAL_PSEUDOS.includes(m[1])) {
+                compound.pseudos.push({ name: m[1] });
+                specificity[1]++;
+            } else {
+                // :hover, ::before, :nth-child(...) and the like
+                return null;
+            }
+            pos += m[0].length;
+            matched = true;
+        }
+        if (!matched) return null;
+
+        parts.push({ combinator: parts.length === 0 ? null : combinator, compound });
+        combinator = null;
+    }
+
+    return parts.length > 0 ? { parts, specificity } : null;
+}
+
+/**
+ * Whether `element` (a lib/dom.js element) matches a parsed selector
+ */
+function matches(element, selector) {
+    return matchFrom(element, selector.parts, selector.parts.length - 1);
+}
+
+function matchFrom(element, parts, index) {
+    const { combinator, compound } = parts[index];
+    if (!matchesCompound(element, compound)) return false;
+    if (index === 0) return true;
+
+    if (combinator === '>') {
+        return isElement(element.parent) && matchFrom(element.parent, parts, index - 1);
+    }
+    if (combinator === ' ') {
+        for (let node = element.parent; isElement(node); node = node.parent) {
+            if (matchFrom(node, parts, index - 1)) return true;
+        }
+        return false;
+    }
+
+    const siblings = element.parent.children.filter(isElement);
+    const before = siblings.slice(0, siblings.indexOf(element));
+    if (combinator === '+') {
+        return before.length > 0 && matchFrom(before[before.length - 1], parts, index - 1);
+    }
+    return before.some(sibling => matchFrom(sibling, parts, index - 1));
+}
+
+function matchesCompound(element, compound) {
+    if (compound.tag && element.tag !== compound.tag) return false;
+    if (compound.ids.some(id => element.attrs.id !== id)) return false;
+
+    if (compound.classes.length > 0) {
+        const classes = (element.attrs.class || '').split(/\s+/);
+        if (compound.classes.some(name => !classes.includes(name))) return false;
+    }
+
+    for (const { name, op, value } of compound.attrs) {
+        const actual = element.attrs[name];
+        if (actual === undefined) return false;
+        if (op === '=' && actual !== value) return false;
+        if (op === '~=' && !actual.split(/\s+/).includes(value)) return false;
+        if (op === '^=' && !actual.startsWith(value)) return false;
+        if (op === '$=' && !actual.endsWith(value)) return false;
+        if (op === '*=' && !actual.includes(value)) return false;
+        if (op === '|=' && actual !== value && !actual.startsWith(value + '-')) return false;
+    }
+
+    for (const pseudo of compound.pseudos) {
+        const siblings = isElement(element.parent) ? element.parent.children.filter(isElement) : [element];
+        const ok = {
+            not: () => !matchesCompound(element, pseudo.selector.parts[0].compound),
+            'first-child': () => siblings[0] === element,
+            'last-child': () => siblings[siblings.length - 1] === element,
+            'only-child': () => siblings.length === 1,
+            root: () => element.tag === 'html',
+            empty: () => element.children.length === 0
+        }[pseudo.name]();
+        if (!ok) return false;
+    }
+    return true;
+}
+
+function isElement(node) {
+    return Boolean(node) && node.type === 'element';
+}
+
+/**
+ * Compare two specificities ([a, b, c]); positive when `a` wins
+ */
+function compareSpecificity(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+// Index of `char` in `text` from `from`, outside quotes and brackets
+function findOutside(text, char, from = 0) {
+    let depth = 0;
+    let quote = null;
+    for (let i = from; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '(' || c === '[') {
+            depth++;
+        } else if (c === ')' || c === ']') {
+            depth = Math.max(0, depth - 1);
+        } else if (c === char && depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function splitOutside(text, char) {
+    const parts = [];
+    let pos = 0;
+    for (let next = findOutside(text, char, pos); next !== -1; next = findOutside(text, char, pos)) {
+        parts.push(text.slice(pos, next));
+        pos = next + 1;
+    }
+    parts.push(text.slice(pos));
+    return parts;
+}
+
+function matchingBrace(text, open) {
+    let depth = 0;
+    let quote = null;
+    for (let i = open; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '{') {
+            depth++;
+        } else if (c === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+module.exports = {
+    parseCss,
+    parseDeclarations,
+    parseSelector,
+    matches,
+    compareSpecificity
+};
@@ -0,0 +1,248 @@
+/**
+ * Development server for 314 Solutions
+ *
+ * Serves the site from the repository root and keeps open pages in step with
+ * the build. Every HTML response gets a small client script that listens for
+ * Server-Sent Events: "reload" after a successful rebuild, and "errors" with
+ * the build's error messages, which are shown in an overlay on the page.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const EVENTS_PATH = '/__dev/events';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.woff2': 'font/woff2'
+};
+
+// Injected before </body> of every HTML page
+const CLIENT_SCRIPT = `
+<script>
+    // Live reload and build error overlay - injected by the dev server
+    (function() {
+        const events = new EventSource('${EVENTS_PATH}');
+        let overlay = null;
+
+        events.addEventListener('reload', () => location.reload());
+
+        events.addEventListener('errors', (e) => {
+            const errors = JSON.parse(e.data);
+            if (overlay) {
+                overlay.remove();
+                overlay = null;
+            }
+            if (errors.length === 0) return;
+
+            overlay = document.createElement('div');
+            overlay.setAttribute('role', 'alert');
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;' +
+                'background:rgba(20,20,20,0.94);color:#f5f5f5;font:14px/1.6 ui-monospace,Menlo,Consolas,monospace;';
+
+            const title = document.createElement('h2');
+            title.textContent = 'Build failed';
+            title.style.cssText = 'margin:0 0 1rem;color:#ff6b6b;font-size:1.25rem;';
+
+            const list = document.createElement('pre');
+            list.textContent = errors.join('\\n');
+            list.style.cssText = 'margin:0 0 1.5rem;white-space:pre-wrap;';
+
+            const note = document.createElement('p');
+            note.textContent = 'Fix the errors and save; the page reloads when the build succeeds.';
+            note.style.cssText = 'margin:0 0 1rem;color:#aaa;';
+
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.textContent = 'Dismiss';
+            dismiss.style.cssText = 'padding:0.5rem 1rem;border:1px solid #666;border-radius:6px;background:none;color:inherit;cursor:pointer;';
+            dismiss.addEventListener('click', () => {
+                overlay.remove();
+                overlay = null;
+            });
+
+            overlay.append(title, list, note, dismiss);
+            document.body.appendChild(overlay);
+        });
+    })();
+</script>
+`;
+
+/**
+ * Create a static file server for `root`
+ *
+ * Files in `overlay`, when given, are served in place of the ones at the
+ * same path in `root` (a preview build's pages over the committed ones).
+ * Returns { listen(), reload(), showErrors(messages), close() }. listen()
+ * resolves with the server's URL once it accepts connections.
+ */
+function createDevServer({ root, overlay = null, port = 8080, host = 'localhost' }) {
+    const roots = overlay ? [overlay, root] : [root];
+    const clients = new Set();
+    let errors = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || host}`);
+        if (url.pathname === EVENTS_PATH) {
+            openEventStream(req, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveFile(roots, url, req, res);
+        } else {
+            sendText(res, 405, 'Method not allowed');
+        }
+    });
+
+    function openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 1000\n\n');
+        // Pages opened while the build is broken show the overlay straight away
+        sendEvent(res, 'errors', errors);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    }
+
+    function broadcast(event, data) {
+        for (const client of clients) sendEvent(client, event, data);
+    }
+
+    return {
+        listen() {
+            return new Promise((resolve, reject) => {
+                server.once('error', err => {
+                    reject(err.code === 'EADDRINUSE'
+                        ? new Error(`port ${port} is already in use (pick another with --port)`)
+                        : err);
+                });
+                server.listen(port, host, () => resolve(`http://${host}:${server.address().port}/`));
+            });
+        },
+
+        reload() {
+            broadcast('reload', {});
+        },
+
+        showErrors(messages) {
+            errors = messages;
+            broadcast('errors', errors);
+        },
+
+        close() {
+            for (const client of clients) client.end();
+            clients.clear();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function serveFile(roots, url, req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+
+    // Never serve dotfiles (.git, .env) or anything outside the root
+    if (pathname.split('/').some(segment => segment.startsWith('.'))) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    let file;
+    let stat;
+    for (const root of roots) {
+        const candidate = path.join(root, path.normalize(pathname));
+        if (!candidate.startsWith(root)) continue;
+        try {
+            stat = fs.statSync(candidate);
+            file = candidate;
+            break;
+        } catch (err) {
+            // Not in this root; try the next
+        }
+    }
+    if (!file) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    if (stat.isDirectory()) {
+        // Relative links in projects/<Name>/index.html need the trailing slash
+        if (!pathname.endsWith('/')) {
+            res.writeHead(301, { Location: `${url.pathname}/${url.search}` });
+            res.end();
+            return;
+        }
+        serveFile(roots, new URL('index.html', url), req, res);
+        return;
+    }
+
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    const headers = { 'Content-Type': type, 'Cache-Control': 'no-store' };
+
+    if (type.startsWith('text/html')) {
+        const html = fs.readFileSync(file, 'utf-8');
+        const body = html.includes('</body>') ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${CLIENT_SCRIPT}</body>`) : html + CLIENT_SCRIPT;
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+        return;
+    }
+
+    // Byte ranges, so videos can be seeked
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    headers['Accept-Ranges'] = 'bytes';
+    if (range && (range[1] || range[2])) {
+        const start = range[1] ? Number(range[1]) : Math.max(0, stat.size - Number(range[2]));
+        const end = range[1] && range[2] ? Math.min(Number(range[2]), stat.size - 1) : stat.size - 1;
+        if (start > end || start >= stat.size) {
+            res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+            res.end();
+            return;
+        }
+        res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${stat.size}`, 'Content-Length': end - start + 1 });
+        if (req.method === 'HEAD') res.end();
+        else fs.createReadStream(file, { start, end }).pipe(res);
+        return;
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+    if (req.method === 'HEAD') res.end();
+    else fs.createReadStream(file).pipe(res);
+}
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+module.exports = {
+    createDevServer
+};
@@ -0,0 +1,138 @@
+/**
+ * Minimal HTML parsing for 314 Solutions
+ *
+ * Turns the markup the build generates (and index.html) into a tree of
+ * elements and text that the accessibility audit can walk. It is not a
+ * full HTML5 parser: it expects well-formed markup, closes void elements
+ * by itself and ignores end tags that match nothing open.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTR_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parse `html` into a document node
+ *
+ * Nodes are { type: 'document' | 'element' | 'text', parent, children }.
+ * Elements also have `tag` (lowercase) and `attrs` (an object of decoded
+ * values); text nodes have `text` (decoded).
+ */
+function parseHtml(html) {
+    const document = { type: 'document', parent: null, children: [] };
+    const stack = [document];
+    const current = () => stack[stack.length - 1];
+    const addText = text => {
+        if (text) current().children.push({ type: 'text', parent: current(), text: decodeEntities(text) });
+    };
+
+    let last = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(html))) {
+        addText(html.slice(last, match.index));
+        last = TOKEN_PATTERN.lastIndex;
+
+        const [, closeTag, openTag, attrText, selfClosing] = match;
+        if (closeTag) {
+            const tag = closeTag.toLowerCase();
+            const index = stack.map(node => node.tag).lastIndexOf(tag);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+        if (!openTag) continue; // comment or doctype
+
+        const tag = openTag.toLowerCase();
+        const element = { type: 'element', tag, attrs: parseAttributes(attrText), parent: current(), children: [] };
+        current().children.push(element);
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const end = html.toLowerCase().indexOf(`</${tag}`, last);
+            const stop = end === -1 ? html.length : end;
+            if (stop > last) element.children.push({ type: 'text', parent: element, text: html.slice(last, stop) });
+            const close = end === -1 ? html.length : html.indexOf('>', end) + 1;
+            last = close || html.length;
+            TOKEN_PATTERN.lastIndex = last;
+        } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+            stack.push(element);
+        }
+    }
+    addText(html.slice(last));
+    return document;
+}
+
+function parseAttributes(text) {
+    const attrs = {};
+    for (const [, name, double, single, bare] of (text || '').matchAll(ATTR_PATTERN)) {
+        const key = name.toLowerCase();
+        if (key in attrs) continue;
+        attrs[key] = decodeEntities(double ?? single ?? bare ?? '');
+    }
+    return attrs;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+        if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+}
+
+/**
+ * Every element below `node`, in document order
+ */
+function elements(node) {
+    const result = [];
+    const walk = parent => {
+        for (const child of parent.children) {
+            if (child.type !== 'element') continue;
+            result.push(child);
+            walk(child);
+        }
+    };
+    walk(node);
+    return result;
+}
+
+/**
+ * The element children of `node`
+ */
+function childElements(node) {
+    return node.children.filter(child => child.type === 'element');
+}
+
+/**
+ * The text inside `node`, skipping subtrees `skip(element)` returns true
+ * for
+ */
+function textContent(node, skip = () => false) {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'element' && skip(node)) return '';
+    return node.children.map(child => textContent(child, skip)).join('');
+}
+
+/**
+ * A short CSS-like path to `element` for messages, e.g.
+ * "div.modal-content > h2.modal-title"
+ */
+function describe(element, depth = 2) {
+    const parts = [];
+    for (let node = element; node && node.type === 'element' && parts.length < depth; node = node.parent) {
+        const classes = (node.attrs.class || '').split(/\s+/).filter(Boolean);
+        parts.unshift(node.tag + (node.attrs.id ? `#${node.attrs.id}` : classes.length > 0 ? `.${classes[0]}` : ''));
+    }
+    return parts.join(' > ');
+}
+
+module.exports = {
+    parseHtml,
+    decodeEntities,
+    elements,
+    childElements,
+    textContent,
+    describe
+};
@@ -0,0 +1,108 @@
+/**
+ * Feed and sitemap writers for 314 Solutions
+ *
+ * Renders an Atom feed, a JSON Feed 1.1 document and a sitemap from a list
+ * of entries prepared by build-projects.js:
+ *
+ *   { url, title, summary, contentHtml, published, updated, tags,
+ *     image: { url, type, length } | null }
+ *
+ * `site` is the `site` section of site.config.json; every URL is absolute.
+ */
+
+const { escapeHtml, escapeAttr } = require('./html');
+
+const FEED_ATOM = 'feed.xml';
+const FEED_JSON = 'feed.json';
+const SITEMAP = 'sitemap.xml';
+
+/**
+ * Atom 1.0 feed, newest entry first
+ */
+function generateAtomFeed(site, entries) {
+    const items = entries.map(entry => `
+    <entry>
+        <title>${escapeHtml(entry.title)}</title>
+        <id>${escapeHtml(entry.url)}</id>
+        <link rel="alternate" type="text/html" href="${escapeAttr(entry.url)}"/>
+        <published>${entry.published.toISOString()}</published>
+        <updated>${entry.updated.toISOString()}</updated>
+        <summary>${escapeHtml(entry.summary)}</summary>
+        <content type="html">${escapeHtml(entry.contentHtml)}</content>${entry.tags.map(tag => `
+        <category term="${escapeAttr(tag)}"/>`).join('')}${entry.image ? `
+        <link rel="enclosure" type="${escapeAttr(entry.image.type)}" length="${entry.image.length}" href="${escapeAttr(entry.image.url)}"/>` : ''}
+    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeAttr(site.language)}">
+    <title>${escapeHtml(site.title)}</title>
+    <subtitle>${escapeHtml(site.description)}</subtitle>
+    <id>${escapeHtml(site.baseUrl)}</id>
+    <link rel="alternate" type="text/html" href="${escapeAttr(site.baseUrl)}"/>
+    <link rel="self" type="application/atom+xml" href="${escapeAttr(site.baseUrl + FEED_ATOM)}"/>
+    <updated>${latest(entries).toISOString()}</updated>
+    <author>
+        <name>${escapeHtml(site.author)}</name>
+    </author>${items}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+ */
+function generateJsonFeed(site, entries) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: site.title,
+        description: site.description,
+        home_page_url: site.baseUrl,
+        feed_url: site.baseUrl + FEED_JSON,
+        language: site.language,
+        authors: [{ name: site.author }],
+        items: entries.map(entry => ({
+            id: entry.url,
+            url: entry.url,
+            title: entry.title,
+            summary: entry.summary,
+            content_html: entry.contentHtml,
+            date_published: entry.published.toISOString(),
+            date_modified: entry.updated.toISOString(),
+            tags: entry.tags,
+            ...(entry.image ? {
+                image: entry.image.url,
+                attachments: [{ url: entry.image.url, mime_type: entry.image.type, size_in_bytes: entry.image.length }]
+            } : {})
+        }))
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/**
+ * sitemap.xml listing the home page and every entry
+ */
+function generateSitemap(site, entries) {
+    const urls = [{ url: site.baseUrl, updated: latest(entries) }, ...entries].map(entry => `
+    <url>
+        <loc>${escapeHtml(entry.url)}</loc>
+        <lastmod>${entry.updated.toISOString().slice(0, 10)}</lastmod>
+    </url>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+function latest(entries) {
+    return entries.reduce((max, entry) => (entry.updated > max ? entry.updated : max), new Date(0));
+}
+
+module.exports = {
+    FEED_ATOM,
+    FEED_JSON,
+    SITEMAP,
+    generateAtomFeed,
+    generateJsonFeed,
+    generateSitemap
+};
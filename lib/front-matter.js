@@ -0,0 +1,615 @@
+/**
+ * Front Matter Parser for 314 Solutions
+ *
+ * Parses the YAML front matter at the top of project.md files and validates
+ * it against a declared schema. Only the subset of YAML that the content
+ * files actually need is supported:
+ *
+ *   key: plain value              # trailing comments are ignored
+ *   key: "double quoted \"value\""
+ *   key: 'single quoted ''value'''
+ *   key: [Flow, "Style", List]
+ *   key:
+ *     - block
+ *     - list
+ *   key: |                        # literal block, newlines kept
+ *     multi-line text
+ *   key: >                        # folded block, newlines become spaces
+ *     multi-line text
+ *
+ * Sequences may contain simple mappings (`- file: a.png`). Anything else
+ * (anchors, tags, flow mappings) is reported as an error with a line number.
+ */
+
+class FrontMatterError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.name = 'FrontMatterError';
+        this.line = line;
+    }
+}
+
+const KEY_PATTERN = /^([A-Za-z_][\w-]*)[ \t]*:(?=[ \t]|$)[ \t]*(.*)$/;
+const FENCE = '---';
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})((?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Split a markdown file into its front matter and body
+ *
+ * Returns { data, lines, body, bodyLine, endLine } where `lines` maps each
+ * top-level key to the 1-based line it was declared on, `bodyLine` is the
+ * line the body starts on and `endLine` is the line of the closing fence
+ * (where a missing key would go). Files without front matter return an
+ * empty `data` object.
+ */
+function parseFrontMatter(content) {
+    const source = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    let start = 0;
+    while (start < source.length && source[start].trim() === '') start++;
+
+    if (start >= source.length || source[start].trimEnd() !== FENCE) {
+        return { data: {}, lines: {}, body: source.join('\n').trim(), bodyLine: start + 1, endLine: start + 1 };
+    }
+
+    let end = start + 1;
+    while (end < source.length && source[end].trimEnd() !== FENCE) end++;
+
+    if (end >= source.length) {
+        throw new FrontMatterError('front matter is not closed (missing "---")', start + 1);
+    }
+
+    const { data, lines } = parseYaml(source.slice(start + 1, end).join('\n'), start + 2);
+
+    let bodyStart = end + 1;
+    while (bodyStart < source.length && source[bodyStart].trim() === '') bodyStart++;
+    const body = source.slice(bodyStart).join('\n').trim();
+
+    return { data, lines, body, bodyLine: bodyStart + 1, endLine: end + 1 };
+}
+
+/**
+ * Parse a YAML document (mapping or sequence at the top level)
+ *
+ * `firstLine` is the line number of the first line of `text` in the
+ * containing file, so that errors point at the right place.
+ */
+function parseYaml(text, firstLine = 1) {
+    const ctx = {
+        lines: text.split(/\r?\n/).map((raw, idx) => ({ raw, line: firstLine + idx })),
+        i: 0,
+        topLines: {}
+    };
+
+    for (const { raw, line } of ctx.lines) {
+        const leading = raw.match(/^[ \t]*/)[0];
+        if (leading.includes('\t')) {
+            throw new FrontMatterError('tabs are not allowed for indentation', line);
+        }
+    }
+
+    skipBlank(ctx);
+    if (ctx.i >= ctx.lines.length) return { data: {}, lines: {} };
+
+    const first = current(ctx);
+    if (indentOf(first.raw) !== 0) {
+        throw new FrontMatterError('unexpected indentation', first.line);
+    }
+
+    const data = isSequenceItem(first.raw, 0)
+        ? parseSequence(ctx, 0)
+        : parseMapping(ctx, 0, ctx.topLines);
+
+    skipBlank(ctx);
+    if (ctx.i < ctx.lines.length) {
+        const stray = current(ctx);
+        throw new FrontMatterError(`unexpected content "${stray.raw.trim()}"`, stray.line);
+    }
+
+    return { data, lines: ctx.topLines };
+}
+
+function current(ctx) {
+    return ctx.lines[ctx.i];
+}
+
+function indentOf(raw) {
+    return raw.length - raw.trimStart().length;
+}
+
+function isBlank(raw) {
+    const trimmed = raw.trim();
+    return trimmed === '' || trimmed.startsWith('#');
+}
+
+function skipBlank(ctx) {
+    while (ctx.i < ctx.lines.length && isBlank(ctx.lines[ctx.i].raw)) ctx.i++;
+}
+
+function isSequenceItem(raw, indent) {
+    return indentOf(raw) === indent && /^-(?:[ ]|$)/.test(raw.slice(indent));
+}
+
+function parseMapping(ctx, indent, lineMap) {
+    const result = {};
+
+    for (;;) {
+        skipBlank(ctx);
+        if (ctx.i >= ctx.lines.length) break;
+
+        const { raw, line } = current(ctx);
+        const lineIndent = indentOf(raw);
+        if (lineIndent < indent || isSequenceItem(raw, indent)) break;
+        if (lineIndent > indent) {
+            throw new FrontMatterError('unexpected indentation', line);
+        }
+
+        const match = raw.slice(indent).match(KEY_PATTERN);
+        if (!match) {
+            throw new FrontMatterError(`expected "key: value", got "${raw.trim()}"`, line);
+        }
+
+        const key = match[1].toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+            throw new FrontMatterError(`duplicate key "${key}"`, line);
+        }
+
+        ctx.i++;
+        result[key] = parseValue(ctx, match[2], indent, line, true);
+        if (lineMap) lineMap[key] = line;
+    }
+
+    return result;
+}
+
+function parseSequence(ctx, indent) {
+    const result = [];
+
+    for (;;) {
+        skipBlank(ctx);
+        if (ctx.i >= ctx.lines.length) break;
+
+        const entry = current(ctx);
+        if (!isSequenceItem(entry.raw, indent)) {
+            if (indentOf(entry.raw) > indent) {
+                throw new FrontMatterError('unexpected indentation', entry.line);
+            }
+            break;
+        }
+
+        const itemText = entry.raw.slice(indent + 1).trimStart();
+        const itemIndent = entry.raw.length - itemText.length;
+
+        if (KEY_PATTERN.test(itemText)) {
+            // "- key: value" starts a mapping indented to the key's column
+            entry.raw = ' '.repeat(itemIndent) + itemText;
+            result.push(parseMapping(ctx, itemIndent));
+        } else {
+            ctx.i++;
+            result.push(parseValue(ctx, itemText, indent, entry.line));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse the value that follows "key:" or "- ". The line holding `rest` has
+ * already been consumed; continuation lines must be indented past `indent`.
+ */
+function parseValue(ctx, rest, indent, line, inMapping = false) {
+    const text = rest.trim();
+
+    if (text === '' || text.startsWith('#')) {
+        return parseNested(ctx, indent, inMapping);
+    }
+
+    const first = text[0];
+    if (first === '|' || first === '>') {
+        if (!/^[|>][+-]?\s*(#.*)?$/.test(text)) {
+            throw new FrontMatterError(`invalid block scalar header "${text}"`, line);
+        }
+        return parseBlockScalar(ctx, indent, first === '>', text[1]);
+    }
+    if (first === '"' || first === '\'') {
+        return parseQuoted(ctx, text, indent, line);
+    }
+    if (first === '[') {
+        return parseFlowSequence(ctx, text, indent, line);
+    }
+    if (first === '{') {
+        throw new FrontMatterError('flow mappings ("{ ... }") are not supported', line);
+    }
+    if (first === '&' || first === '*' || first === '!') {
+        throw new FrontMatterError('anchors, aliases and tags are not supported', line);
+    }
+
+    return resolvePlain(collectPlain(ctx, stripComment(text), indent));
+}
+
+function parseNested(ctx, indent, inMapping) {
+    skipBlank(ctx);
+    if (ctx.i >= ctx.lines.length) return null;
+
+    const { raw } = current(ctx);
+    const childIndent = indentOf(raw);
+
+    // "key:\n- item" (a sequence at the same indentation as its key) is valid YAML
+    if (childIndent > indent || (inMapping && childIndent === indent)) {
+        if (isSequenceItem(raw, childIndent)) return parseSequence(ctx, childIndent);
+    }
+    if (childIndent > indent) return parseMapping(ctx, childIndent);
+    return null;
+}
+
+function parseBlockScalar(ctx, indent, folded, chomp) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (ctx.i < ctx.lines.length) {
+        const { raw } = current(ctx);
+        if (raw.trim() === '') {
+            collected.push('');
+            ctx.i++;
+            continue;
+        }
+        const lineIndent = indentOf(raw);
+        if (lineIndent <= indent) break;
+        if (blockIndent === null) blockIndent = lineIndent;
+        if (lineIndent < blockIndent) break;
+        collected.push(raw.slice(blockIndent));
+        ctx.i++;
+    }
+
+    // Trailing blank lines belong to the chomping indicator, not the content
+    let trailing = 0;
+    while (collected.length && collected[collected.length - 1] === '') {
+        collected.pop();
+        trailing++;
+    }
+
+    let value = collected.join('\n');
+    if (folded) {
+        value = '';
+        collected.forEach((text, idx) => {
+            const previous = collected[idx - 1];
+            if (idx === 0) {
+                value = text;
+            } else if (text === '') {
+                value += '\n';
+            } else if (previous === '') {
+                value += text;
+            } else if (/^\s/.test(text) || /^\s/.test(previous)) {
+                // More-indented lines keep their line breaks
+                value += '\n' + text;
+            } else {
+                value += ' ' + text;
+            }
+        });
+    }
+
+    if (chomp === '-') return value;
+    if (chomp === '+') return value + '\n'.repeat(trailing + 1);
+    return value ? value + '\n' : value;
+}
+
+function parseQuoted(ctx, text, indent, line) {
+    const quote = text[0];
+    let buffer = text;
+    let close = findClosingQuote(buffer, quote);
+
+    // Quoted scalars may span lines; line breaks fold into single spaces
+    while (close === -1) {
+        if (ctx.i >= ctx.lines.length || (current(ctx).raw.trim() !== '' && indentOf(current(ctx).raw) <= indent)) {
+            throw new FrontMatterError(`unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, line);
+        }
+        const next = current(ctx).raw.trim();
+        buffer += next === '' ? '\n' : (buffer.endsWith('\n') ? '' : ' ') + next;
+        ctx.i++;
+        close = findClosingQuote(buffer, quote);
+    }
+
+    const after = buffer.slice(close + 1).trim();
+    if (after && !after.startsWith('#')) {
+        throw new FrontMatterError(`unexpected text after quoted string: "${after}"`, line);
+    }
+
+    return unquote(buffer.slice(0, close + 1), line);
+}
+
+function findClosingQuote(text, quote) {
+    for (let i = 1; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === '\'' && text[i + 1] === '\'') {
+                i++;
+            } else {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+function unquote(token, line) {
+    const quote = token[0];
+    const inner = token.slice(1, -1);
+
+    if (quote === '\'') return inner.replace(/''/g, '\'');
+
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0', ' ': ' ' };
+    return inner.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (match, code) => {
+        if (code.length > 1) return String.fromCharCode(parseInt(code.slice(1), 16));
+        if (code in escapes) return escapes[code];
+        throw new FrontMatterError(`invalid escape sequence "${match}"`, line);
+    });
+}
+
+function parseFlowSequence(ctx, text, indent, line) {
+    let buffer = text;
+
+    while (!flowIsClosed(buffer)) {
+        if (ctx.i >= ctx.lines.length || indentOf(current(ctx).raw) <= indent) {
+            throw new FrontMatterError('unterminated list (missing "]")', line);
+        }
+        buffer += ' ' + current(ctx).raw.trim();
+        ctx.i++;
+    }
+
+    const items = [];
+    let token = '';
+    let quote = null;
+    let closed = false;
+
+    for (let i = 1; i < buffer.length; i++) {
+        const ch = buffer[i];
+        if (quote) {
+            token += ch;
+            if (quote === '"' && ch === '\\') {
+                token += buffer[++i];
+            } else if (ch === quote) {
+                if (quote === '\'' && buffer[i + 1] === '\'') {
+                    token += buffer[++i];
+                } else {
+                    quote = null;
+                }
+            }
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+            token += ch;
+        } else if (ch === ',' || ch === ']') {
+            const item = token.trim();
+            if (item) {
+                items.push(item[0] === '"' || item[0] === '\'' ? unquote(item, line) : resolvePlain(item));
+            } else if (ch === ',') {
+                throw new FrontMatterError('empty item in list', line);
+            }
+            token = '';
+            if (ch === ']') {
+                const after = buffer.slice(i + 1).trim();
+                if (after && !after.startsWith('#')) {
+                    throw new FrontMatterError(`unexpected text after list: "${after}"`, line);
+                }
+                closed = true;
+                break;
+            }
+        } else if (ch === '[' || ch === '{') {
+            throw new FrontMatterError('nested collections inside "[ ... ]" are not supported', line);
+        } else {
+            token += ch;
+        }
+    }
+
+    if (!closed) throw new FrontMatterError('unterminated list (missing "]")', line);
+    return items;
+}
+
+function flowIsClosed(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (quote === '"' && ch === '\\') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === ']') {
+            return true;
+        }
+    }
+    return false;
+}
+
+function stripComment(text) {
+    const hash = text.search(/\s#/);
+    return (hash === -1 ? text : text.slice(0, hash)).trim();
+}
+
+function collectPlain(ctx, text, indent) {
+    let value = text;
+
+    // Plain scalars continue onto more-indented lines, folded with spaces
+    while (ctx.i < ctx.lines.length) {
+        const { raw } = current(ctx);
+        if (raw.trim() === '') {
+            let next = ctx.i + 1;
+            while (next < ctx.lines.length && ctx.lines[next].raw.trim() === '') next++;
+            if (next >= ctx.lines.length || indentOf(ctx.lines[next].raw) <= indent) break;
+            value += '\n';
+            ctx.i++;
+            continue;
+        }
+        if (indentOf(raw) <= indent || raw.trim().startsWith('#')) break;
+        value += (value.endsWith('\n') ? '' : ' ') + stripComment(raw.trim());
+        ctx.i++;
+    }
+
+    return value;
+}
+
+function resolvePlain(text) {
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[-+]?\d*\.\d+$/.test(text)) return parseFloat(text);
+    return text;
+}
+
+/**
+ * Validate parsed front matter against a schema
+ *
+ * Each schema entry declares a `type` ('string', 'integer', 'list', 'url',
+ * 'date'), whether it is `required` and optionally the `values` a string may
+ * take. A 'list' with an `items` schema holds mappings validated against it,
+ * where a bare value stands for the `shorthand` key. Returns { value, errors } where `value`
+ * holds the coerced fields and `errors` is a list of { line, message }.
+ * `fallbackLine` is used for problems that have no line of their own,
+ * such as a missing required field.
+ */
+function validate(data, schema, lines = {}, fallbackLine = 1) {
+    const value = {};
+    const errors = [];
+
+    for (const key of Object.keys(data)) {
+        if (!schema[key]) {
+            const suggestion = closestKey(key, Object.keys(schema));
+            errors.push({
+                line: lines[key] || fallbackLine,
+                message: `unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+            });
+        }
+    }
+
+    for (const [key, field] of Object.entries(schema)) {
+        const raw = data[key];
+        const line = lines[key] || fallbackLine;
+
+        if (raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0)) {
+            if (field.required) {
+                errors.push({ line, message: `missing required key "${key}"` });
+            }
+            continue;
+        }
+
+        try {
+            value[key] = coerce(raw, field, key);
+        } catch (err) {
+            errors.push({ line, message: err.message });
+        }
+    }
+
+    return { value, errors };
+}
+
+function coerce(raw, field, key) {
+    switch (field.type) {
+        case 'string': {
+            if (typeof raw === 'object') throw new Error(`"${key}" must be text, not a list`);
+            const text = String(raw).trim();
+            if (field.values && !field.values.includes(text)) {
+                throw new Error(`"${key}" must be one of ${field.values.join(', ')}, got "${raw}"`);
+            }
+            return text;
+        }
+
+        case 'integer': {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(number)) throw new Error(`"${key}" must be a whole number, got "${raw}"`);
+            return number;
+        }
+
+        case 'list': {
+            if (field.items) return coerceItems(raw, field, key);
+
+            // A bare string is accepted as a comma-separated list
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            return items.map(item => {
+                if (item !== null && typeof item === 'object') {
+                    throw new Error(`"${key}" must be a list of text values`);
+                }
+                return String(item === null ? '' : item).trim();
+            }).filter(Boolean);
+        }
+
+        case 'url': {
+            const text = typeof raw === 'string' ? raw.trim() : '';
+            let url = null;
+            try {
+                url = new URL(text);
+            } catch (err) {
+                // Fall through to the error below
+            }
+            if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+                throw new Error(`"${key}" must be an http(s) URL, got "${raw}"`);
+            }
+            return text;
+        }
+
+        case 'date': {
+            // 2024-05-01, or a full ISO 8601 time such as 2024-05-01T09:30:00-05:00
+            const text = String(raw).trim();
+            const match = DATE_PATTERN.exec(text);
+            const date = match ? new Date(match[2] ? text : `${text}T00:00:00Z`) : null;
+            // Date rolls impossible days over (2024-02-30 becomes March 1st)
+            const valid = date && !Number.isNaN(date.getTime()) && (match[2] || date.toISOString().startsWith(match[1]));
+            if (!valid) {
+                throw new Error(`"${key}" must be a date such as 2024-05-01, got "${raw}"`);
+            }
+            return date;
+        }
+
+        default:
+            throw new Error(`unknown schema type "${field.type}" for "${key}"`);
+    }
+}
+
+/**
+ * Coerce a list of mappings ("- file: a.png" items) against `field.items`,
+ * reporting the first problem with the item's position
+ */
+function coerceItems(raw, field, key) {
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    return items.map((item, index) => {
+        if (Array.isArray(item)) throw new Error(`"${key}" item ${index + 1} must be a value or "key: value" lines, not a list`);
+        const data = item !== null && typeof item === 'object' ? item : { [field.shorthand]: typeof item === 'string' ? item.trim() : item };
+        const { value, errors } = validate(data, field.items);
+        if (errors.length > 0) throw new Error(`"${key}" item ${index + 1}: ${errors[0].message}`);
+        return value;
+    });
+}
+
+function closestKey(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+module.exports = {
+    FrontMatterError,
+    parseFrontMatter,
+    parseYaml,
+    validate
+};
@@ -0,0 +1,118 @@
+/**
+ * Minimal file globbing for 314 Solutions
+ *
+ * Supports `*` and `?` within a path segment, `[abc]` character classes and
+ * `**` for any number of directories. Hidden files and node_modules are
+ * only matched when the pattern names them explicitly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Return the files under `root` matching `pattern`, as sorted paths
+ * relative to `root` with forward slashes
+ */
+function glob(pattern, root) {
+    const segments = pattern.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+    if (segments[segments.length - 1] === '**') segments.push('*');
+    const matches = new Set();
+    walk(root, '', segments, matches);
+    return [...matches].sort();
+}
+
+function walk(root, relative, segments, matches) {
+    if (segments.length === 0) return;
+
+    const [segment, ...rest] = segments;
+    const dir = path.join(root, relative);
+
+    if (segment === '**') {
+        // Zero directories, then one or more
+        walk(root, relative, rest, matches);
+        for (const entry of readDir(dir)) {
+            if (entry.isDirectory() && !isHidden(entry.name)) {
+                walk(root, join(relative, entry.name), segments, matches);
+            }
+        }
+        return;
+    }
+
+    if (!hasMagic(segment)) {
+        const next = join(relative, segment);
+        const stat = statOrNull(path.join(root, next));
+        if (!stat) return;
+        if (rest.length === 0) {
+            if (stat.isFile()) matches.add(next);
+        } else if (stat.isDirectory()) {
+            walk(root, next, rest, matches);
+        }
+        return;
+    }
+
+    const matcher = segmentToRegex(segment);
+    for (const entry of readDir(dir)) {
+        if (isHidden(entry.name) && !segment.startsWith('.')) continue;
+        if (!matcher.test(entry.name)) continue;
+
+        const next = join(relative, entry.name);
+        if (rest.length === 0) {
+            if (entry.isFile()) matches.add(next);
+        } else if (entry.isDirectory()) {
+            walk(root, next, rest, matches);
+        }
+    }
+}
+
+function segmentToRegex(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && segment.indexOf(']', i + 2) !== -1) {
+            const end = segment.indexOf(']', i + 2);
+            const body = segment.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            source += `[${body}]`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function hasMagic(segment) {
+    return /[*?[]/.test(segment);
+}
+
+function isHidden(name) {
+    return name.startsWith('.') || name === 'node_modules';
+}
+
+function readDir(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+        return [];
+    }
+}
+
+function statOrNull(file) {
+    try {
+        return fs.statSync(file);
+    } catch (err) {
+        return null;
+    }
+}
+
+function join(relative, name) {
+    return relative ? `${relative}/${name}` : name;
+}
+
+module.exports = {
+    glob,
+    hasMagic
+};
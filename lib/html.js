@@ -0,0 +1,95 @@
+/**
+ * HTML escaping helpers for 314 Solutions
+ *
+ * Text content and attribute values need different escaping: text only has
+ * to neutralise markup (&, <, >), while attribute values must also escape
+ * both quote characters so they cannot terminate the attribute early.
+ */
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Escape a value for use as element text content
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside a quoted attribute
+ */
+function escapeAttr(value) {
+    return escapeHtml(value)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Make a value safe to place inside an HTML comment
+ */
+function escapeComment(value) {
+    return String(value ?? '').replace(/--/g, '- -').replace(/[<>]/g, '');
+}
+
+/**
+ * Return `url` if it is an http(s), mailto or relative link, otherwise null
+ *
+ * Browsers ignore whitespace and control characters inside the scheme, so
+ * they are stripped before the scheme is inspected ("java\tscript:" is
+ * still javascript:).
+ */
+function sanitizeUrl(url) {
+    if (typeof url !== 'string') return null;
+
+    const trimmed = url.trim();
+    if (!trimmed) return null;
+
+    const normalized = trimmed.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme) {
+        return SAFE_URL_PROTOCOLS.includes(scheme[1].toLowerCase() + ':') ? trimmed : null;
+    }
+
+    // Relative URLs must not smuggle a scheme in through backslashes ("\\evil.com")
+    if (normalized.startsWith('\\') || normalized.startsWith('/\\')) return null;
+
+    return trimmed;
+}
+
+/**
+ * Build a URL path from raw segments (e.g. a directory and a file name),
+ * percent-encoding each one so spaces, quotes and "#" survive intact
+ */
+function urlPath(...segments) {
+    return segments.map(segment => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Flatten HTML produced by the build (e.g. markdownToHtml output) to plain
+ * text, for search indexes and summaries
+ */
+function htmlToText(html) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return String(html ?? '')
+        .replace(/<\/?(?:p|li|h[1-6]|tr|td|th|pre|blockquote|br)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+            if (name) return named[name.toLowerCase()] ?? entity;
+            const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    escapeHtml,
+    escapeAttr,
+    escapeComment,
+    sanitizeUrl,
+    urlPath,
+    htmlToText
+};
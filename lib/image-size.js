@@ -0,0 +1,82 @@
+/**
+ * Image dimension reader for 314 Solutions
+ *
+ * Reads the pixel size of PNG, JPEG, GIF and WebP files from their headers
+ * so the build can validate media without loading an image library.
+ */
+
+const fs = require('fs');
+
+/**
+ * Return { width, height } for an image file, or null if the format is
+ * not recognised or the header is truncated
+ */
+function readImageSize(filePath) {
+    return imageSizeFromBuffer(fs.readFileSync(filePath));
+}
+
+function imageSizeFromBuffer(buf) {
+    try {
+        if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47 && buf.toString('ascii', 12, 16) === 'IHDR') {
+            return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+        }
+        if (buf.length >= 10 && buf.toString('ascii', 0, 4) === 'GIF8') {
+            return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+        }
+        if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+            return webpSize(buf);
+        }
+        if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+            return jpegSize(buf);
+        }
+    } catch (err) {
+        // Truncated header: treat as unknown
+    }
+    return null;
+}
+
+function webpSize(buf) {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buf.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+function jpegSize(buf) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+
+        // Padding bytes and markers without a length field
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+
+        // SOF0-SOF15 hold the frame size (C4, C8 and CC are other tables)
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+module.exports = {
+    readImageSize,
+    imageSizeFromBuffer
+};
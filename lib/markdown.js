@@ -0,0 +1,884 @@
+/**
+ * Markdown renderer for 314 Solutions
+ *
+ * Renders project write-ups following the CommonMark block and inline rules
+ * (plus GFM tables and strikethrough) closely enough for real documents:
+ *
+ *   Blocks:  ATX and setext headings, paragraphs, thematic breaks, fenced and
+ *            indented code, blockquotes, nested bullet/ordered lists (tight
+ *            and loose), tables, link reference definitions
+ *   Inline:  emphasis/strong (delimiter-run rules, so snake_case and
+ *            "a * b * c" stay literal), code spans, links, images, autolinks,
+ *            backslash escapes, entities, hard line breaks, ~~strikethrough~~
+ *
+ * Raw HTML is escaped rather than passed through, and every link and image
+ * URL goes through sanitizeUrl(). Headings are shifted down one level (# is
+ * rendered as <h2>) because the page or modal already owns the <h1>/<h2>.
+ */
+
+const { escapeHtml, escapeAttr, sanitizeUrl } = require('./html');
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const LIST_ITEM = /^( {0,3})(?:([-+*])|(\d{1,9})([.)]))(?=[ \t]|$)/;
+const TABLE_DELIMITER = /^ {0,3}\|?(?:[ \t]*:?-+:?[ \t]*\|)*[ \t]*:?-+:?[ \t]*\|?[ \t]*$/;
+const LINK_REFERENCE = /^ {0,3}\[((?:[^\]\\]|\\.){1,999})\]:[ \t]*(?:\n[ \t]*)?(<[^<>\n]*>|\S+)(?:(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+const ENTITY = /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+
+// Blockquotes, lists and emphasis nested deeper than this are rendered as
+// plain text, so a pathological body can't exhaust the call stack
+const MAX_NESTING = 100;
+
+/**
+ * Convert markdown to HTML
+ *
+ * `options.baseUrl` is prefixed to relative link and image URLs, so a
+ * project body can refer to its own files ("![Shot](shot.png)") while being
+ * rendered into a page that lives elsewhere.
+ *
+ * `options.imageSize(url)` may return { width, height } for an image URL as
+ * written in the markdown; the size is emitted on the <img> so the page does
+ * not shift when it loads.
+ */
+function markdownToHtml(md, options = {}) {
+    if (!md) return '';
+
+    const lines = md.replace(/\r\n?/g, '\n').split('\n').map(expandLeadingTabs);
+    const refs = new Map();
+    const blocks = parseBlocks(lines, refs);
+
+    return renderBlocks(blocks, { refs, baseUrl: options.baseUrl || '', imageSize: options.imageSize }, false);
+}
+
+function expandLeadingTabs(line) {
+    const leading = line.match(/^[ \t]*/)[0];
+    if (!leading.includes('\t')) return line;
+
+    let column = 0;
+    for (const ch of leading) {
+        column = ch === '\t' ? column + 4 - (column % 4) : column + 1;
+    }
+    return ' '.repeat(column) + line.slice(leading.length);
+}
+
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+function matchListItem(line) {
+    const match = line.match(LIST_ITEM);
+    if (!match) return null;
+
+    const markerEnd = match[0].length;
+    const rest = line.slice(markerEnd);
+    const spaces = indentOf(rest);
+    const empty = isBlank(rest);
+
+    // Five or more spaces after the marker start an indented code block
+    const padding = empty || spaces > 4 ? 1 : spaces;
+
+    return {
+        indent: match[1].length,
+        bullet: match[2] || null,
+        ordered: !match[2],
+        start: match[3] ? parseInt(match[3], 10) : null,
+        delimiter: match[4] || null,
+        contentIndent: markerEnd + padding,
+        empty
+    };
+}
+
+function sameListType(a, b) {
+    return a.ordered === b.ordered && a.bullet === b.bullet && a.delimiter === b.delimiter;
+}
+
+/**
+ * Does `line` start a block that interrupts a paragraph?
+ */
+function startsBlock(line) {
+    if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || FENCE_OPEN.test(line) || BLOCKQUOTE.test(line)) {
+        return true;
+    }
+    const item = matchListItem(line);
+    return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+}
+
+function splitTableRow(line) {
+    let text = line.trim();
+    if (text.startsWith('|')) text = text.slice(1);
+    if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && text[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (text[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += text[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseTable(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const align = splitTableRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+
+    if (header.length !== align.length) return null;
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(header.map((_, idx) => cells[idx] || ''));
+        i++;
+    }
+
+    return { block: { type: 'table', header, align, rows }, next: i };
+}
+
+/**
+ * Strip link reference definitions from the start of a paragraph
+ */
+function extractReferences(text, refs) {
+    let rest = text;
+    let match;
+    while ((match = rest.match(LINK_REFERENCE))) {
+        const label = normalizeLabel(match[1]);
+        if (!label) break;
+
+        let url = match[2];
+        if (url.startsWith('<')) url = url.slice(1, -1);
+        const title = match[3] ? unescapeString(match[3].slice(1, -1)) : null;
+
+        if (!refs.has(label)) {
+            refs.set(label, { url: unescapeString(url), title });
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return rest;
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function unescapeString(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+}
+
+/**
+ * Parse lines into a tree of block nodes, `depth` containers deep
+ */
+function parseBlocks(lines, refs, depth = 0) {
+    if (depth > MAX_NESTING) {
+        const text = lines.join('\n').trim();
+        return text ? [{ type: 'paragraph', text }] : [];
+    }
+
+    const blocks = [];
+    let paragraph = null;
+
+    function closeParagraph() {
+        if (!paragraph) return;
+        const text = extractReferences(paragraph.join('\n'), refs);
+        if (text.trim()) blocks.push({ type: 'paragraph', text });
+        paragraph = null;
+    }
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            closeParagraph();
+            i++;
+            continue;
+        }
+
+        // Setext headings turn the paragraph above them into a heading
+        const setext = paragraph && line.match(SETEXT_UNDERLINE);
+        if (setext) {
+            const text = extractReferences(paragraph.join('\n'), refs);
+            paragraph = null;
+            if (text.trim()) {
+                blocks.push({ type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text: text.trim() });
+                i++;
+                continue;
+            }
+        }
+
+        if (!paragraph && indentOf(line) >= 4) {
+            const code = [];
+            while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+                code.push(lines[i].slice(Math.min(4, indentOf(lines[i]))));
+                i++;
+            }
+            while (code.length && isBlank(code[code.length - 1])) code.pop();
+            blocks.push({ type: 'code', lang: null, text: code.join('\n') });
+            continue;
+        }
+
+        const fence = line.match(FENCE_OPEN);
+        if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+            closeParagraph();
+            const fenceIndent = fence[1].length;
+            const marker = fence[2];
+            const close = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !close.test(lines[i])) {
+                code.push(lines[i].slice(Math.min(fenceIndent, indentOf(lines[i]))));
+                i++;
+            }
+            i++;
+            const lang = unescapeString(fence[3].trim().split(/\s+/)[0] || '') || null;
+            blocks.push({ type: 'code', lang, text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(ATX_HEADING);
+        if (heading) {
+            closeParagraph();
+            const text = heading[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+            blocks.push({ type: 'heading', level: heading[1].length, text });
+            i++;
+            continue;
+        }
+
+        if (THEMATIC_BREAK.test(line)) {
+            closeParagraph();
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            closeParagraph();
+            const quoted = [];
+            let lazy = false;
+            while (i < lines.length) {
+                const current = lines[i];
+                if (BLOCKQUOTE.test(current)) {
+                    const stripped = current.replace(/^ {0,3}> ?/, '');
+                    quoted.push(stripped);
+                    lazy = !isBlank(stripped) && !startsBlock(stripped) && indentOf(stripped) < 4;
+                } else if (lazy && !isBlank(current) && !startsBlock(current)) {
+                    quoted.push(current);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted, refs, depth + 1) });
+            continue;
+        }
+
+        const item = matchListItem(line);
+        if (item && (!paragraph || (!item.empty && (!item.ordered || item.start === 1)))) {
+            closeParagraph();
+            const result = parseList(lines, i, refs, depth);
+            blocks.push(result.block);
+            i = result.next;
+            continue;
+        }
+
+        if (!paragraph && line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const result = parseTable(lines, i);
+            if (result) {
+                blocks.push(result.block);
+                i = result.next;
+                continue;
+            }
+        }
+
+        if (!paragraph) paragraph = [];
+        paragraph.push(line.replace(/^[ \t]+/, ''));
+        i++;
+    }
+
+    closeParagraph();
+    return blocks;
+}
+
+function parseList(lines, start, refs, depth) {
+    const first = matchListItem(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const marker = matchListItem(lines[i]);
+        if (!marker || !sameListType(marker, first) || THEMATIC_BREAK.test(lines[i])) break;
+
+        const itemLines = [marker.empty ? '' : lines[i].slice(marker.contentIndent)];
+        let pendingBlank = false;
+        let lazy = !marker.empty;
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                // An empty item followed by a blank line ends immediately
+                if (itemLines.length === 1 && itemLines[0] === '') break;
+                itemLines.push('');
+                pendingBlank = true;
+                lazy = false;
+                i++;
+                continue;
+            }
+            if (indentOf(line) >= marker.contentIndent) {
+                if (pendingBlank && itemLines.some(text => !isBlank(text))) {
+                    // Blank line between two blocks of the same item
+                    const nested = line.slice(marker.contentIndent);
+                    if (!matchListItem(nested) || indentOf(nested) > 0) loose = true;
+                }
+                const content = line.slice(marker.contentIndent);
+                itemLines.push(content);
+                pendingBlank = false;
+                lazy = !startsBlock(content) && indentOf(content) < 4;
+                i++;
+                continue;
+            }
+            if (!pendingBlank && lazy && !startsBlock(line) && !matchListItem(line)) {
+                itemLines.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        while (itemLines.length && isBlank(itemLines[itemLines.length - 1])) itemLines.pop();
+        items.push(parseBlocks(itemLines, refs, depth + 1));
+
+        if (pendingBlank && i < lines.length) {
+            const next = matchListItem(lines[i]);
+            if (next && sameListType(next, first) && !THEMATIC_BREAK.test(lines[i])) loose = true;
+        }
+    }
+
+    return {
+        block: { type: 'list', ordered: first.ordered, start: first.start, loose, items },
+        next: i
+    };
+}
+
+function renderBlocks(blocks, ctx, tight) {
+    return blocks.map(block => renderBlock(block, ctx, tight)).join('\n');
+}
+
+function renderBlock(block, ctx, tight) {
+    switch (block.type) {
+        case 'paragraph': {
+            const inline = renderInline(block.text.replace(/[ \t]+$/, ''), ctx);
+            return tight ? inline : `<p>${inline}</p>`;
+        }
+
+        case 'heading': {
+            const level = Math.min(block.level + 1, 6);
+            return `<h${level}>${renderInline(block.text, ctx)}</h${level}>`;
+        }
+
+        case 'hr':
+            return '<hr>';
+
+        case 'code': {
+            const lang = block.lang ? ` class="language-${escapeAttr(block.lang)}"` : '';
+            const text = block.text ? block.text + '\n' : '';
+            return `<pre><code${lang}>${escapeHtml(text)}</code></pre>`;
+        }
+
+        case 'blockquote':
+            return `<blockquote>\n${renderBlocks(block.children, ctx, false)}\n</blockquote>`;
+
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const items = block.items.map(children => {
+                const inner = renderBlocks(children, ctx, !block.loose);
+                const simple = !block.loose && (children.length === 0 || (children.length === 1 && children[0].type === 'paragraph'));
+                return simple ? `<li>${inner}</li>` : `<li>\n${inner}\n</li>`;
+            });
+            return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+        }
+
+        case 'table': {
+            const cell = (tag, text, idx) => {
+                const align = block.align[idx] ? ` style="text-align: ${block.align[idx]}"` : '';
+                return `<${tag}${align}>${renderInline(text, ctx)}</${tag}>`;
+            };
+            const head = `<thead>\n<tr>${block.header.map((text, idx) => cell('th', text, idx)).join('')}</tr>\n</thead>`;
+            const body = block.rows.length
+                ? `\n<tbody>\n${block.rows.map(row => `<tr>${row.map((text, idx) => cell('td', text, idx)).join('')}</tr>`).join('\n')}\n</tbody>`
+                : '';
+            return `<table>\n${head}${body}\n</table>`;
+        }
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Parse inline markdown into nodes, then render them to HTML
+ */
+function renderInline(text, ctx) {
+    return renderNodes(parseInline(text, ctx), ctx);
+}
+
+function parseInline(text, ctx) {
+    const nodes = [];
+    const brackets = [];
+    let buffer = '';
+    let pos = 0;
+
+    function flush() {
+        if (buffer) {
+            nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        }
+    }
+
+    while (pos < text.length) {
+        const ch = text[pos];
+
+        if (ch === '\\') {
+            const next = text[pos + 1];
+            if (next === '\n') {
+                flush();
+                nodes.push({ type: 'hardbreak' });
+                pos += 2;
+                while (text[pos] === ' ') pos++;
+            } else if (next && ESCAPABLE.test(next)) {
+                buffer += next;
+                pos += 2;
+            } else {
+                buffer += ch;
+                pos++;
+            }
+            continue;
+        }
+
+        if (ch === '`') {
+            const run = text.slice(pos).match(/^`+/)[0];
+            const close = findClosingBackticks(text, pos + run.length, run.length);
+            if (close === -1) {
+                buffer += run;
+                pos += run.length;
+            } else {
+                flush();
+                let code = text.slice(pos + run.length, close).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                nodes.push({ type: 'code', value: code });
+                pos = close + run.length;
+            }
+            continue;
+        }
+
+        if (ch === '*' || ch === '_' || ch === '~') {
+            const run = text.slice(pos).match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+            if (ch === '~' && run.length > 2) {
+                buffer += run;
+                pos += run.length;
+                continue;
+            }
+            flush();
+            nodes.push(createDelimiter(ch, run.length, text[pos - 1], text[pos + run.length]));
+            pos += run.length;
+            continue;
+        }
+
+        if (ch === '!' && text[pos + 1] === '[') {
+            flush();
+            const node = { type: 'text', value: '![' };
+            nodes.push(node);
+            brackets.push({ node, image: true, active: true, start: pos + 2 });
+            pos += 2;
+            continue;
+        }
+
+        if (ch === '[') {
+            flush();
+            const node = { type: 'text', value: '[' };
+            nodes.push(node);
+            brackets.push({ node, image: false, active: true, start: pos + 1 });
+            pos++;
+            continue;
+        }
+
+        if (ch === ']') {
+            flush();
+            const opener = brackets.pop();
+            if (!opener) {
+                nodes.push({ type: 'text', value: ']' });
+                pos++;
+                continue;
+            }
+            if (!opener.active) {
+                nodes.push({ type: 'text', value: ']' });
+                pos++;
+                continue;
+            }
+
+            const target = parseLinkTarget(text, pos + 1, text.slice(opener.start, pos), ctx.refs);
+            if (!target) {
+                nodes.push({ type: 'text', value: ']' });
+                pos++;
+                continue;
+            }
+
+            const index = nodes.indexOf(opener.node);
+            processEmphasis(nodes, index);
+            const children = nodes.splice(index).slice(1);
+            nodes.push({ type: opener.image ? 'image' : 'link', url: target.url, title: target.title, children });
+            pos = target.end;
+
+            // Links may not contain other links
+            if (!opener.image) {
+                for (const bracket of brackets) {
+                    if (!bracket.image) bracket.active = false;
+                }
+            }
+            continue;
+        }
+
+        if (ch === '<') {
+            const autolink = text.slice(pos).match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+            const email = !autolink && text.slice(pos).match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+            if (autolink || email) {
+                flush();
+                const label = (autolink || email)[1];
+                nodes.push({
+                    type: 'link',
+                    url: email ? `mailto:${label}` : label,
+                    title: null,
+                    children: [{ type: 'text', value: label }]
+                });
+                pos += (autolink || email)[0].length;
+                continue;
+            }
+        }
+
+        if (ch === '&') {
+            const entity = text.slice(pos).match(ENTITY);
+            if (entity) {
+                flush();
+                nodes.push({ type: 'entity', value: entity[0] });
+                pos += entity[0].length;
+                continue;
+            }
+        }
+
+        if (ch === '\n') {
+            const hard = / {2,}$/.test(buffer);
+            buffer = buffer.replace(/ +$/, '');
+            flush();
+            nodes.push({ type: hard ? 'hardbreak' : 'softbreak' });
+            pos++;
+            while (text[pos] === ' ') pos++;
+            continue;
+        }
+
+        buffer += ch;
+        pos++;
+    }
+
+    flush();
+    processEmphasis(nodes, -1);
+    return nodes;
+}
+
+function findClosingBackticks(text, from, length) {
+    let pos = from;
+    while (pos < text.length) {
+        const next = text.indexOf('`', pos);
+        if (next === -1) return -1;
+        const run = text.slice(next).match(/^`+/)[0];
+        if (run.length === length) return next;
+        pos = next + run.length;
+    }
+    return -1;
+}
+
+function classify(ch) {
+    if (ch === undefined || /\s/.test(ch)) return 'space';
+    if (PUNCTUATION.test(ch)) return 'punct';
+    return 'other';
+}
+
+function createDelimiter(ch, count, before, after) {
+    const prev = classify(before);
+    const next = classify(after);
+    const leftFlanking = next !== 'space' && (next !== 'punct' || prev !== 'other');
+    const rightFlanking = prev !== 'space' && (prev !== 'punct' || next !== 'other');
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (ch === '_') {
+        // Underscores inside words (snake_case) never count as emphasis
+        canOpen = leftFlanking && (!rightFlanking || prev === 'punct');
+        canClose = rightFlanking && (!leftFlanking || next === 'punct');
+    }
+
+    return { type: 'delim', char: ch, count, origCount: count, canOpen, canClose };
+}
+
+/**
+ * Match emphasis delimiters after `bottom` (CommonMark "process emphasis")
+ */
+function processEmphasis(nodes, bottom) {
+    let i = bottom + 1;
+
+    while (i < nodes.length) {
+        const closer = nodes[i];
+        if (closer.type !== 'delim' || !closer.canClose || closer.count === 0) {
+            i++;
+            continue;
+        }
+
+        let openerIndex = -1;
+        for (let j = i - 1; j > bottom; j--) {
+            const opener = nodes[j];
+            if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+
+            if (closer.char === '~') {
+                if (opener.count !== closer.count) continue;
+            } else if ((opener.canClose || closer.canOpen) &&
+                (opener.origCount + closer.origCount) % 3 === 0 &&
+                !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0)) {
+                continue;
+            }
+
+            openerIndex = j;
+            break;
+        }
+
+        if (openerIndex === -1) {
+            if (!closer.canOpen) {
+                nodes[i] = { type: 'text', value: closer.char.repeat(closer.count) };
+            } else {
+                closer.canClose = false;
+            }
+            i++;
+            continue;
+        }
+
+        const opener = nodes[openerIndex];
+        const use = closer.char === '~' ? closer.count : (closer.count >= 2 && opener.count >= 2 ? 2 : 1);
+        const type = closer.char === '~' ? 'del' : (use === 2 ? 'strong' : 'em');
+
+        opener.count -= use;
+        closer.count -= use;
+
+        const children = nodes.slice(openerIndex + 1, i).map(node => (
+            node.type === 'delim' ? { type: 'text', value: node.char.repeat(node.count) } : node
+        ));
+        // Past MAX_NESTING the markers stay as text instead of nesting further
+        const depth = 1 + children.reduce((max, node) => Math.max(max, node.depth || 0), 0);
+        const replacement = depth > MAX_NESTING
+            ? [{ type: 'text', value: closer.char.repeat(use) }, ...children, { type: 'text', value: closer.char.repeat(use) }]
+            : [{ type, children, depth }];
+        nodes.splice(openerIndex + 1, i - openerIndex - 1, ...replacement);
+        i = openerIndex + 1 + replacement.length;
+
+        if (opener.count === 0) {
+            nodes.splice(openerIndex, 1);
+            i--;
+        }
+        if (closer.count === 0) {
+            nodes.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Parse what follows "]": an inline "(url "title")" target or a reference
+ * ("[label]", "[]" or nothing). Returns { url, title, end } or null.
+ */
+function parseLinkTarget(text, pos, label, refs) {
+    if (text[pos] === '(') {
+        const inline = parseInlineTarget(text, pos + 1);
+        if (inline) return inline;
+    }
+
+    let refLabel = label;
+    let end = pos;
+    if (text[pos] === '[') {
+        const close = text.slice(pos + 1).match(/^((?:[^\]\\[]|\\.){0,999})\]/);
+        if (close) {
+            if (close[1].trim()) refLabel = close[1];
+            end = pos + close[0].length + 1;
+        }
+    }
+
+    const ref = refs.get(normalizeLabel(refLabel));
+    return ref ? { url: ref.url, title: ref.title, end } : null;
+}
+
+function parseInlineTarget(text, start) {
+    let pos = start;
+    const skipSpace = () => {
+        while (pos < text.length && /[ \t\n]/.test(text[pos])) pos++;
+    };
+
+    skipSpace();
+
+    let url = '';
+    if (text[pos] === '<') {
+        const close = text.indexOf('>', pos);
+        const newline = text.indexOf('\n', pos);
+        if (close === -1 || (newline !== -1 && newline < close)) return null;
+        url = text.slice(pos + 1, close);
+        pos = close + 1;
+    } else {
+        let depth = 0;
+        const begin = pos;
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '\\' && ESCAPABLE.test(text[pos + 1] || '')) {
+                pos += 2;
+                continue;
+            }
+            if (/\s/.test(ch)) break;
+            if (ch === '(') depth++;
+            if (ch === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            pos++;
+        }
+        if (depth !== 0) return null;
+        url = text.slice(begin, pos);
+    }
+
+    const beforeTitle = pos;
+    skipSpace();
+
+    let title = null;
+    const quote = text[pos];
+    if (pos > beforeTitle && (quote === '"' || quote === '\'' || quote === '(')) {
+        const closing = quote === '(' ? ')' : quote;
+        let end = pos + 1;
+        while (end < text.length && text[end] !== closing) {
+            if (text[end] === '\\') end++;
+            end++;
+        }
+        if (end >= text.length) return null;
+        title = unescapeString(text.slice(pos + 1, end));
+        pos = end + 1;
+        skipSpace();
+    }
+
+    if (text[pos] !== ')') return null;
+    return { url: unescapeString(url), title, end: pos + 1 };
+}
+
+function resolveUrl(url, ctx) {
+    const safe = sanitizeUrl(url);
+    if (safe === null) return null;
+    if (ctx.baseUrl && !/^(?:[a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(safe)) {
+        return ctx.baseUrl + encodeUrl(safe);
+    }
+    return encodeUrl(safe);
+}
+
+// Percent-encode what may not appear in a URL (spaces from "<my file.pdf>",
+// non-ASCII text), leaving existing escapes such as "%20" alone
+function encodeUrl(url) {
+    return url.replace(/%(?![0-9a-f]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/giu, char => {
+        try {
+            return encodeURIComponent(char);
+        } catch (err) {
+            return '%EF%BF%BD'; // A lone surrogate
+        }
+    });
+}
+
+function plainText(nodes) {
+    return nodes.map(node => {
+        if (node.children) return plainText(node.children);
+        if (node.type === 'text' || node.type === 'code') return node.value;
+        if (node.type === 'entity') return decodeEntity(node.value);
+        if (node.type === 'delim') return node.char.repeat(node.count);
+        if (node.type === 'softbreak' || node.type === 'hardbreak') return ' ';
+        return '';
+    }).join('');
+}
+
+function decodeEntity(entity) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    const body = entity.slice(1, -1);
+    if (body[0] === '#') {
+        const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    return named[body] ?? entity;
+}
+
+function renderNodes(nodes, ctx) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.value);
+            case 'entity':
+                return node.value;
+            case 'delim':
+                return escapeHtml(node.char.repeat(node.count));
+            case 'code':
+                return `<code>${escapeHtml(node.value)}</code>`;
+            case 'softbreak':
+                return '\n';
+            case 'hardbreak':
+                return '<br>\n';
+            case 'em':
+            case 'strong':
+            case 'del':
+                return `<${node.type}>${renderNodes(node.children, ctx)}</${node.type}>`;
+            case 'link': {
+                const href = resolveUrl(node.url, ctx);
+                const inner = renderNodes(node.children, ctx);
+                if (href === null) return inner;
+                const title = node.title ? ` title="${escapeAttr(node.title)}"` : '';
+                // Links within the page (#section, ?query) stay in the same tab
+                const external = /^[#?]/.test(href) ? '' : ' target="_blank" rel="noopener"';
+                return `<a href="${escapeAttr(href)}"${title}${external}>${inner}</a>`;
+            }
+            case 'image': {
+                const src = resolveUrl(node.url, ctx);
+                const alt = plainText(node.children);
+                if (src === null) return escapeHtml(alt);
+                const title = node.title ? ` title="${escapeAttr(node.title)}"` : '';
+                const size = ctx.imageSize ? ctx.imageSize(node.url) : null;
+                const dimensions = size ? ` width="${size.width}" height="${size.height}"` : '';
+                return `<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}"${title}${dimensions} loading="lazy">`;
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+module.exports = {
+    markdownToHtml
+};
@@ -0,0 +1,50 @@
+/**
+ * Front matter schemas for content files
+ *
+ * Each field declares its `type` (see validate() in front-matter.js),
+ * whether it is `required` and, for strings, the allowed `values`; lists of
+ * mappings declare a schema for their `items`. Keys not listed here are
+ * reported as errors.
+ */
+
+// Items of a project's `gallery` list (in project.md or gallery.yml); a bare
+// file name is short for `- file: name`
+const GALLERY_ITEM_SCHEMA = {
+    file: { type: 'string', required: true },
+    caption: { type: 'string' },
+    alt: { type: 'string' },
+    poster: { type: 'string' }
+};
+
+// projects/<Name>/project.md (documented in projects/README.md)
+const PROJECT_SCHEMA = {
+    title: { type: 'string', required: true },
+    category: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    tech: { type: 'list', required: true },
+    github: { type: 'url' },
+    live: { type: 'url' },
+    order: { type: 'integer' },
+    status: { type: 'string', values: ['published', 'draft', 'unlisted', 'archived'] },
+    publish_date: { type: 'date' },
+    updated_date: { type: 'date' },
+    gallery: { type: 'list', items: GALLERY_ITEM_SCHEMA, shorthand: 'file' },
+    layout: { type: 'string' }
+};
+
+// testimonials/<name>.md (documented in projects/README.md)
+const TESTIMONIAL_SCHEMA = {
+    name: { type: 'string', required: true },
+    role: { type: 'string' },
+    organization: { type: 'string' },
+    rating: { type: 'integer' },
+    avatar: { type: 'string' },
+    project: { type: 'string' },
+    order: { type: 'integer' }
+};
+
+module.exports = {
+    GALLERY_ITEM_SCHEMA,
+    PROJECT_SCHEMA,
+    TESTIMONIAL_SCHEMA
+};
@@ -0,0 +1,69 @@
+/**
+ * Link preview and structured data markup for 314 Solutions
+ *
+ * Open Graph and Twitter card tags control how shared links look in Slack,
+ * LinkedIn and similar; JSON-LD describes the page's content to search
+ * engines. Open Graph requires absolute URLs, so tags that need one are
+ * left out when the site has no base URL configured.
+ */
+
+const { escapeAttr } = require('./html');
+
+/**
+ * Generate <meta> tags for a page
+ *
+ * `page` is { title, description, type, url, siteName, image, published,
+ * modified }, where `image` is { url, width, height, alt } and the dates
+ * are Date objects (articles only). Missing values are skipped.
+ */
+function generateSocialMeta(page, indent = '    ') {
+    const tags = [
+        ['property', 'og:type', page.type || 'website'],
+        ['property', 'og:site_name', page.siteName],
+        ['property', 'og:title', page.title],
+        ['property', 'og:description', page.description],
+        ['property', 'og:url', page.url]
+    ];
+
+    if (page.image) {
+        tags.push(
+            ['property', 'og:image', page.image.url],
+            ['property', 'og:image:width', page.image.width],
+            ['property', 'og:image:height', page.image.height],
+            ['property', 'og:image:alt', page.image.alt]
+        );
+    }
+    if (page.published) tags.push(['property', 'article:published_time', page.published.toISOString()]);
+    if (page.modified) tags.push(['property', 'article:modified_time', page.modified.toISOString()]);
+
+    tags.push(
+        ['name', 'twitter:card', page.image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', page.title],
+        ['name', 'twitter:description', page.description]
+    );
+    if (page.image) {
+        tags.push(['name', 'twitter:image', page.image.url], ['name', 'twitter:image:alt', page.image.alt]);
+    }
+
+    const lines = tags
+        .filter(([, , content]) => content !== undefined && content !== null && content !== '')
+        .map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeAttr(content)}">`);
+    if (page.url) lines.push(`<link rel="canonical" href="${escapeAttr(page.url)}">`);
+
+    return lines.join(`\n${indent}`);
+}
+
+/**
+ * Wrap a schema.org object in a JSON-LD <script>
+ *
+ * "<" is escaped so text in the data cannot close the script element.
+ */
+function generateJsonLd(data) {
+    const json = JSON.stringify({ '@context': 'https://schema.org', ...data }, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+module.exports = {
+    generateSocialMeta,
+    generateJsonLd
+};
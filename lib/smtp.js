@@ -0,0 +1,156 @@
+/**
+ * Minimal SMTP client for 314 Solutions
+ *
+ * Sends plain-text messages to a relay such as a local mail catcher or the
+ * MTA on the same host. There is no TLS or authentication: point it at a
+ * server you trust on the local network, not at a public provider.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Send a message: { host, port, from, to, replyTo, subject, text }
+ *
+ * `to` can be an address or a list of them. Resolves once the server has
+ * accepted the message and rejects with the server's reply otherwise.
+ */
+async function sendMail({ host = 'localhost', port = 25, from, to, replyTo, subject, text, timeout = DEFAULT_TIMEOUT }) {
+    const recipients = [].concat(to).filter(Boolean);
+    if (!from || recipients.length === 0) {
+        throw new Error('sendMail needs a `from` address and at least one `to` address');
+    }
+
+    const connection = await connect(host, port, timeout);
+    try {
+        await connection.expect(220);
+        await connection.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+        await connection.command(`MAIL FROM:<${headerValue(from)}>`, 250);
+        for (const recipient of recipients) {
+            await connection.command(`RCPT TO:<${headerValue(recipient)}>`, [250, 251]);
+        }
+        await connection.command('DATA', 354);
+        await connection.command(`${formatMessage({ from, to: recipients, replyTo, subject, text })}\r\n.`, 250, 'the message');
+        await connection.command('QUIT', 221);
+    } finally {
+        connection.close();
+    }
+}
+
+/**
+ * The message headers and body as sent after DATA
+ *
+ * The body is base64-encoded, so it needs no dot-stuffing and survives
+ * servers without 8BITMIME.
+ */
+function formatMessage({ from, to, replyTo, subject, text, date = new Date() }) {
+    const domain = String(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${headerValue(from)}`,
+        `To: ${[].concat(to).map(headerValue).join(', ')}`,
+        replyTo && `Reply-To: ${headerValue(replyTo)}`,
+        `Subject: ${encodeHeader(headerValue(subject || ''))}`,
+        `Date: ${date.toUTCString().replace(/GMT$/, '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${headerValue(domain)}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+
+    const body = Buffer.from(String(text || '').replace(/\r?\n/g, '\r\n'))
+        .toString('base64')
+        .replace(/.{76}(?=.)/g, '$&\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// Line breaks in a header would let a value start headers of its own
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// RFC 2047 encoded word for non-ASCII text
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Open a connection that reads one (possibly multi-line) reply at a time
+function connect(host, port, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        const replies = [];
+        const waiting = [];
+        let buffer = '';
+        let lines = [];
+        let failure = null;
+
+        const settle = () => {
+            while (waiting.length > 0 && (replies.length > 0 || failure)) {
+                const next = waiting.shift();
+                if (replies.length > 0) next.resolve(replies.shift());
+                else next.reject(failure);
+            }
+        };
+
+        socket.setEncoding('utf-8');
+        socket.setTimeout(timeout, () => {
+            socket.destroy(new Error(`no response within ${timeout}ms`));
+        });
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, end).replace(/\r$/, '');
+                buffer = buffer.slice(end + 1);
+                lines.push(line);
+                // "250-..." continues the reply, "250 ..." ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    replies.push({ code: Number(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join(' ') });
+                    lines = [];
+                }
+            }
+            settle();
+        });
+        socket.on('error', err => {
+            failure = new Error(`SMTP server ${host}:${port}: ${err.message}`);
+            reject(failure);
+            settle();
+        });
+        socket.on('close', () => {
+            failure = failure || new Error(`SMTP server ${host}:${port} closed the connection`);
+            settle();
+        });
+
+        const reply = () => new Promise((resolveReply, rejectReply) => {
+            waiting.push({ resolve: resolveReply, reject: rejectReply });
+            settle();
+        });
+
+        const connection = {
+            async expect(codes, command = 'connect') {
+                const { code, text } = await reply();
+                if (![].concat(codes).includes(code)) {
+                    throw new Error(`SMTP server ${host}:${port} rejected ${command}: ${code} ${text}`);
+                }
+                return text;
+            },
+
+            command(line, codes, name = line.split(' ')[0]) {
+                socket.write(`${line}\r\n`);
+                return connection.expect(codes, name);
+            },
+
+            close() {
+                socket.end();
+            }
+        };
+        socket.once('connect', () => resolve(connection));
+    });
+}
+
+module.exports = {
+    sendMail,
+    formatMessage
+};
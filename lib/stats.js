@@ -0,0 +1,115 @@
+/**
+ * Hero statistics for 314 Solutions
+ *
+ * Stats are declared under `stats` in site.config.json. Each one has a
+ * `label`, an optional Font Awesome `icon` and `suffix`, and either a fixed
+ * `value` or a `compute` rule evaluated against the loaded projects:
+ *
+ *   { "compute": "count" }                      number of projects
+ *   { "compute": "distinct", "field": "tech" }  distinct values of a field
+ *   { "compute": "percent", "has": "github" }   share of projects with a field set
+ *
+ * "count" and "percent" also accept `where`, e.g. { "category": "Education
+ * Technology" } or { "tech": "JavaScript" }, to consider only matching
+ * projects.
+ */
+
+const COMPUTE_RULES = ['count', 'distinct', 'percent'];
+
+/**
+ * Evaluate the configured stats
+ *
+ * Returns { stats: [{ label, icon, suffix, value }], errors: [message] };
+ * stats with configuration errors are left out.
+ */
+function computeStats(projects, config) {
+    const stats = [];
+    const errors = [];
+
+    if (!Array.isArray(config)) {
+        return { stats, errors: ['"stats" must be a list'] };
+    }
+
+    config.forEach((stat, index) => {
+        const where = `stats[${index}]`;
+        if (!stat || typeof stat !== 'object' || typeof stat.label !== 'string' || !stat.label.trim()) {
+            errors.push(`${where}: every stat needs a "label"`);
+            return;
+        }
+
+        let value;
+        if (stat.compute === undefined) {
+            value = stat.value;
+            if (!Number.isInteger(value) || value < 0) {
+                errors.push(`${where} ("${stat.label}"): "value" must be a whole number, or use "compute" (${COMPUTE_RULES.join(', ')})`);
+                return;
+            }
+        } else {
+            try {
+                value = evaluate(stat, projects);
+            } catch (err) {
+                errors.push(`${where} ("${stat.label}"): ${err.message}`);
+                return;
+            }
+        }
+
+        stats.push({ label: stat.label, icon: stat.icon || 'fas fa-chart-line', suffix: stat.suffix || '', value });
+    });
+
+    return { stats, errors };
+}
+
+function evaluate(stat, projects) {
+    switch (stat.compute) {
+        case 'count':
+            return filterProjects(projects, stat.where).length;
+
+        case 'distinct': {
+            if (typeof stat.field !== 'string') throw new Error('"distinct" needs a "field"');
+            const values = new Set();
+            for (const project of projects) {
+                for (const value of fieldValues(project, stat.field)) {
+                    values.add(normalize(value));
+                }
+            }
+            return values.size;
+        }
+
+        case 'percent': {
+            if (typeof stat.has !== 'string') throw new Error('"percent" needs a "has" field');
+            const pool = filterProjects(projects, stat.where);
+            if (pool.length === 0) return 0;
+            const matching = pool.filter(project => fieldValues(project, stat.has).length > 0);
+            return Math.round((matching.length / pool.length) * 100);
+        }
+
+        default:
+            throw new Error(`unknown compute rule "${stat.compute}" (expected ${COMPUTE_RULES.join(', ')})`);
+    }
+}
+
+function filterProjects(projects, where) {
+    if (where === undefined) return projects;
+    if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        throw new Error('"where" must be an object of field: value pairs');
+    }
+
+    return projects.filter(project => Object.entries(where).every(([field, expected]) => {
+        return fieldValues(project, field).some(value => normalize(value) === normalize(expected));
+    }));
+}
+
+// A field's values as a list: lists as-is, scalars wrapped, unset fields empty
+function fieldValues(project, field) {
+    const value = project.metadata[field.toLowerCase()];
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function normalize(value) {
+    return String(value).trim().toLowerCase();
+}
+
+module.exports = {
+    computeStats
+};
@@ -0,0 +1,314 @@
+/**
+ * Template files for 314 Solutions
+ *
+ * The cards, modals and galleries generated by build-projects.js are
+ * rendered from the HTML files in /templates, written in a small,
+ * logic-light template language:
+ *
+ *   {{ name }}                         value, HTML-escaped (dotted paths: poster.src)
+ *   {{{ name }}}                       value as-is, for markup the build rendered
+ *   {{#if name}} … {{else}} … {{/if}}  also {{#unless name}} … {{/unless}}
+ *   {{#each name}} … {{/each}}         once per item; {{else}} for an empty list
+ *   {{#with name}} … {{/with}}         with `name` as the data, if it is set
+ *   {{> name}}                         another template file (a partial)
+ *   {{! comment }}
+ *
+ * Names are looked up in the innermost data first (the loop item, `this`)
+ * and then outwards. Inside a loop, @index counts from 0 and @number from
+ * 1, and @first and @last mark the ends. Empty strings and lists, 0, false,
+ * null and undefined count as false.
+ *
+ * A block, comment or partial tag alone on its line leaves no blank line
+ * behind, and a partial on its own line is indented to match the tag.
+ *
+ * A layout (templates/layouts/<name>/) overrides any of the files; the
+ * others come from the templates directory itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeAttr } = require('./html');
+
+const TEMPLATE_EXT = '.html';
+const LAYOUTS_DIR = 'layouts';
+const MAX_PARTIAL_DEPTH = 20;
+
+const BLOCKS = ['if', 'unless', 'each', 'with'];
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([#/>!]?)\s*([\s\S]*?)\s*\}\}/g;
+const STANDALONE_PATTERN = /^([ \t]*)\{\{\s*(?:[#/>!][^{}]*|else\s*)\}\}[ \t]*$/;
+const NAME_PATTERN = /^(?:this|@(?:index|number|first|last)|[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*)$/;
+
+class TemplateError extends Error {
+    constructor(message, file, line) {
+        super(message);
+        this.name = 'TemplateError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+/**
+ * Parse template source into a tree of { type: 'text' | 'value' | 'block' |
+ * 'partial' } nodes
+ */
+function compile(source, file) {
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => {
+        const top = stack[stack.length - 1];
+        return top.inElse ? top.inverse : top.children;
+    };
+    const fail = (message, line) => {
+        throw new TemplateError(message, file, line);
+    };
+
+    function addTag(sigil, content, line, indent) {
+        if (sigil === '!') return;
+
+        if (sigil === '#') {
+            const [block, name, ...extra] = content.split(/\s+/);
+            if (!BLOCKS.includes(block)) fail(`unknown block "{{#${block}}}" (use ${BLOCKS.map(b => `#${b}`).join(', ')})`, line);
+            if (!name || extra.length > 0 || !NAME_PATTERN.test(name)) fail(`"{{#${block}}}" needs one name, e.g. {{#${block} items}}`, line);
+            const node = { type: 'block', block, name, children: [], inverse: [], inElse: false, line };
+            current().push(node);
+            stack.push(node);
+        } else if (sigil === '/') {
+            const top = stack[stack.length - 1];
+            if (stack.length === 1) fail(`"{{/${content}}}" has no matching {{#${content}}}`, line);
+            if (content !== top.block) fail(`"{{/${content}}}" closes {{#${top.block} ${top.name}}} from line ${top.line}`, line);
+            stack.pop();
+        } else if (sigil === '>') {
+            if (!/^[\w-]+$/.test(content)) fail(`invalid partial name "${content}"`, line);
+            current().push({ type: 'partial', name: content, indent, line });
+        } else if (content === 'else') {
+            const top = stack[stack.length - 1];
+            if (stack.length === 1 || top.block === 'with' || top.inElse) fail('"{{else}}" outside an if, unless or each block', line);
+            top.inElse = true;
+        } else {
+            if (!NAME_PATTERN.test(content)) fail(`invalid tag "{{${content}}}"`, line);
+            current().push({ type: 'value', name: content, raw: false });
+        }
+    }
+
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    lines.forEach((text, i) => {
+        const line = i + 1;
+        const eol = i < lines.length - 1 ? '\n' : '';
+
+        const standalone = text.match(STANDALONE_PATTERN);
+        if (standalone) {
+            const [, sigil, content] = text.trim().match(/^\{\{\s*([#/>!]?)\s*([\s\S]*?)\s*\}\}$/);
+            addTag(sigil, content, line, standalone[1]);
+            return;
+        }
+
+        let last = 0;
+        for (const match of (text + eol).matchAll(TAG_PATTERN)) {
+            if (match.index > last) current().push({ type: 'text', value: text.slice(last, match.index) });
+            last = match.index + match[0].length;
+            if (match[1] !== undefined) {
+                if (!NAME_PATTERN.test(match[1])) fail(`invalid tag "{{{${match[1]}}}}"`, line);
+                current().push({ type: 'value', name: match[1], raw: true });
+            } else {
+                addTag(match[2], match[3], line, null);
+            }
+        }
+        if (last < text.length + eol.length) current().push({ type: 'text', value: (text + eol).slice(last) });
+    });
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        fail(`{{#${open.block} ${open.name}}} is never closed`, open.line);
+    }
+    return root.children;
+}
+
+function lookup(name, scopes) {
+    if (name === 'this') return scopes[scopes.length - 1].data;
+    if (name.startsWith('@')) {
+        const scope = [...scopes].reverse().find(s => s.meta);
+        return scope ? scope.meta[name.slice(1)] : undefined;
+    }
+
+    const [head, ...rest] = name.split('.');
+    const scope = [...scopes].reverse().find(s => s.data !== null && typeof s.data === 'object' && head in s.data);
+    let value = scope ? scope.data[head] : undefined;
+    for (const key of rest) {
+        value = value !== null && value !== undefined ? value[key] : undefined;
+    }
+    return value;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, context) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.value;
+        } else if (node.type === 'value') {
+            const value = lookup(node.name, scopes);
+            out += node.raw ? String(value ?? '') : escapeAttr(value);
+        } else if (node.type === 'partial') {
+            out += context.partial(node, scopes);
+        } else {
+            const value = lookup(node.name, scopes);
+            if (node.block === 'each') {
+                const items = Array.isArray(value) ? value : [];
+                if (items.length === 0) {
+                    out += renderNodes(node.inverse, scopes, context);
+                }
+                items.forEach((item, index) => {
+                    const meta = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+                    out += renderNodes(node.children, [...scopes, { data: item, meta }], context);
+                });
+            } else if (node.block === 'with') {
+                if (isTruthy(value)) out += renderNodes(node.children, [...scopes, { data: value }], context);
+            } else {
+                const show = isTruthy(value) !== (node.block === 'unless');
+                out += renderNodes(show ? node.children : node.inverse, scopes, context);
+            }
+        }
+    }
+    return out;
+}
+
+function indentSource(source, indent) {
+    return source.replace(/^(?=[^\r\n])/gm, indent);
+}
+
+/**
+ * Load templates from `dir`, compiling each file once
+ *
+ * Returns { render, layouts, validate, clear }.
+ */
+function createTemplates(dir) {
+    const cache = new Map();
+
+    function resolve(name, layout) {
+        const candidates = [path.join(dir, name + TEMPLATE_EXT)];
+        if (layout) candidates.unshift(path.join(dir, LAYOUTS_DIR, layout, name + TEMPLATE_EXT));
+        return candidates.find(file => fs.existsSync(file)) || null;
+    }
+
+    function load(name, layout, indent = '') {
+        const file = resolve(name, layout);
+        if (!file) return null;
+
+        const key = `${file}\0${indent}`;
+        if (!cache.has(key)) {
+            const source = fs.readFileSync(file, 'utf-8');
+            cache.set(key, { file, nodes: compile(indent ? indentSource(source, indent) : source, file) });
+        }
+        return cache.get(key);
+    }
+
+    /**
+     * Render template `name` (e.g. "card") with `data`
+     *
+     * `layout` picks the overrides from templates/layouts/<layout>/, and
+     * `indent` goes before every line of the template. The result has no
+     * trailing newline.
+     */
+    function render(name, data, { layout = null, indent = '' } = {}) {
+        const template = load(name, layout, indent);
+        if (!template) throw new TemplateError(`template "${name}" not found`, path.join(dir, name + TEMPLATE_EXT));
+
+        const stack = [template];
+        const context = {
+            partial(node, scopes) {
+                const from = stack[stack.length - 1];
+                if (stack.length > MAX_PARTIAL_DEPTH) {
+                    throw new TemplateError(`partials nested more than ${MAX_PARTIAL_DEPTH} deep (does "${node.name}" include itself?)`, from.file, node.line);
+                }
+                const partial = load(node.name, layout, node.indent || '');
+                if (!partial) throw new TemplateError(`partial "${node.name}" not found`, from.file, node.line);
+
+                stack.push(partial);
+                const html = renderNodes(partial.nodes, scopes, context);
+                stack.pop();
+                return html;
+            }
+        };
+        return renderNodes(template.nodes, [{ data }], context).replace(/\n$/, '');
+    }
+
+    /**
+     * Names of the layouts in templates/layouts/
+     */
+    function layouts() {
+        const layoutsDir = path.join(dir, LAYOUTS_DIR);
+        if (!fs.existsSync(layoutsDir)) return [];
+        return fs.readdirSync(layoutsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * Compile every template and layout override, checking that `required`
+     * templates exist and that every partial can be found. Returns
+     * diagnostics as { level, file, line, message }.
+     */
+    function validate(required = []) {
+        const diagnostics = [];
+        const templateNames = dirPath => (fs.existsSync(dirPath) ? fs.readdirSync(dirPath) : [])
+            .filter(file => file.endsWith(TEMPLATE_EXT))
+            .map(file => path.basename(file, TEMPLATE_EXT));
+
+        const defaults = templateNames(dir);
+        for (const name of required) {
+            if (!defaults.includes(name)) {
+                diagnostics.push({ level: 'error', file: path.join(dir, name + TEMPLATE_EXT), message: `template "${name}" is missing` });
+            }
+        }
+
+        const checkTree = (nodes, file, layout) => {
+            for (const node of nodes) {
+                if (node.type === 'partial' && !resolve(node.name, layout)) {
+                    diagnostics.push({ level: 'error', file, line: node.line, message: `partial "${node.name}" not found` });
+                } else if (node.type === 'block') {
+                    checkTree(node.children, file, layout);
+                    checkTree(node.inverse, file, layout);
+                }
+            }
+        };
+        const checkFile = (name, layout) => {
+            try {
+                const { file, nodes } = load(name, layout);
+                checkTree(nodes, file, layout);
+            } catch (err) {
+                if (!(err instanceof TemplateError)) throw err;
+                diagnostics.push({ level: 'error', file: err.file, line: err.line, message: err.message });
+            }
+        };
+
+        for (const name of defaults) checkFile(name, null);
+        for (const layout of layouts()) {
+            const layoutDir = path.join(dir, LAYOUTS_DIR, layout);
+            for (const name of templateNames(layoutDir)) {
+                if (!defaults.includes(name)) {
+                    diagnostics.push({ level: 'warning', file: path.join(layoutDir, name + TEMPLATE_EXT), message: `overrides no template (expected one of: ${defaults.join(', ')})` });
+                }
+                checkFile(name, layout);
+            }
+        }
+        return diagnostics;
+    }
+
+    return {
+        render,
+        layouts,
+        validate,
+        // Forget compiled templates, e.g. after the files changed
+        clear: () => cache.clear()
+    };
+}
+
+module.exports = {
+    TemplateError,
+    compile,
+    createTemplates
+};
@@ -0,0 +1,241 @@
+/**
+ * Design tokens for 314 Solutions
+ *
+ * tokens.json in the repository root holds the brand's colours, gradients,
+ * radii, fonts, shadows and transitions. The build writes them out as the
+ * :root custom properties of index.html and brand_board.html and draws the
+ * brand board's swatch grid from them, so a colour only changes in one
+ * place.
+ *
+ * A token is a CSS value, or { value, swatch, label, rgb } where `swatch`
+ * names the brand board column it appears in, `label` is its caption there
+ * and `rgb: true` adds a --<name>-rgb variant ("115, 157, 92") for use in
+ * rgba(). Values can use other tokens as {name}, e.g.
+ * "linear-gradient(135deg, {bg-moss} 0%, {accent-kinetic} 100%)".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, escapeAttr } = require('./html');
+const { parseColor, colorsIn, relativeLuminance, contrastRatio } = require('./color');
+
+const TOKENS_FILE = path.join(__dirname, '..', 'tokens.json');
+
+// Sections of tokens.json, with the heading each gets in the generated CSS
+const CATEGORIES = {
+    colors: 'Colors',
+    gradients: 'Gradients',
+    radii: 'Radii',
+    fonts: 'Fonts',
+    shadows: 'Shadows',
+    transitions: 'Transitions'
+};
+const SWATCH_CATEGORIES = ['colors', 'gradients'];
+const TOKEN_FIELDS = ['value', 'swatch', 'label', 'rgb'];
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const REFERENCE_PATTERN = /\{([^{}]*)\}/g;
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+/**
+ * Read and check tokens.json
+ *
+ * Returns { tokens: [{ name, category, value, swatch, label, rgb }],
+ * errors: [message] } with references resolved in `value`; tokens with
+ * errors are left out.
+ */
+function loadTokens(file = TOKENS_FILE) {
+    const errors = [];
+    if (!fs.existsSync(file)) {
+        return { tokens: [], errors: [`${path.basename(file)} not found`] };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        return { tokens: [], errors: [err.message] };
+    }
+    if (!isPlainObject(data)) {
+        return { tokens: [], errors: ['expected a JSON object'] };
+    }
+
+    const declared = new Map();
+    for (const [category, entries] of Object.entries(data)) {
+        if (!CATEGORIES[category]) {
+            errors.push(`unknown section "${category}" (expected one of: ${Object.keys(CATEGORIES).join(', ')})`);
+            continue;
+        }
+        if (!isPlainObject(entries)) {
+            errors.push(`"${category}" must be an object of token names and values`);
+            continue;
+        }
+
+        for (const [name, entry] of Object.entries(entries)) {
+            const token = readToken(name, category, entry, errors);
+            if (!token) continue;
+            if (declared.has(name)) {
+                errors.push(`"${name}" is declared in both "${declared.get(name).category}" and "${category}"`);
+                continue;
+            }
+            declared.set(name, token);
+        }
+    }
+
+    const tokens = [];
+    for (const token of declared.values()) {
+        try {
+            token.value = resolve(token.name, declared, []);
+        } catch (err) {
+            errors.push(err.message);
+            continue;
+        }
+        if (!checkValue(token, errors)) continue;
+        tokens.push(token);
+    }
+
+    return { tokens, errors };
+}
+
+function readToken(name, category, entry, errors) {
+    const where = `${category}.${name}`;
+    if (!NAME_PATTERN.test(name)) {
+        errors.push(`${where}: token names use lowercase letters, digits and hyphens, e.g. "accent-kinetic"`);
+        return null;
+    }
+
+    const token = typeof entry === 'string' ? { value: entry } : entry;
+    if (!isPlainObject(token) || typeof token.value !== 'string' || !token.value.trim()) {
+        errors.push(`${where}: expected a CSS value or { "value": ... }`);
+        return null;
+    }
+    const unknown = Object.keys(token).filter(key => !TOKEN_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`${where}: unknown field(s) ${unknown.map(key => `"${key}"`).join(', ')} (expected ${TOKEN_FIELDS.join(', ')})`);
+        return null;
+    }
+    if (token.swatch !== undefined) {
+        if (!SWATCH_CATEGORIES.includes(category)) {
+            errors.push(`${where}: only ${SWATCH_CATEGORIES.join(' and ')} can have a swatch`);
+            return null;
+        }
+        if (typeof token.swatch !== 'string' || !token.swatch.trim() || typeof token.label !== 'string' || !token.label.trim()) {
+            errors.push(`${where}: "swatch" (the brand board column) and "label" must both be set`);
+            return null;
+        }
+    }
+    if (token.rgb !== undefined && typeof token.rgb !== 'boolean') {
+        errors.push(`${where}: "rgb" must be true or false`);
+        return null;
+    }
+
+    return {
+        name,
+        category,
+        value: token.value.trim(),
+        swatch: token.swatch || null,
+        label: token.label || null,
+        rgb: token.rgb === true
+    };
+}
+
+// Replace {name} references with the referenced token's value
+function resolve(name, declared, chain) {
+    if (chain.includes(name)) {
+        throw new Error(`"${chain[0]}" refers back to itself: ${[...chain, name].join(' -> ')}`);
+    }
+    const origin = chain[0] || name;
+    return declared.get(name).value.replace(REFERENCE_PATTERN, (match, ref) => {
+        if (!declared.has(ref)) throw new Error(`"${origin}" refers to unknown token {${ref}}`);
+        return resolve(ref, declared, [...chain, name]);
+    });
+}
+
+function checkValue(token, errors) {
+    const where = `${token.category}.${token.name}`;
+    if (token.category === 'colors' && !parseColor(token.value)) {
+        errors.push(`${where}: "${token.value}" is not a colour (use #rrggbb, #rgb, rgb() or rgba())`);
+        return false;
+    }
+    if (token.category === 'gradients' && colorsIn(token.value).length === 0) {
+        errors.push(`${where}: "${token.value}" has no colour stops`);
+        return false;
+    }
+    if (token.rgb && !parseColor(token.value)) {
+        errors.push(`${where}: "rgb" needs a colour value`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Generate the :root block declaring every token as a custom property,
+ * each line starting with `indent`
+ */
+function generateRootBlock(tokens, indent = '') {
+    const lines = [':root {'];
+    for (const [category, heading] of Object.entries(CATEGORIES)) {
+        const group = tokens.filter(token => token.category === category);
+        if (group.length === 0) continue;
+
+        if (lines.length > 1) lines.push('');
+        lines.push(`    /* ${heading} */`);
+        for (const token of group) {
+            lines.push(`    --${token.name}: ${token.value};`);
+            if (token.rgb) {
+                const { r, g, b } = parseColor(token.value);
+                lines.push(`    --${token.name}-rgb: ${r}, ${g}, ${b};`);
+            }
+        }
+    }
+    lines.push('}');
+    return lines.map(line => (line ? indent + line : line)).join('\n');
+}
+
+/**
+ * Generate the brand board's colour columns from the tokens with a `swatch`
+ *
+ * Colour swatches show their value and label; gradients show the label
+ * with its words stacked. Text is white unless that would fall below 3:1
+ * on the lightest colour in the swatch.
+ */
+function generateSwatchGrid(tokens, indent = '') {
+    const columns = new Map();
+    for (const token of tokens) {
+        if (!token.swatch) continue;
+        if (!columns.has(token.swatch)) columns.set(token.swatch, []);
+        columns.get(token.swatch).push(token);
+    }
+
+    const lines = [];
+    for (const [title, swatches] of columns) {
+        if (lines.length > 0) lines.push('');
+        lines.push('<div class="color-col">', `    <span class="col-title">${escapeHtml(title)}</span>`);
+        for (const token of swatches) {
+            const text = token.category === 'colors'
+                ? `${escapeHtml(token.value)}<br>${escapeHtml(token.label)}`
+                : token.label.split(/\s+/).map(escapeHtml).join('<br>');
+            const dark = contrastRatio(WHITE, lightestColor(token.value)) < 3 ? ' color: #000;' : '';
+            lines.push(`    <div class="swatch" style="background: ${escapeAttr(token.value)};${dark}" title="--${token.name}">${text}</div>`);
+        }
+        lines.push('</div>');
+    }
+    return lines.map(line => (line ? indent + line : line)).join('\n');
+}
+
+function lightestColor(value) {
+    const colors = colorsIn(value);
+    return colors.reduce((lightest, color) => (relativeLuminance(color) > relativeLuminance(lightest) ? color : lightest), colors[0] || BLACK);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    TOKENS_FILE,
+    loadTokens,
+    generateRootBlock,
+    generateSwatchGrid
+};
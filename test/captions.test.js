@@ -0,0 +1,32 @@
+/**
+ * Tests for lib/captions.js: matching caption sidecars to videos and
+ * converting SubRip to WebVTT
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchCaptionFile, srtToVtt, isGeneratedVtt } = require('../lib/captions');
+
+test('caption files match their video with an optional language code', () => {
+    assert.deepEqual(matchCaptionFile('demo.vtt', 'demo'), { srclang: 'en', label: 'English', format: 'vtt' });
+    assert.deepEqual(matchCaptionFile('demo.es.srt', 'demo'), { srclang: 'es', label: 'Spanish', format: 'srt' });
+    assert.equal(matchCaptionFile('demo.poster.vtt', 'demo'), null);
+    assert.equal(matchCaptionFile('other.vtt', 'demo'), null);
+    assert.equal(matchCaptionFile('demo.txt', 'demo'), null);
+});
+
+test('caption names match in any case and languages are canonical', () => {
+    assert.deepEqual(matchCaptionFile('Demo.ES.VTT', 'demo'), { srclang: 'es', label: 'Spanish', format: 'vtt' });
+    assert.equal(matchCaptionFile('demo.EN-us.vtt', 'Demo').srclang, 'en-US');
+});
+
+test('SubRip cues become WebVTT cues', () => {
+    const { vtt, cues, skipped } = srtToVtt('1\r\n00:00:01,000 --> 00:00:02,500\r\n<font color="red">Hi</font>\r\n\r\n2\r\nbroken\r\n', 'demo.srt');
+    assert.equal(vtt, 'WEBVTT\n\nNOTE Generated from demo.srt\n\n00:00:01.000 --> 00:00:02.500\nHi\n');
+    assert.equal(cues, 1);
+    assert.equal(skipped, 1);
+    assert.equal(isGeneratedVtt(vtt), true);
+    assert.equal(isGeneratedVtt('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHand-written\n'), false);
+});
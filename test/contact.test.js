@@ -0,0 +1,174 @@
+/**
+ * Tests for lib/contact.js: field checks, the honeypot, body limits, CORS
+ * and rate limiting, through a real server on a free port
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { validateSubmission, createRateLimiter, createJsonlStore, createContactHandler } = require('../lib/contact');
+
+const VALID = { name: 'Ada', email: 'ada@example.com', project: 'Course design', message: 'Hello\r\nthere' };
+const quiet = { log() {}, error() {} };
+
+// Serve a contact handler on a free port; returns { url, saved }
+async function serve(t, options = {}) {
+    const saved = [];
+    const store = options.store || { save: async submission => saved.push(submission) };
+    const server = http.createServer(createContactHandler({ log: quiet, ...options, store }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}/contact`, saved };
+}
+
+// Send a request and collect the reply as { status, headers, body }
+function request(url, { method = 'POST', headers = {}, body = '' } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, res => {
+            let text = '';
+            res.setEncoding('utf-8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function postJson(url, data, headers = {}) {
+    return request(url, { headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(data) });
+}
+
+test('validateSubmission trims fields and reports each problem', () => {
+    const { submission, errors } = validateSubmission({ ...VALID, name: '  Ada  ' });
+    assert.deepEqual(errors, {});
+    assert.deepEqual(submission, { name: 'Ada', email: 'ada@example.com', project: 'Course design', message: 'Hello\nthere' });
+
+    assert.deepEqual(validateSubmission({ name: 'A\nB', email: 'not-an-email', message: 'x'.repeat(5001), project: 3 }).errors, {
+        name: 'Name must be a single line.',
+        email: 'Enter a valid email address, like you@example.com.',
+        project: 'Project type must be text.',
+        message: 'Message must be at most 5000 characters.'
+    });
+    assert.deepEqual(Object.keys(validateSubmission({}).errors), ['name', 'email', 'message']);
+});
+
+test('the rate limiter allows `max` posts per window and says when to retry', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ max: 2, windowSeconds: 60, now: () => time });
+    assert.equal(limiter.hit('a').allowed, true);
+    time = 10000;
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.deepEqual(limiter.hit('a'), { allowed: false, retryAfter: 50 });
+    assert.equal(limiter.hit('b').allowed, true);
+    time = 60001;
+    assert.equal(limiter.hit('a').allowed, true);
+});
+
+test('a valid JSON post is stored with its time', async t => {
+    const { url, saved } = await serve(t);
+    const reply = await postJson(url, VALID);
+    assert.equal(reply.status, 200);
+    assert.equal(JSON.parse(reply.body).ok, true);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].email, 'ada@example.com');
+    assert.match(saved[0].receivedAt, /^\d{4}-\d\d-\d\dT/);
+});
+
+test('invalid fields get a 422 with a message per field', async t => {
+    const { url, saved } = await serve(t);
+    const reply = await postJson(url, { ...VALID, email: 'nope' });
+    assert.equal(reply.status, 422);
+    assert.deepEqual(Object.keys(JSON.parse(reply.body).fields), ['email']);
+    assert.equal(saved.length, 0);
+});
+
+test('honeypot posts look successful but are not stored', async t => {
+    const { url, saved } = await serve(t);
+    const reply = await postJson(url, { ...VALID, website: 'http://spam.example' });
+    assert.equal(reply.status, 200);
+    assert.equal(JSON.parse(reply.body).ok, true);
+    assert.equal(saved.length, 0);
+});
+
+test('oversized bodies get a 413 and close the connection', async t => {
+    const { url } = await serve(t);
+    const body = JSON.stringify({ ...VALID, message: 'x'.repeat(40 * 1024) });
+    const declared = await request(url, { headers: { 'Content-Type': 'application/json' }, body });
+    assert.equal(declared.status, 413);
+    assert.equal(declared.headers.connection, 'close');
+
+    const chunked = await request(url, { headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }, body });
+    assert.equal(chunked.status, 413);
+});
+
+test('malformed and unsupported bodies are rejected', async t => {
+    const { url } = await serve(t);
+    assert.equal((await request(url, { headers: { 'Content-Type': 'application/json' }, body: '{' })).status, 400);
+    assert.equal((await request(url, { headers: { 'Content-Type': 'application/json' }, body: '[]' })).status, 400);
+    assert.equal((await request(url, { headers: { 'Content-Type': 'text/plain' }, body: 'hi' })).status, 415);
+    assert.equal((await request(url, { method: 'GET' })).status, 405);
+});
+
+test('CORS: only allowed origins get headers and may post', async t => {
+    const { url, saved } = await serve(t, { allowedOrigins: ['https://site.example'] });
+
+    const preflight = await request(url, { method: 'OPTIONS', headers: { Origin: 'https://site.example' } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers['access-control-allow-origin'], 'https://site.example');
+
+    const blocked = await request(url, { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.headers['access-control-allow-origin'], undefined);
+
+    assert.equal((await postJson(url, VALID, { Origin: 'https://evil.example' })).status, 403);
+    assert.equal((await postJson(url, VALID, { Origin: 'https://site.example' })).status, 200);
+    assert.equal(saved.length, 1);
+});
+
+test('posts over the rate limit get a 429 with Retry-After', async t => {
+    const { url } = await serve(t, { rateLimit: { max: 1, windowSeconds: 60 } });
+    assert.equal((await postJson(url, VALID)).status, 200);
+    const limited = await postJson(url, VALID);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['retry-after'], '60');
+});
+
+test('a failing store gets a 502', async t => {
+    const { url } = await serve(t, { store: { save: async () => { throw new Error('down'); } } });
+    assert.equal((await postJson(url, VALID)).status, 502);
+});
+
+test('ordinary form posts get an HTML page linking back to the form', async t => {
+    const { url, saved } = await serve(t);
+    const reply = await request(url, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Referer: 'https://site.example/#top' },
+        body: new URLSearchParams(VALID).toString()
+    });
+    assert.equal(reply.status, 200);
+    assert.match(reply.headers['content-type'], /^text\/html/);
+    assert.match(reply.body, /<a href="https:\/\/site\.example\/#contact">Back to the site<\/a>/);
+    assert.equal(saved.length, 1);
+
+    const unsafe = await request(url, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Referer: 'javascript:alert(1)' },
+        body: 'name=Ada'
+    });
+    assert.equal(unsafe.status, 422);
+    assert.doesNotMatch(unsafe.body, /Back to the site/);
+});
+
+test('the JSON lines store appends one submission per line', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'data', 'submissions.jsonl');
+    const store = createJsonlStore(file);
+    await store.save({ name: 'A' });
+    await store.save({ name: 'B' });
+    assert.deepEqual(fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line).name), ['A', 'B']);
+});
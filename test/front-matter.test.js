@@ -0,0 +1,122 @@
+/**
+ * Tests for lib/front-matter.js: the YAML subset that project.md and
+ * testimonial files use, and validation against lib/schemas.js
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FrontMatterError, parseFrontMatter, validate } = require('../lib/front-matter');
+const { PROJECT_SCHEMA } = require('../lib/schemas');
+
+function parse(text) {
+    return parseFrontMatter(text).data;
+}
+
+test('splits front matter from the body and records line numbers', () => {
+    const parsed = parseFrontMatter('---\ntitle: Doc2LMS\norder: 1\n---\n\n## Overview\n');
+    assert.deepEqual(parsed.data, { title: 'Doc2LMS', order: 1 });
+    assert.deepEqual(parsed.lines, { title: 2, order: 3 });
+    assert.equal(parsed.body, '## Overview');
+    assert.equal(parsed.bodyLine, 6);
+    assert.equal(parsed.endLine, 4);
+});
+
+test('files without front matter are all body', () => {
+    assert.deepEqual(parseFrontMatter('Just text\n'), { data: {}, lines: {}, body: 'Just text', bodyLine: 1, endLine: 1 });
+});
+
+test('quoted and plain scalars', () => {
+    assert.deepEqual(parse('---\na: "say \\"hi\\"\\n"\nb: \'it\'\'s\'\nc: plain # comment\nd: a#b\n---\n'), {
+        a: 'say "hi"\n',
+        b: 'it\'s',
+        c: 'plain',
+        d: 'a#b'
+    });
+    assert.deepEqual(parse('---\nn: 3\nf: 1.5\nt: true\nz: ~\ns: "3"\n---\n'), { n: 3, f: 1.5, t: true, z: null, s: '3' });
+});
+
+test('flow and block lists', () => {
+    assert.deepEqual(parse('---\ntech: [JavaScript, "Google Apps Script", \'a, b\']\n---\n'), {
+        tech: ['JavaScript', 'Google Apps Script', 'a, b']
+    });
+    assert.deepEqual(parse('---\nindented:\n  - one\n  - two\nflush:\n- three\n---\n'), {
+        indented: ['one', 'two'],
+        flush: ['three']
+    });
+});
+
+test('literal and folded block scalars', () => {
+    assert.deepEqual(parse('---\nlit: |\n  line one\n  line two\nfold: >\n  folded\n  text\n\n  next\nstrip: >-\n  x\n---\n'), {
+        lit: 'line one\nline two\n',
+        fold: 'folded text\nnext\n',
+        strip: 'x'
+    });
+});
+
+test('CRLF line endings and a byte order mark', () => {
+    const parsed = parseFrontMatter('\uFEFF---\r\ntitle: CRLF\r\ntech:\r\n  - a\r\n---\r\n\r\nBody\r\nline\r\n');
+    assert.deepEqual(parsed.data, { title: 'CRLF', tech: ['a'] });
+    assert.equal(parsed.body, 'Body\nline');
+});
+
+test('gallery lists mix mappings and bare file names', () => {
+    assert.deepEqual(parse('---\ngallery:\n  - file: a.png\n    caption: First\n  - b.png\n---\n'), {
+        gallery: [{ file: 'a.png', caption: 'First' }, 'b.png']
+    });
+});
+
+test('unsupported or broken YAML is reported with its line', () => {
+    const cases = [
+        ['---\ntitle: x\n', 1, /not closed/],
+        ['---\na: {b: 1}\n---\n', 2, /flow mappings/],
+        ['---\na: 1\na: 2\n---\n', 3, /duplicate key "a"/],
+        ['---\n\ttitle: x\n---\n', 2, /tabs/],
+        ['---\na: &anchor x\n---\n', 2, /anchors/],
+        ['---\na: "open\n---\n', 2, /unterminated double-quoted/],
+        ['---\na: [x, y\n---\n', 2, /unterminated list/]
+    ];
+    for (const [text, line, message] of cases) {
+        assert.throws(() => parseFrontMatter(text), err => err instanceof FrontMatterError && err.line === line && message.test(err.message), text);
+    }
+});
+
+test('validate coerces fields to their schema types', () => {
+    const { value, errors } = validate({
+        title: 't',
+        category: 'c',
+        description: 'd',
+        tech: 'A, B',
+        order: '2',
+        publish_date: '2024-05-01',
+        gallery: ['a.png', { file: 'b.png', alt: 'B' }]
+    }, PROJECT_SCHEMA);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.tech, ['A', 'B']);
+    assert.equal(value.order, 2);
+    assert.equal(value.publish_date.toISOString(), '2024-05-01T00:00:00.000Z');
+    assert.deepEqual(value.gallery, [{ file: 'a.png' }, { file: 'b.png', alt: 'B' }]);
+});
+
+test('validate reports bad values, unknown keys and missing keys', () => {
+    const { errors } = validate({ github: 'ftp://a', order: 'x', publish_date: '2024-02-30' }, PROJECT_SCHEMA);
+    assert.deepEqual(errors.map(error => error.message), [
+        'missing required key "title"',
+        'missing required key "category"',
+        'missing required key "description"',
+        'missing required key "tech"',
+        '"github" must be an http(s) URL, got "ftp://a"',
+        '"order" must be a whole number, got "x"',
+        '"publish_date" must be a date such as 2024-05-01, got "2024-02-30"'
+    ]);
+});
+
+test('missing keys point at the closing fence, unknown keys at their own line', () => {
+    const parsed = parseFrontMatter('---\ntitle: x\ncatgory: y\ndescription: d\ntech: [A]\n---\nbody');
+    const { errors } = validate(parsed.data, PROJECT_SCHEMA, parsed.lines, parsed.endLine);
+    assert.deepEqual(errors, [
+        { line: 3, message: 'unknown key "catgory" (did you mean "category"?)' },
+        { line: 6, message: 'missing required key "category"' }
+    ]);
+});
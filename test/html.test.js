@@ -0,0 +1,58 @@
+/**
+ * Tests for lib/html.js: escaping, URL sanitising and the text flattening
+ * used by the search index
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, escapeAttr, escapeComment, sanitizeUrl, urlPath, htmlToText } = require('../lib/html');
+
+test('text, attribute and comment escaping', () => {
+    assert.equal(escapeHtml('<a href="x">&\'</a>'), '&lt;a href="x"&gt;&amp;\'&lt;/a&gt;');
+    assert.equal(escapeAttr('"it\'s" <b>'), '&quot;it&#39;s&quot; &lt;b&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeAttr(0), '0');
+    assert.equal(escapeComment('a --> <b>'), 'a - - b');
+});
+
+test('sanitizeUrl keeps http(s), mailto and relative links', () => {
+    for (const url of ['https://example.com/a?b=1#c', 'http://x.y', 'mailto:me@example.com', 'shot.png', '../up', '/root', '#top', '?q=1', '//cdn.example.com/x.js']) {
+        assert.equal(sanitizeUrl(url), url, url);
+    }
+    assert.equal(sanitizeUrl('  https://example.com  '), 'https://example.com');
+    assert.equal(sanitizeUrl('HTTPS://EXAMPLE.COM'), 'HTTPS://EXAMPLE.COM');
+});
+
+test('sanitizeUrl rejects other schemes, however they are disguised', () => {
+    const unsafe = [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        ' javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\u0000javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        'file:///etc/passwd',
+        '\\\\evil.com',
+        '/\\evil.com'
+    ];
+    for (const url of unsafe) {
+        assert.equal(sanitizeUrl(url), null, JSON.stringify(url));
+    }
+    assert.equal(sanitizeUrl(''), null);
+    assert.equal(sanitizeUrl('   '), null);
+    assert.equal(sanitizeUrl(undefined), null);
+    assert.equal(sanitizeUrl(42), null);
+});
+
+test('urlPath percent-encodes each segment', () => {
+    assert.equal(urlPath('projects', 'My Project #1', 'cover "a".png'), 'projects/My%20Project%20%231/cover%20%22a%22.png');
+});
+
+test('htmlToText flattens markup and decodes entities', () => {
+    assert.equal(htmlToText('<h2>Title</h2><p>One &amp; two<br>three&#33; &#x263A; &nbsp;&bogus;</p>'), 'Title One & two three! ☺ &bogus;');
+    assert.equal(htmlToText(undefined), '');
+});
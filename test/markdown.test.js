@@ -0,0 +1,164 @@
+/**
+ * Tests for lib/markdown.js: every construct the projects/README.md
+ * template and the project write-ups rely on
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markdownToHtml } = require('../lib/markdown');
+
+test('empty input renders nothing', () => {
+    assert.equal(markdownToHtml(''), '');
+    assert.equal(markdownToHtml(undefined), '');
+});
+
+test('headings are shifted down one level', () => {
+    assert.equal(markdownToHtml('# One\n## Two\n###### Six'), '<h2>One</h2>\n<h3>Two</h3>\n<h6>Six</h6>');
+    assert.equal(markdownToHtml('Title\n====='), '<h2>Title</h2>');
+    assert.equal(markdownToHtml('## Closed ##'), '<h3>Closed</h3>');
+});
+
+test('emphasis, strong and strikethrough', () => {
+    assert.equal(
+        markdownToHtml('*em* **strong** ***both*** ~~del~~'),
+        '<p><em>em</em> <strong>strong</strong> <em><strong>both</strong></em> <del>del</del></p>'
+    );
+    assert.equal(
+        markdownToHtml('- **Feature Name** - Description'),
+        '<ul>\n<li><strong>Feature Name</strong> - Description</li>\n</ul>'
+    );
+});
+
+test('intraword underscores and spaced asterisks stay literal', () => {
+    assert.equal(markdownToHtml('snake_case_name and a * b * c'), '<p>snake_case_name and a * b * c</p>');
+    assert.equal(markdownToHtml('\\*not emphasis\\*'), '<p>*not emphasis*</p>');
+});
+
+test('inline code is escaped and not parsed further', () => {
+    assert.equal(markdownToHtml('Copy the `_Template` folder'), '<p>Copy the <code>_Template</code> folder</p>');
+    assert.equal(markdownToHtml('`<b>*x*</b>`'), '<p><code>&lt;b&gt;*x*&lt;/b&gt;</code></p>');
+});
+
+test('fenced code keeps its language as a class', () => {
+    assert.equal(
+        markdownToHtml('```js\nconst a = 1 < 2;\n```'),
+        '<pre><code class="language-js">const a = 1 &lt; 2;\n</code></pre>'
+    );
+    assert.equal(markdownToHtml('~~~\nplain\n~~~'), '<pre><code>plain\n</code></pre>');
+    assert.equal(markdownToHtml('    indented'), '<pre><code>indented\n</code></pre>');
+});
+
+test('bullet and ordered lists', () => {
+    assert.equal(markdownToHtml('- a\n- b'), '<ul>\n<li>a</li>\n<li>b</li>\n</ul>');
+    assert.equal(markdownToHtml('1. one\n2. two'), '<ol>\n<li>one</li>\n<li>two</li>\n</ol>');
+    assert.equal(markdownToHtml('3) three'), '<ol start="3">\n<li>three</li>\n</ol>');
+    assert.equal(markdownToHtml('- a\n\n- b'), '<ul>\n<li>\n<p>a</p>\n</li>\n<li>\n<p>b</p>\n</li>\n</ul>');
+});
+
+test('nested lists', () => {
+    assert.equal(
+        markdownToHtml('- a\n  - nested\n    1. deeper\n- b'),
+        '<ul>\n<li>\na\n<ul>\n<li>\nnested\n<ol>\n<li>deeper</li>\n</ol>\n</li>\n</ul>\n</li>\n<li>b</li>\n</ul>'
+    );
+});
+
+test('a list right after a bold line, as in the template instructions', () => {
+    assert.equal(
+        markdownToHtml('**To use this template:**\n1. Copy this folder\n2. Rename it'),
+        '<p><strong>To use this template:</strong></p>\n<ol>\n<li>Copy this folder</li>\n<li>Rename it</li>\n</ol>'
+    );
+});
+
+test('blockquotes, including nested ones', () => {
+    assert.equal(markdownToHtml('> quote\n> more'), '<blockquote>\n<p>quote\nmore</p>\n</blockquote>');
+    assert.equal(
+        markdownToHtml('> outer\n>\n> > inner'),
+        '<blockquote>\n<p>outer</p>\n<blockquote>\n<p>inner</p>\n</blockquote>\n</blockquote>'
+    );
+});
+
+test('tables with column alignment', () => {
+    assert.equal(
+        markdownToHtml('| A | B |\n|:--|--:|\n| 1 | 2 |'),
+        '<table>\n<thead>\n<tr><th style="text-align: left">A</th><th style="text-align: right">B</th></tr>\n</thead>\n' +
+        '<tbody>\n<tr><td style="text-align: left">1</td><td style="text-align: right">2</td></tr>\n</tbody>\n</table>'
+    );
+});
+
+test('thematic breaks', () => {
+    assert.equal(markdownToHtml('---'), '<hr>');
+    assert.equal(markdownToHtml('***'), '<hr>');
+    assert.equal(markdownToHtml('Above\n\n---\n\nBelow'), '<p>Above</p>\n<hr>\n<p>Below</p>');
+});
+
+test('images resolve against baseUrl and carry their size', () => {
+    assert.equal(
+        markdownToHtml('![Alt text](shot.png "Title")', { baseUrl: 'projects/X/' }),
+        '<p><img src="projects/X/shot.png" alt="Alt text" title="Title" loading="lazy"></p>'
+    );
+    assert.equal(
+        markdownToHtml('![A](a.png)', { imageSize: url => (url === 'a.png' ? { width: 10, height: 20 } : null) }),
+        '<p><img src="a.png" alt="A" width="10" height="20" loading="lazy"></p>'
+    );
+});
+
+test('links: external, in-page, relative, reference and autolinks', () => {
+    const options = { baseUrl: 'projects/X/' };
+    assert.equal(
+        markdownToHtml('[Link](https://example.com)', options),
+        '<p><a href="https://example.com" target="_blank" rel="noopener">Link</a></p>'
+    );
+    assert.equal(markdownToHtml('[Top](#top)', options), '<p><a href="#top">Top</a></p>');
+    assert.equal(markdownToHtml('[Search](?q=1)', options), '<p><a href="?q=1">Search</a></p>');
+    assert.equal(
+        markdownToHtml('[Notes](notes.pdf)', options),
+        '<p><a href="projects/X/notes.pdf" target="_blank" rel="noopener">Notes</a></p>'
+    );
+    assert.equal(
+        markdownToHtml('[ref]\n\n[ref]: https://e.com "T"'),
+        '<p><a href="https://e.com" title="T" target="_blank" rel="noopener">ref</a></p>'
+    );
+    assert.equal(
+        markdownToHtml('<https://auto.link>'),
+        '<p><a href="https://auto.link" target="_blank" rel="noopener">https://auto.link</a></p>'
+    );
+});
+
+test('link and image URLs are percent-encoded, keeping existing escapes', () => {
+    assert.equal(
+        markdownToHtml('[File](<my file.pdf>)', { baseUrl: 'projects/X/' }),
+        '<p><a href="projects/X/my%20file.pdf" target="_blank" rel="noopener">File</a></p>'
+    );
+    assert.equal(markdownToHtml('![A](<shot one.png>)'), '<p><img src="shot%20one.png" alt="A" loading="lazy"></p>');
+    assert.equal(
+        markdownToHtml('[x](https://e.com/a%20b/ü?q=1&r=2)'),
+        '<p><a href="https://e.com/a%20b/%C3%BC?q=1&amp;r=2" target="_blank" rel="noopener">x</a></p>'
+    );
+    assert.equal(markdownToHtml('[x](50%off)'), '<p><a href="50%25off" target="_blank" rel="noopener">x</a></p>');
+});
+
+test('javascript: links and images are dropped, keeping their text', () => {
+    assert.equal(markdownToHtml('[bad](javascript:alert(1))'), '<p>bad</p>');
+    assert.equal(markdownToHtml('[bad](JavaScript:alert(1))'), '<p>bad</p>');
+    assert.equal(markdownToHtml('![x](javascript:alert(1))'), '<p>x</p>');
+    assert.equal(markdownToHtml('[bad]\n\n[bad]: javascript:alert(1)'), '<p>bad</p>');
+});
+
+test('raw HTML is escaped', () => {
+    assert.equal(markdownToHtml('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(markdownToHtml('[x](https://e.com "a\\"b")'), '<p><a href="https://e.com" title="a&quot;b" target="_blank" rel="noopener">x</a></p>');
+});
+
+test('hard line breaks and entities', () => {
+    assert.equal(markdownToHtml('a  \nb'), '<p>a<br>\nb</p>');
+    assert.equal(markdownToHtml('&copy; &amp; AT&T'), '<p>&copy; &amp; AT&amp;T</p>');
+});
+
+test('deep nesting renders as text instead of overflowing the stack', () => {
+    assert.doesNotThrow(() => markdownToHtml('>'.repeat(3000) + ' a'));
+    assert.doesNotThrow(() => markdownToHtml('> - '.repeat(2000) + 'x'));
+    assert.doesNotThrow(() => markdownToHtml('*'.repeat(5000) + 'a' + '*'.repeat(5000)));
+    assert.match(markdownToHtml('>'.repeat(3000) + ' a'), /&gt; a<\/p>/);
+});
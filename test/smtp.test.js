@@ -0,0 +1,117 @@
+/**
+ * Tests for lib/smtp.js: the message format and the conversation with a
+ * fake SMTP server on a free port
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { sendMail, formatMessage } = require('../lib/smtp');
+
+/**
+ * A fake SMTP server that answers every command with `replies[verb]` (or
+ * 250) and records the commands and the message it receives
+ */
+async function fakeServer(t, replies = {}) {
+    const received = { commands: [], data: '' };
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.setEncoding('utf-8');
+        socket.write('220 fake ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        received.data += line + '\r\n';
+                    }
+                    continue;
+                }
+                const verb = line.split(/[ :]/)[0];
+                received.commands.push(line);
+                if (verb === 'EHLO') {
+                    socket.write('250-fake\r\n250 8BITMIME\r\n');
+                } else if (verb === 'DATA' && !replies.DATA) {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write(`${replies[verb] || '250 ok'}\r\n`);
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, received };
+}
+
+test('formatMessage writes the headers and a base64 body', () => {
+    const message = formatMessage({
+        from: 'site@example.com',
+        to: ['a@example.com', 'b@example.com'],
+        replyTo: 'visitor@example.com\r\nBcc: x@example.com',
+        subject: 'Café',
+        text: 'line one\nline two',
+        date: new Date('2024-05-01T12:00:00Z')
+    });
+    const [head, body] = message.split('\r\n\r\n');
+    const headers = head.split('\r\n');
+
+    assert.equal(headers[0], 'From: site@example.com');
+    assert.equal(headers[1], 'To: a@example.com, b@example.com');
+    assert.equal(headers[2], 'Reply-To: visitor@example.com Bcc: x@example.com');
+    assert.equal(headers[3], `Subject: =?UTF-8?B?${Buffer.from('Café').toString('base64')}?=`);
+    assert.equal(headers[4], 'Date: Wed, 01 May 2024 12:00:00 +0000');
+    assert.match(headers[5], /^Message-ID: <[0-9a-f-]{36}@example\.com>$/);
+    assert.equal(Buffer.from(body, 'base64').toString(), 'line one\r\nline two');
+});
+
+test('long bodies are wrapped at 76 characters', () => {
+    const body = formatMessage({ from: 'a@b.c', to: 'd@e.f', text: 'x'.repeat(200) }).split('\r\n\r\n')[1];
+    const lines = body.split('\r\n');
+    assert.ok(lines.every(line => line.length <= 76));
+    assert.equal(Buffer.from(lines.join(''), 'base64').toString(), 'x'.repeat(200));
+});
+
+test('sendMail walks through the SMTP conversation', async t => {
+    const { port, received } = await fakeServer(t);
+    await sendMail({ host: '127.0.0.1', port, from: 'site@example.com', to: ['a@example.com', 'b@example.com'], subject: 'Hi', text: 'Hello' });
+
+    assert.deepEqual(received.commands.map(line => line.split(' ')[0]), ['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+    assert.equal(received.commands[1], 'MAIL FROM:<site@example.com>');
+    assert.equal(received.commands[3], 'RCPT TO:<b@example.com>');
+    assert.match(received.data, /^From: site@example\.com\r\n/);
+    assert.match(received.data, /\r\n\r\nSGVsbG8=\r\n$/);
+});
+
+test('sendMail rejects with the server\'s reply', async t => {
+    const { port } = await fakeServer(t, { RCPT: '550 no such user' });
+    await assert.rejects(
+        sendMail({ host: '127.0.0.1', port, from: 'site@example.com', to: 'nobody@example.com', text: 'x' }),
+        /rejected RCPT: 550 no such user/
+    );
+});
+
+test('sendMail needs a sender and a recipient, and a server that answers', async () => {
+    await assert.rejects(sendMail({ from: 'a@b.c', to: [] }), /at least one `to` address/);
+
+    const server = net.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    try {
+        await assert.rejects(sendMail({ host: '127.0.0.1', port, from: 'a@b.c', to: 'd@e.f', timeout: 100 }), /no response within 100ms/);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for lib/templates.js: the template language behind the cards,
+ * modals and galleries, partials and layout overrides
+ *
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateError, createTemplates } = require('../lib/templates');
+
+// A templates directory holding `files` ({ 'card.html': '...', 'layouts/x/card.html': '...' })
+function templatesDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [name, source] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), source);
+    }
+    return createTemplates(dir);
+}
+
+function render(t, source, data) {
+    return templatesDir(t, { 'page.html': source }).render('page', data);
+}
+
+test('values are escaped, triple braces are not', t => {
+    const data = { title: '<b>"Tom" & Jerry\'s</b>', html: '<em>ok</em>' };
+    assert.equal(render(t, '{{ title }}|{{{ html }}}', data), '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;|<em>ok</em>');
+    assert.equal(render(t, '[{{ missing }}][{{{ missing }}}]', {}), '[][]');
+    assert.equal(render(t, '{{ poster.src }}', { poster: { src: 'a.jpg' } }), 'a.jpg');
+});
+
+test('if, unless and with blocks', t => {
+    const source = '{{#if items}}some{{else}}none{{/if}} {{#unless flag}}off{{/unless}} {{#with link}}{{ url }}{{/with}}';
+    assert.equal(render(t, source, { items: [1], flag: false, link: { url: 'u' } }), 'some off u');
+    assert.equal(render(t, source, { items: [], flag: 1 }), 'none  ');
+});
+
+test('each block with loop variables and outer lookups', t => {
+    const source = '{{#each tags}}{{@number}}.{{ this }}{{#if @last}}!{{else}}, {{/if}}{{ sep }}{{/each}}';
+    assert.equal(render(t, source, { tags: ['a', 'b'], sep: '' }), '1.a, 2.b!');
+    assert.equal(render(t, '{{#each tags}}x{{else}}empty{{/each}}', { tags: [] }), 'empty');
+});
+
+test('standalone tags leave no blank lines and partials are indented', t => {
+    const templates = templatesDir(t, {
+        'list.html': '<ul>\n    {{#each items}}\n    {{> item}}\n    {{/each}}\n</ul>\n',
+        'item.html': '<li>\n    {{ this }}\n</li>\n'
+    });
+    assert.equal(templates.render('list', { items: ['a'] }), '<ul>\n    <li>\n        a\n    </li>\n</ul>');
+    assert.equal(templates.render('item', 'x', { indent: '  ' }), '  <li>\n      x\n  </li>');
+});
+
+test('layouts override single files and fall back to the defaults', t => {
+    const templates = templatesDir(t, {
+        'card.html': '<div>{{> body}}</div>',
+        'body.html': 'default',
+        'layouts/wide/body.html': 'wide'
+    });
+    assert.equal(templates.render('card', {}), '<div>default</div>');
+    assert.equal(templates.render('card', {}, { layout: 'wide' }), '<div>wide</div>');
+    assert.deepEqual(templates.layouts(), ['wide']);
+});
+
+test('partials that include themselves stop at the depth limit', t => {
+    const templates = templatesDir(t, { 'loop.html': 'x{{> loop}}' });
+    assert.throws(() => templates.render('loop', {}), err => err instanceof TemplateError && /nested more than 20 deep/.test(err.message));
+});
+
+test('syntax errors carry their line', t => {
+    const cases = [
+        ['a\n{{#if x}}\n', 2, /never closed/],
+        ['{{/if}}', 1, /no matching/],
+        ['{{#loop x}}{{/loop}}', 1, /unknown block/],
+        ['\n{{ a b }}', 2, /invalid tag/],
+        ['{{#with x}}{{else}}{{/with}}', 1, /outside an if, unless or each/]
+    ];
+    for (const [source, line, message] of cases) {
+        assert.throws(() => render(t, source, {}), err => err instanceof TemplateError && err.line === line && message.test(err.message), source);
+    }
+});
+
+test('validate reports missing templates, partials and stray overrides', t => {
+    const templates = templatesDir(t, {
+        'card.html': '{{> missing}}',
+        'broken.html': '{{#if x}}',
+        'layouts/wide/extra.html': ''
+    });
+    const found = templates.validate(['card', 'modal']).map(d => `${d.level} ${path.basename(d.file)}:${d.line ?? ''} ${d.message}`);
+    assert.deepEqual(found, [
+        'error modal.html: template "modal" is missing',
+        'error broken.html:1 {{#if x}} is never closed',
+        'error card.html:1 partial "missing" not found',
+        'warning extra.html: overrides no template (expected one of: broken, card)'
+    ]);
+});